@@ -0,0 +1,107 @@
+/**
+ * Aggregate Charts
+ * Groups games by tag, genre, publisher and developer and ranks the groups by
+ * total current players, for charts like "Top Survival games right now" or
+ * "Biggest publishers by concurrent players". Written next to the summary as
+ * steam-charts-by-<dimension>.json.
+ *
+ * A game counts towards every group it belongs to. Group trends compare the
+ * group's players with the same games' players in the previous snapshot, 24h
+ * and 7d ago (from their trend deltas), over the games that have a baseline.
+ */
+
+const { toEntry } = require('./leaderboards');
+const { classifyTrend, percentChange } = require('./trends');
+
+// Configuration
+const DEFAULT_MAX_GROUPS = 500; // Groups kept per file, most players first
+const DEFAULT_TOP_GAMES = 10; // Top games listed per group
+const LEGAL_SUFFIX = /^(inc|llc|ltd|limited|co|corp|corporation|gmbh|s\.?a|s\.?l|ab|oy|b\.?v|pty\.? ltd)\.?$/i;
+
+// "Publisher, Inc., Other Co" -> ['Publisher, Inc.', 'Other Co']
+function splitCompanies(value) {
+  const companies = [];
+  String(value || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    if (LEGAL_SUFFIX.test(part) && companies.length > 0) companies[companies.length - 1] += `, ${part}`;
+    else companies.push(part);
+  });
+  return companies;
+}
+
+// Dimension -> groups a game belongs to
+const DIMENSIONS = {
+  tag: game => Object.keys(game.tags || {}),
+  genre: game => game.genres || [],
+  publisher: game => splitCompanies(game.publisher),
+  developer: game => splitCompanies(game.developer)
+};
+
+// Players of a game before its trend delta - null without a baseline
+function baseline(game, field) {
+  const delta = game[field];
+  return typeof delta === 'number' && delta > -100 ? game.currentPlayers / (1 + delta / 100) : null;
+}
+
+// Percent change of a group's players against the baselines of its games
+function groupDelta(games, field) {
+  let current = 0;
+  let previous = 0;
+  games.forEach(game => {
+    const before = baseline(game, field);
+    if (before === null) return;
+    current += game.currentPlayers;
+    previous += before;
+  });
+  return percentChange(current, previous);
+}
+
+function buildGroup(name, games, topGames) {
+  const trendDelta = groupDelta(games, 'trendDelta');
+  const trendDelta24h = groupDelta(games, 'trendDelta24h');
+
+  return {
+    name,
+    players: games.reduce((sum, game) => sum + game.currentPlayers, 0),
+    games: games.length,
+    trending: classifyTrend({ delta: trendDelta, delta24h: trendDelta24h }),
+    trendDelta,
+    trendDelta24h,
+    trendDelta7d: groupDelta(games, 'trendDelta7d'),
+    topGames: games.slice(0, topGames).map(toEntry)
+  };
+}
+
+// Groups of one dimension, most players first
+function buildAggregate(data, dimension, options = {}) {
+  const groupsOf = DIMENSIONS[dimension];
+  if (!groupsOf) throw new Error(`Unknown aggregate dimension: ${dimension}`);
+
+  // Games in player order, so each group's games are too
+  const games = Object.values(data.games || {}).sort((a, b) => b.currentPlayers - a.currentPlayers);
+  const members = new Map();
+  games.forEach(game => {
+    new Set(groupsOf(game)).forEach(name => {
+      if (!members.has(name)) members.set(name, []);
+      members.get(name).push(game);
+    });
+  });
+
+  const groups = Array.from(members, ([name, groupGames]) => buildGroup(name, groupGames, options.topGames ?? DEFAULT_TOP_GAMES))
+    .sort((a, b) => b.players - a.players || b.games - a.games || a.name.localeCompare(b.name));
+
+  return {
+    metadata: { ...data.metadata, dimension, totalGroups: groups.length },
+    groups: groups.slice(0, options.maxGroups ?? DEFAULT_MAX_GROUPS)
+  };
+}
+
+// Every dimension's aggregate - { tag: {...}, genre: {...}, ... }
+function buildAggregates(data, options = {}) {
+  return Object.fromEntries(Object.keys(DIMENSIONS).map(dimension => [dimension, buildAggregate(data, dimension, options)]));
+}
+
+function aggregateFileName(dimension) {
+  return `steam-charts-by-${dimension}.json`;
+}
+
+module.exports = { buildAggregate, buildAggregates, aggregateFileName, splitCompanies, DIMENSIONS, DEFAULT_MAX_GROUPS, DEFAULT_TOP_GAMES };
@@ -0,0 +1,328 @@
+/**
+ * Alert Rules
+ * Checks each new snapshot against the previous one with the rules of a
+ * declarative rules file, and sends matching alerts through its notifiers
+ * (see notifiers.js):
+ *   { "cooldownHours": 24,
+ *     "events": ["patches.ndjson"],
+ *     "notifiers": [{ "type": "discord", "urlEnv": "DISCORD_WEBHOOK_URL" }, { "type": "file", "path": "alerts.ndjson" }],
+ *     "rules": [
+ *       { "id": "cs2-million", "appId": 730, "when": "above", "players": 1000000 },
+ *       { "id": "survival-doubled", "tag": "Survival", "when": "doubled", "minPlayers": 1000 },
+ *       { "id": "patch-drop", "when": "drop", "percent": 30, "afterPatch": true },
+ *       { "id": "new-top-100", "when": "entered-top", "rank": 100 }
+ *     ] }
+ * A rule with an appId applies to that game, one with a tag to the games with
+ * that tag and any other rule to every game. Relative paths are resolved from
+ * the rules file's directory.
+ *
+ * An alert fires once per rule and game until its cooldown has passed (for
+ * afterPatch rules, once per patch). Alerts a notifier failed to deliver stay
+ * pending for that notifier and are sent to it again with the next run's alerts.
+ * Both are kept in .cache/state/alerts.json (restored between workflow runs, not published):
+ *   { "fired": { "cs2-million:730": "2025-08-10T12:00:00.000Z" },
+ *     "pending": { "discord": [alert, ...] } }
+ * Notifiers are named by type, repeated types as "webhook-2", "webhook-3", ...
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { HistoryStore } = require('./history-store');
+const { percentChange } = require('./trends');
+const { loadEvents, measureImpact } = require('./patch-impact');
+const { createNotifiers, sendToNotifiers } = require('./notifiers');
+
+// Configuration
+const DEFAULT_STATE_FILE = path.join(process.cwd(), '.cache', 'state', 'alerts.json');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_COOLDOWN_HOURS = 24;
+const DEFAULT_PATCH_WINDOW_HOURS = 72; // afterPatch rules watch games patched this recently
+const DEFAULT_MIN_PLAYERS = 100; // Baseline needed for doubled / drop rules
+const DEFAULT_TOP_RANK = 100;
+const FORGET_DAYS = 30; // Firings older than this are dropped from the state
+
+const count = value => value.toLocaleString('en-US');
+
+// State key of an alert - afterPatch alerts fire once per patch
+const alertKey = alert => (alert.eventId !== undefined ? `${alert.ruleId}:${alert.appId}:${alert.eventId}` : `${alert.ruleId}:${alert.appId}`);
+
+// Condition -> { fields: required numeric rule fields, check(rule, game, before, baseline) -> description or null }.
+// `before` is the game in the previous snapshot, `baseline` the players an afterPatch rule compares with.
+const CONDITIONS = {
+  // Crossed `players` upwards since the previous snapshot
+  above: {
+    fields: ['players'],
+    check: (rule, game, before) => (before && before.currentPlayers < rule.players && game.currentPlayers >= rule.players
+      ? `crossed ${count(rule.players)} players (${count(game.currentPlayers)}, was ${count(before.currentPlayers)})`
+      : null)
+  },
+  // Fell below `players` since the previous snapshot
+  below: {
+    fields: ['players'],
+    check: (rule, game, before) => (before && before.currentPlayers >= rule.players && game.currentPlayers < rule.players
+      ? `fell below ${count(rule.players)} players (${count(game.currentPlayers)}, was ${count(before.currentPlayers)})`
+      : null)
+  },
+  // Grew `factor` times (default 2) from at least `minPlayers`
+  doubled: {
+    fields: [],
+    check: (rule, game, before) => {
+      const factor = rule.factor ?? 2;
+      if (!before || before.currentPlayers < (rule.minPlayers ?? DEFAULT_MIN_PLAYERS)) return null;
+      return game.currentPlayers >= before.currentPlayers * factor
+        ? `grew ${Math.round((game.currentPlayers / before.currentPlayers) * 10) / 10}x to ${count(game.currentPlayers)} players (was ${count(before.currentPlayers)})`
+        : null;
+    }
+  },
+  // Lost `percent`% of its players - since the previous snapshot, or for afterPatch
+  // rules since the 24h before the game's latest patch
+  drop: {
+    fields: ['percent'],
+    check: (rule, game, before, baseline) => {
+      const from = rule.afterPatch ? baseline?.players : before?.currentPlayers;
+      if (!from || from < (rule.minPlayers ?? DEFAULT_MIN_PLAYERS)) return null;
+      const change = percentChange(game.currentPlayers, from);
+      if (change > -rule.percent) return null;
+      const since = rule.afterPatch ? ` since ${baseline.event.title ? `"${baseline.event.title}"` : `the ${baseline.event.at.slice(0, 10)} patch`}` : '';
+      return `dropped ${-change}% to ${count(game.currentPlayers)} players${since} (was ${count(from)})`;
+    }
+  },
+  // Entered the top `rank` (default 100)
+  'entered-top': {
+    fields: [],
+    check: (rule, game, before) => {
+      const rank = rule.rank ?? DEFAULT_TOP_RANK;
+      return game.rank <= rank && !(before && before.rank <= rank) ? `entered the top ${rank} at #${game.rank}` : null;
+    }
+  }
+};
+
+function checkRule(rule, where) {
+  const fail = problem => {
+    throw new Error(`Invalid alert rule ${where}: ${problem}`);
+  };
+  if (!rule || typeof rule !== 'object') fail('expected an object');
+  if (typeof rule.id !== 'string' || !rule.id) fail('missing id');
+  const condition = CONDITIONS[rule.when];
+  if (!condition) fail(`unknown condition '${rule.when}' - expected ${Object.keys(CONDITIONS).join(', ')}`);
+  ['players', 'percent', 'factor', 'minPlayers', 'rank', 'cooldownHours', 'withinHours'].forEach(field => {
+    if (condition.fields.includes(field) && rule[field] === undefined) fail(`'${rule.when}' needs ${field}`);
+    if (rule[field] !== undefined && !(typeof rule[field] === 'number' && rule[field] >= 0)) fail(`${field} must be a non-negative number`);
+  });
+  if (rule.appId !== undefined && !(Number.isInteger(rule.appId) && rule.appId > 0)) fail('appId must be a positive integer');
+  if (rule.tag !== undefined && typeof rule.tag !== 'string') fail('tag must be a string');
+  if (rule.appId !== undefined && rule.tag !== undefined) fail('use either appId or tag');
+  if (rule.afterPatch && rule.when !== 'drop') fail('afterPatch only applies to drop rules');
+  return rule;
+}
+
+// Read and check a rules file - returns { rules, notifiers, cooldownHours, events } with resolved paths
+async function loadAlertRules(file) {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error instanceof SyntaxError) throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+    throw error;
+  }
+  if (!Array.isArray(config.rules)) throw new Error(`Invalid alert rules ${file}: expected a rules list`);
+
+  const rules = config.rules.map((rule, index) => checkRule(rule, `${file} rules[${index}]`));
+  const duplicate = rules.find((rule, index) => rules.findIndex(r => r.id === rule.id) !== index);
+  if (duplicate) throw new Error(`Invalid alert rules ${file}: duplicate rule id '${duplicate.id}'`);
+
+  const dir = path.dirname(file);
+  return {
+    rules,
+    cooldownHours: config.cooldownHours ?? DEFAULT_COOLDOWN_HOURS,
+    events: (config.events || []).map(events => path.resolve(dir, events)),
+    notifiers: (config.notifiers || []).map(notifier => (notifier.type === 'file' && notifier.path ? { ...notifier, path: path.resolve(dir, notifier.path) } : notifier))
+  };
+}
+
+class AlertEngine {
+  constructor(options = {}) {
+    this.rules = options.rules || [];
+    this.cooldownHours = options.cooldownHours ?? DEFAULT_COOLDOWN_HOURS;
+    this.events = options.events || [];
+    this.notifiers = options.notifiers || [];
+    this.stateFile = options.stateFile || DEFAULT_STATE_FILE;
+    this.history = options.history || new HistoryStore();
+    this.state = { fired: {}, pending: {} };
+  }
+
+  // [name, notifier] pairs - the name keys the notifier's pending alerts
+  namedNotifiers() {
+    const seen = {};
+    return this.notifiers.map(notifier => {
+      seen[notifier.name] = (seen[notifier.name] || 0) + 1;
+      return [seen[notifier.name] === 1 ? notifier.name : `${notifier.name}-${seen[notifier.name]}`, notifier];
+    });
+  }
+
+  // Load carried state - starts empty if there is none yet
+  async load() {
+    try {
+      this.state = { fired: {}, pending: {}, ...JSON.parse(await fs.readFile(this.stateFile, 'utf8')) };
+      // Earlier versions kept one pending list, for when every notifier failed
+      if (Array.isArray(this.state.pending)) {
+        const pending = this.state.pending;
+        this.record(pending);
+        this.state.pending = Object.fromEntries(this.namedNotifiers().map(([name]) => [name, pending]));
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`Failed to load alert state, starting fresh: ${error.message}`);
+      }
+      this.state = { fired: {}, pending: {} };
+    }
+    return this;
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+    await fs.writeFile(this.stateFile, JSON.stringify(this.state, null, 2));
+    console.log(`💾 Alert state saved to: ${this.stateFile}`);
+  }
+
+  // Games a rule applies to
+  scope(rule, games) {
+    if (rule.appId !== undefined) return games.filter(game => game.appId === rule.appId);
+    if (rule.tag !== undefined) {
+      const tag = rule.tag.toLowerCase();
+      return games.filter(game => Object.keys(game.tags || {}).some(t => t.toLowerCase() === tag));
+    }
+    return games;
+  }
+
+  // appId -> { event, players } for games patched within `withinHours` of now - players
+  // is the mean of the 24h before the latest patch (from the history), if known
+  async patchBaselines(withinHours, now) {
+    const latest = new Map();
+    this.events
+      .filter(event => {
+        const at = new Date(event.at).getTime();
+        return at <= now && at >= now - withinHours * HOUR_MS;
+      })
+      .forEach(event => latest.set(event.appId, event)); // Events are sorted oldest first
+
+    const baselines = new Map();
+    for (const [appId, event] of latest) {
+      const at = new Date(event.at).getTime();
+      const points = await this.history.loadSeries(appId, at - DAY_MS, at);
+      baselines.set(appId, { event, players: measureImpact(event, points, now).before24h });
+    }
+    return baselines;
+  }
+
+  // Alerts of a new snapshot against the previous one, leaving out those still cooling down.
+  // Nothing is recorded as fired - see record().
+  async evaluate(data, previous) {
+    if (!previous) {
+      console.log('🔕 No previous snapshot - alerts start with the next run');
+      return [];
+    }
+    const at = data.metadata.timestamp;
+    const now = new Date(at).getTime();
+    const before = new Map(Object.values(previous.games).map(game => [game.appId, game]));
+    const games = Object.values(data.games);
+    const baselinesByWindow = new Map();
+    const alerts = [];
+
+    for (const rule of this.rules) {
+      let baselines = null;
+      if (rule.afterPatch) {
+        const withinHours = rule.withinHours ?? DEFAULT_PATCH_WINDOW_HOURS;
+        if (!baselinesByWindow.has(withinHours)) baselinesByWindow.set(withinHours, await this.patchBaselines(withinHours, now));
+        baselines = baselinesByWindow.get(withinHours);
+      }
+
+      for (const game of this.scope(rule, games)) {
+        const baseline = baselines?.get(game.appId);
+        if (baselines && !baseline) continue;
+        const description = CONDITIONS[rule.when].check(rule, game, before.get(game.appId), baseline);
+        if (!description) continue;
+
+        const key = alertKey({ ruleId: rule.id, appId: game.appId, eventId: baseline?.event.id });
+        const last = this.state.fired[key];
+        const cooldownHours = rule.cooldownHours ?? this.cooldownHours;
+        if (last && (baseline || now - new Date(last).getTime() < cooldownHours * HOUR_MS)) continue;
+
+        alerts.push({
+          ruleId: rule.id,
+          when: rule.when,
+          appId: game.appId,
+          name: game.name,
+          at,
+          message: `${game.name} ${description}`,
+          players: game.currentPlayers,
+          previousPlayers: before.get(game.appId)?.currentPlayers ?? null,
+          rank: game.rank,
+          previousRank: before.get(game.appId)?.rank ?? null,
+          url: `https://store.steampowered.com/app/${game.appId}`,
+          ...(baseline ? { eventId: baseline.event.id } : {})
+        });
+      }
+    }
+
+    const forgotten = firedAt => now - new Date(firedAt).getTime() > FORGET_DAYS * DAY_MS;
+    Object.entries(this.state.fired).forEach(([key, firedAt]) => {
+      if (forgotten(firedAt)) delete this.state.fired[key];
+    });
+    Object.entries(this.state.pending).forEach(([name, pending]) => {
+      this.state.pending[name] = pending.filter(alert => !forgotten(alert.at));
+    });
+    return alerts;
+  }
+
+  // Record alerts as fired, so they cool down
+  record(alerts) {
+    alerts.forEach(alert => {
+      this.state.fired[alertKey(alert)] = alert.at;
+    });
+  }
+
+  // Evaluate and send the alerts of a run - each notifier also gets the alerts it failed
+  // to deliver in earlier runs, and keeps those it fails again. A dry run only logs them
+  async run(data, previous, options = {}) {
+    await this.load();
+    const alerts = await this.evaluate(data, previous);
+    alerts.forEach(alert => console.log(`🔔 [${alert.ruleId}] ${alert.message}`));
+    console.log(`🔔 ${alerts.length} alert${alerts.length === 1 ? '' : 's'} from ${this.rules.length} rules`);
+    if (options.dryRun) return alerts;
+
+    // A pending alert that fired again is sent once, as the new one
+    const keys = new Set(alerts.map(alertKey));
+    const pending = {};
+    for (const [name, notifier] of this.namedNotifiers()) {
+      const outgoing = [...(this.state.pending[name] || []).filter(alert => !keys.has(alertKey(alert))), ...alerts];
+      const failures = await sendToNotifiers([notifier], outgoing);
+      if (failures.length > 0) {
+        console.log(`⚠️  Kept ${outgoing.length} alert${outgoing.length === 1 ? '' : 's'} for notifier '${name}' to send with the next run`);
+        pending[name] = outgoing;
+      }
+    }
+    this.record(alerts);
+    this.state.pending = pending;
+    await this.save();
+    return alerts;
+  }
+}
+
+// Engine for a rules file, with its events and notifiers - options (e.g. http, stateFile, history) are passed on
+async function createAlertEngine(file, options = {}) {
+  const config = await loadAlertRules(file);
+  const events = (await Promise.all(config.events.map(events => loadEvents(events)))).flat()
+    .sort((a, b) => a.at.localeCompare(b.at));
+
+  return new AlertEngine({
+    ...options,
+    rules: config.rules,
+    cooldownHours: config.cooldownHours,
+    events,
+    notifiers: createNotifiers(config.notifiers, { http: options.http })
+  });
+}
+
+module.exports = { AlertEngine, CONDITIONS, loadAlertRules, createAlertEngine };
@@ -0,0 +1,269 @@
+/**
+ * Read-only HTTP API
+ * Serves the saved snapshot (and player count history, if present) as JSON, so
+ * consumers can query single games and filtered pages instead of downloading
+ * every game:
+ *   GET /                              metadata and routes
+ *   GET /top?board=&limit=             a leaderboard (default topByPlayers)
+ *   GET /games?tag=&genre=&sort=&limit=&offset=
+ *   GET /games/:appId
+ *   GET /games/:appId/history?from=&to=
+ *   GET /search?q=&limit=             fuzzy name search (see search-query.js)
+ *
+ * Responses carry an ETag of the snapshot timestamp - for history, also of the
+ * last watchlist run (live.json) - and answer If-None-Match with 304. The
+ * snapshot is reloaded when its file changes on disk.
+ */
+
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const { DATA_DIR } = require('./snapshot');
+const { loadShardedSnapshot, MANIFEST_FILE } = require('./shards');
+const { HistoryStore } = require('./history-store');
+const { buildLeaderboards, DEFAULT_LENGTHS } = require('./leaderboards');
+const { buildSearchIndex, buildSearchPlayers } = require('./search-index');
+const { GameSearch } = require('./search-query');
+
+// Configuration
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+const DEFAULT_HISTORY_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CACHE_CONTROL = 'public, max-age=60';
+
+// Sort name -> comparator for /games
+const SORTS = {
+  rank: (a, b) => a.rank - b.rank,
+  players: (a, b) => b.currentPlayers - a.currentPlayers,
+  trend: (a, b) => (b.trendDelta ?? -Infinity) - (a.trendDelta ?? -Infinity) || a.rank - b.rank,
+  reviewScore: (a, b) => (b.reviewScoreLowerBound ?? -1) - (a.reviewScoreLowerBound ?? -1) || a.rank - b.rank,
+  name: (a, b) => a.name.localeCompare(b.name),
+  price: (a, b) => a.price - b.price || a.rank - b.rank
+};
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function integerParam(params, name, fallback, max = Infinity) {
+  const value = params.get(name);
+  if (value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw new ApiError(400, `${name} must be a non-negative integer`);
+  return Math.min(number, max);
+}
+
+function dateParam(params, name, fallback) {
+  const value = params.get(name);
+  if (value === null || value === '') return fallback;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new ApiError(400, `${name} must be a date`);
+  return time;
+}
+
+// Request target (a path, or an absolute URL from proxies) - malformed ones are a 400
+function parseUrl(url) {
+  try {
+    return new URL(url, 'http://localhost');
+  } catch (error) {
+    throw new ApiError(400, 'Malformed request URL');
+  }
+}
+
+// Whether an If-None-Match header matches an ETag (weak comparison)
+function matchesETag(header, etag) {
+  if (!header) return false;
+  const strip = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => tag.trim() === '*' || strip(tag) === strip(etag));
+}
+
+class ChartsApi {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || DATA_DIR;
+    this.history = options.history || new HistoryStore({ dir: path.join(this.dataDir, 'history') });
+    this.loaded = null;
+    this.loadedLive = null;
+    this.routes = [
+      [/^\/$/, () => this.index()],
+      [/^\/top$/, (match, params) => this.top(params)],
+      [/^\/games$/, (match, params) => this.games(params)],
+      [/^\/games\/(\d+)$/, match => this.game(Number(match[1]))],
+      [/^\/games\/(\d+)\/history$/, (match, params) => this.gameHistory(Number(match[1]), params)],
+      [/^\/search$/, (match, params) => this.search(params)]
+    ];
+  }
+
+  // The snapshot and its lookups - reloaded when steam-charts.json (or the shard manifest) changes
+  async snapshot() {
+    const monolithic = path.join(this.dataDir, 'steam-charts.json');
+    const manifest = path.join(this.dataDir, 'shards', MANIFEST_FILE);
+    let file = monolithic;
+    let stats = await fs.stat(monolithic).catch(() => null);
+    if (!stats) {
+      file = manifest;
+      stats = await fs.stat(manifest).catch(() => null);
+    }
+    if (!stats) throw new ApiError(503, 'No snapshot saved yet');
+
+    if (!this.loaded || this.loaded.file !== file || this.loaded.mtimeMs !== stats.mtimeMs) {
+      const data = file === monolithic ? JSON.parse(await fs.readFile(file, 'utf8')) : await loadShardedSnapshot(path.dirname(file));
+      const ranked = Object.values(data.games).sort((a, b) => a.rank - b.rank);
+      this.loaded = {
+        file,
+        mtimeMs: stats.mtimeMs,
+        data,
+        ranked,
+        byId: new Map(ranked.map(game => [game.appId, game])),
+        names: new GameSearch(buildSearchIndex(data), buildSearchPlayers(data).players),
+        etag: `"${data.metadata.timestamp}"`
+      };
+    }
+    return this.loaded;
+  }
+
+  // Timestamp of the last watchlist run (see watchlist.js) - null without one.
+  // Watchlist runs add history points between snapshots
+  async liveTimestamp() {
+    const file = path.join(this.dataDir, 'live.json');
+    const stats = await fs.stat(file).catch(() => null);
+    if (!stats) return null;
+
+    if (!this.loadedLive || this.loadedLive.mtimeMs !== stats.mtimeMs) {
+      const live = JSON.parse(await fs.readFile(file, 'utf8'));
+      this.loadedLive = { mtimeMs: stats.mtimeMs, timestamp: live.metadata.timestamp };
+    }
+    return this.loadedLive.timestamp;
+  }
+
+  // ETag of a route - history also changes with every watchlist run
+  async etag(route) {
+    const { data, etag } = await this.snapshot();
+    if (!route.endsWith('/history')) return etag;
+    const live = await this.liveTimestamp();
+    return live ? `"${data.metadata.timestamp}+${live}"` : etag;
+  }
+
+  async index() {
+    const { data } = await this.snapshot();
+    return {
+      metadata: data.metadata,
+      routes: ['/top?board=&limit=', '/games?tag=&genre=&sort=&limit=&offset=', '/games/:appId', '/games/:appId/history?from=&to=', '/search?q=&limit=']
+    };
+  }
+
+  async top(params) {
+    const { data } = await this.snapshot();
+    const board = params.get('board') || 'topByPlayers';
+    if (!(board in DEFAULT_LENGTHS)) throw new ApiError(400, `Unknown board '${board}' - expected ${Object.keys(DEFAULT_LENGTHS).join(', ')}`);
+    const limit = integerParam(params, 'limit', DEFAULT_LENGTHS[board], MAX_LIMIT);
+    return { metadata: { timestamp: data.metadata.timestamp, board }, games: buildLeaderboards(data, { [board]: limit })[board] };
+  }
+
+  async games(params) {
+    const { data, ranked } = await this.snapshot();
+    const sort = params.get('sort') || 'rank';
+    if (!SORTS[sort]) throw new ApiError(400, `Unknown sort '${sort}' - expected ${Object.keys(SORTS).join(', ')}`);
+    const limit = integerParam(params, 'limit', DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = integerParam(params, 'offset', 0);
+
+    const lower = name => (params.get(name) || '').toLowerCase();
+    const tag = lower('tag');
+    const genre = lower('genre');
+    let games = ranked;
+    if (tag) games = games.filter(game => Object.keys(game.tags || {}).some(t => t.toLowerCase() === tag));
+    if (genre) games = games.filter(game => (game.genres || []).some(g => g.toLowerCase() === genre));
+    if (sort !== 'rank') games = [...games].sort(SORTS[sort]);
+
+    return {
+      metadata: { timestamp: data.metadata.timestamp, total: games.length, offset, limit, sort },
+      games: games.slice(offset, offset + limit)
+    };
+  }
+
+  async game(appId) {
+    const { byId } = await this.snapshot();
+    const game = byId.get(appId);
+    if (!game) throw new ApiError(404, `No game ${appId} in the snapshot`);
+    return game;
+  }
+
+  async gameHistory(appId, params) {
+    const { data } = await this.snapshot();
+    const live = await this.liveTimestamp();
+    const latest = Math.max(Date.parse(data.metadata.timestamp), live ? Date.parse(live) : 0);
+    const to = dateParam(params, 'to', latest);
+    const from = dateParam(params, 'from', to - DEFAULT_HISTORY_DAYS * DAY_MS);
+    if (from > to) throw new ApiError(400, 'from must not be after to');
+
+    const points = await this.history.loadSeries(appId, from, to);
+    return { appId, from: new Date(from).toISOString(), to: new Date(to).toISOString(), points };
+  }
+
+  // Games matching q by name - exact, prefix and typo-tolerant token matches, then by players
+  async search(params) {
+    const { data, byId, names } = await this.snapshot();
+    const q = (params.get('q') || '').trim();
+    if (!q) throw new ApiError(400, 'q is required');
+    const limit = integerParam(params, 'limit', DEFAULT_LIMIT, MAX_LIMIT);
+
+    const matches = names.search(q, { limit: Infinity });
+    return {
+      metadata: { timestamp: data.metadata.timestamp, q, total: matches.length },
+      games: matches.slice(0, limit).map(match => ({ ...byId.get(match.appId), score: match.score }))
+    };
+  }
+
+  // Resolve a request to { status, headers, body }
+  async handle(method, url, headers = {}) {
+    const send = (status, body, extra = {}) => ({
+      status,
+      headers: { 'Content-Type': 'application/json; charset=utf-8', 'Access-Control-Allow-Origin': '*', ...extra },
+      body: body === null ? '' : JSON.stringify(body)
+    });
+    if (method !== 'GET' && method !== 'HEAD') return send(405, { error: 'Read-only API' }, { Allow: 'GET, HEAD' });
+
+    try {
+      const { pathname, searchParams } = parseUrl(url);
+      const route = pathname.replace(/\/+$/, '') || '/';
+      const [pattern, resolve] = this.routes.find(([routePattern]) => routePattern.test(route)) || [];
+      if (!pattern) throw new ApiError(404, `No route ${pathname}`);
+
+      const etag = await this.etag(route);
+      const cacheHeaders = { ETag: etag, 'Cache-Control': CACHE_CONTROL };
+      if (matchesETag(headers['if-none-match'], etag)) return send(304, null, cacheHeaders);
+
+      return send(200, await resolve(pattern.exec(route), searchParams), cacheHeaders);
+    } catch (error) {
+      if (error instanceof ApiError) return send(error.status, { error: error.message });
+      console.log(`API error for ${url}: ${error.message}`);
+      return send(500, { error: 'Internal error' });
+    }
+  }
+
+  // Node request listener - always answers, even if handle() or the write throws
+  listener() {
+    return async (req, res) => {
+      try {
+        const { status, headers, body } = await this.handle(req.method, req.url, req.headers);
+        res.writeHead(status, headers);
+        res.end(req.method === 'HEAD' ? undefined : body);
+      } catch (error) {
+        console.log(`API error for ${req.url}: ${error.message}`);
+        if (res.headersSent) return res.destroy();
+        res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ error: 'Internal error' }));
+      }
+    };
+  }
+}
+
+// HTTP server for the API - call listen() on it
+function createApiServer(options = {}) {
+  return http.createServer(new ChartsApi(options).listener());
+}
+
+module.exports = { ChartsApi, ApiError, createApiServer, matchesETag, SORTS, MAX_LIMIT };
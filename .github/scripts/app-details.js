@@ -0,0 +1,196 @@
+/**
+ * Steam Store App Details
+ * Enriches charted games with Steam store appdetails - app type, release date,
+ * header image, platforms, store categories, genres, developers and publishers -
+ * and classifies apps by their store type instead of guessing from the name.
+ *
+ * Details are kept in an on-disk cache, .cache/appdetails.json (restored between
+ * workflow runs by actions/cache):
+ *   { "730": { "fetchedAt": "...", "details": { "type": "game", ... } or null } }
+ * where null means the store has no page for the app. Each run only refreshes
+ * entries that are new or older than the TTL, most played first and at most
+ * `limit` of them - the store API allows ~200 requests per 5 minutes.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { SOURCES } = require('./merge-engine');
+
+// Configuration
+const STEAM_STORE_BASE = process.env.STEAM_STORE_BASE || 'https://store.steampowered.com'; // Overridable for a mock server
+const DEFAULT_CACHE_FILE = path.join(process.cwd(), '.cache', 'appdetails.json');
+const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000; // Store details rarely change within a week
+const DEFAULT_LIMIT = 100; // Store requests per run
+const CHARTED_TYPES = ['game']; // Store types that belong on the charts
+const PLATFORMS = ['windows', 'mac', 'linux'];
+
+// Release date as YYYY-MM-DD - null for "Coming soon", "Q3 2026" and the like
+function parseReleaseDate(date) {
+  const time = Date.parse(date);
+  if (!date || Number.isNaN(time)) return null;
+  const parsed = new Date(time);
+  const pad = number => String(number).padStart(2, '0');
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+}
+
+function descriptions(items) {
+  return (items || []).map(item => item.description).filter(Boolean);
+}
+
+// Compact details from an appdetails response entry - null if the store has no page
+function parseAppDetails(entry) {
+  if (!entry?.success || !entry.data) return null;
+  const data = entry.data;
+
+  return {
+    type: data.type || null,
+    name: data.name || null,
+    releaseDate: parseReleaseDate(data.release_date?.date),
+    comingSoon: Boolean(data.release_date?.coming_soon),
+    headerImage: data.header_image || null,
+    platforms: PLATFORMS.filter(platform => data.platforms?.[platform]),
+    categories: descriptions(data.categories),
+    genres: descriptions(data.genres),
+    developers: data.developers || [],
+    publishers: data.publishers || []
+  };
+}
+
+// Merge engine fields for cached details - names and lists fall back behind SteamSpy's
+function toRecordFields(details) {
+  return {
+    type: details.type,
+    releaseDate: details.releaseDate,
+    comingSoon: details.comingSoon,
+    headerImage: details.headerImage,
+    platforms: details.platforms,
+    categories: details.categories,
+    genre: details.genres,
+    developer: details.developers.join(', '),
+    publisher: details.publishers.join(', '),
+    name: details.name
+  };
+}
+
+// Whether a record belongs on the charts - apps of unknown type are kept
+function isCharted(game) {
+  return !game.type || CHARTED_TYPES.includes(game.type);
+}
+
+class AppDetailsCache {
+  constructor(options = {}) {
+    this.file = options.file || DEFAULT_CACHE_FILE;
+    this.ttl = options.ttl ?? DEFAULT_TTL;
+    this.entries = {};
+    this.loaded = false;
+  }
+
+  // Load the cache - starts empty if there is none yet
+  async load() {
+    if (this.loaded) return this;
+    try {
+      this.entries = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`Failed to load app details cache, starting fresh: ${error.message}`);
+      }
+      this.entries = {};
+    }
+    this.loaded = true;
+    return this;
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+    // Write then rename so a run killed mid-write can't leave a corrupt cache
+    const tempFile = `${this.file}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(this.entries));
+    await fs.rename(tempFile, this.file);
+  }
+
+  get(appId) {
+    return this.entries[appId] || null;
+  }
+
+  set(appId, details, fetchedAt = new Date().toISOString()) {
+    this.entries[appId] = { fetchedAt, details };
+  }
+
+  isFresh(appId, now = Date.now()) {
+    const entry = this.get(appId);
+    return Boolean(entry) && now - new Date(entry.fetchedAt).getTime() < this.ttl;
+  }
+
+  // Known from the store not to be a charted type - stale entries still count
+  isExcluded(appId) {
+    const type = this.get(appId)?.details?.type;
+    return Boolean(type) && !CHARTED_TYPES.includes(type);
+  }
+}
+
+class AppDetailsEnricher {
+  constructor(options = {}) {
+    this.http = options.http;
+    this.cache = options.cache || new AppDetailsCache(options);
+    this.limit = options.limit ?? DEFAULT_LIMIT;
+  }
+
+  // Details for one app - undefined if the request failed, so it's retried next run
+  async fetchDetails(appId) {
+    const url = `${STEAM_STORE_BASE}/api/appdetails?appids=${appId}&l=english`;
+    try {
+      const data = await this.http.getJson(url);
+      return parseAppDetails(data?.[appId]);
+    } catch (error) {
+      console.log(`App details failed for ${appId}: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  // Refresh new and stale entries of appIds (in order, most important first), up to the limit
+  async refresh(appIds) {
+    await this.cache.load();
+    const now = Date.now();
+    const due = appIds.filter(appId => !this.cache.isFresh(appId, now)).slice(0, this.limit);
+
+    // Requests run in parallel, paced by the HTTP client's store rate limit
+    const results = await Promise.all(due.map(appId => this.fetchDetails(appId)));
+    const fetchedAt = new Date().toISOString();
+    let failed = 0;
+    results.forEach((details, index) => {
+      if (details === undefined) failed++;
+      else this.cache.set(due[index], details, fetchedAt);
+    });
+
+    if (due.length > 0) await this.cache.save();
+    return { refreshed: due.length - failed, failed, pending: appIds.filter(appId => !this.cache.isFresh(appId, now)).length };
+  }
+
+  // Refresh the cache for appIds and add every cached entry to the merge engine
+  async enrich(engine, appIds) {
+    const stats = await this.refresh(appIds);
+    let enriched = 0;
+
+    appIds.forEach(appId => {
+      const entry = this.cache.get(appId);
+      if (!entry?.details) return;
+      engine.add(SOURCES.STEAM_APPDETAILS, appId, toRecordFields(entry.details), entry.fetchedAt);
+      enriched++;
+    });
+
+    console.log(`🏪 Store details for ${enriched}/${appIds.length} games (${stats.refreshed} refreshed, ${stats.failed} failed, ${stats.pending} still due)`);
+    return { ...stats, enriched };
+  }
+}
+
+module.exports = {
+  AppDetailsCache,
+  AppDetailsEnricher,
+  parseAppDetails,
+  parseReleaseDate,
+  isCharted,
+  CHARTED_TYPES,
+  DEFAULT_TTL,
+  DEFAULT_LIMIT
+};
@@ -0,0 +1,96 @@
+/**
+ * Fetch Run Checkpoints
+ * Persists the progress of a fetch run - finished pages/appIds, partial merged
+ * state and a cursor - so an interrupted or timed-out run can resume and only
+ * fetch what is still missing.
+ *
+ * Stored in .cache/checkpoints/<name>.json (restored between workflow runs by
+ * actions/cache) and cleared once a run has fetched everything. Checkpoints
+ * older than maxAge are ignored.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Configuration
+const DEFAULT_CHECKPOINT_DIR = path.join(process.cwd(), '.cache', 'checkpoints');
+const DEFAULT_MAX_AGE = 30 * 60 * 1000; // Data older than 30 minutes isn't worth resuming
+
+class Checkpoint {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.file = path.join(options.dir || DEFAULT_CHECKPOINT_DIR, `${name}.json`);
+    this.maxAge = options.maxAge ?? DEFAULT_MAX_AGE;
+    this.state = this.emptyState();
+    this.resumed = false;
+  }
+
+  emptyState() {
+    const now = new Date().toISOString();
+    return { name: this.name, startedAt: now, updatedAt: now, cursor: null, done: {}, partial: {} };
+  }
+
+  // Load a resumable checkpoint - returns true if there was one
+  async load() {
+    try {
+      const state = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      const age = Date.now() - new Date(state.updatedAt).getTime();
+
+      if (!(age <= this.maxAge)) {
+        console.log(`♻️  Ignoring stale checkpoint from ${state.updatedAt}`);
+      } else {
+        this.state = state;
+        this.resumed = true;
+        console.log(`♻️  Resuming ${this.name} run started ${state.startedAt} (cursor: ${JSON.stringify(state.cursor)})`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`Failed to load checkpoint, starting fresh: ${error.message}`);
+      }
+    }
+    return this.resumed;
+  }
+
+  async save() {
+    this.state.updatedAt = new Date().toISOString();
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+    // Write then rename so a run killed mid-write can't leave a corrupt checkpoint
+    const tempFile = `${this.file}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(this.state));
+    await fs.rename(tempFile, this.file);
+  }
+
+  async clear() {
+    await fs.rm(this.file, { force: true });
+  }
+
+  // Finished work items, grouped by kind ('pages', 'tags', 'appIds', ...)
+  isDone(kind, key) {
+    return (this.state.done[kind] || []).includes(key);
+  }
+
+  doneSet(kind) {
+    return new Set(this.state.done[kind] || []);
+  }
+
+  markDone(kind, keys) {
+    const done = this.doneSet(kind);
+    [].concat(keys).forEach(key => done.add(key));
+    this.state.done[kind] = Array.from(done);
+  }
+
+  get cursor() {
+    return this.state.cursor;
+  }
+
+  set cursor(value) {
+    this.state.cursor = value;
+  }
+
+  get partial() {
+    return this.state.partial;
+  }
+}
+
+module.exports = { Checkpoint };
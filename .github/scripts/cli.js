@@ -0,0 +1,378 @@
+#!/usr/bin/env node
+
+/**
+ * Steam Charts CLI
+ *   fetch              Fetch, check and save a new snapshot
+ *   validate [files]   Check data files against the output schemas
+ *   summarize [file]   Rebuild the summary file from a snapshot
+ *   diff <a> <b>       Report what changed between two snapshots
+ *   history <appId>    Print a game's player count history
+ *   impact <events>    Measure player count changes around patch events
+ *   alerts <rules>     Check alert rules between two snapshots
+ *   export [file]      Write a filtered copy of a snapshot
+ *   serve              Serve the saved data over a read-only HTTP API
+ *
+ * Options come from flags, env and charts.config.json (see config.js), e.g.
+ *   node .github/scripts/cli.js fetch --max-pages 5 --tags "" --dry-run
+ */
+
+require('dotenv').config();
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('util');
+const { OPTIONS, DEFAULT_CONFIG_FILE, loadConfig, optionFlags, runOptions, watchlistOptions, flagName } = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPORT_FORMATS = ['json', 'min', 'columnar', 'csv', 'ndjson'];
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Can't read ${file}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+  }
+}
+
+async function exists(file) {
+  return fs.access(file).then(() => true, () => false);
+}
+
+// The given file, else steam-charts.json - or the shard manifest when it isn't written
+async function snapshotPath(config, file) {
+  if (file) return path.resolve(file);
+  const monolithic = path.join(config.dataDir, 'steam-charts.json');
+  return (await exists(monolithic)) ? monolithic : path.join(config.dataDir, 'shards', 'index.json');
+}
+
+// Read a snapshot file, or reassemble one from a shard manifest (shards/index.json)
+async function readSnapshot(file) {
+  const data = await readJson(file);
+  if (!data.shards) return data;
+  const { loadShardedSnapshot } = require('./shards');
+  return loadShardedSnapshot(path.dirname(file));
+}
+
+function integer(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw new Error(`${name} must be a non-negative integer, got ${JSON.stringify(value)}`);
+  return number;
+}
+
+function date(value, name) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`${name} must be a date, got ${JSON.stringify(value)}`);
+  return time;
+}
+
+const COMMANDS = {
+  fetch: {
+    usage: 'fetch',
+    description: 'Fetch, check and save a new snapshot - with --watchlist, only live counts of the watched games until a full crawl is due',
+    async run(config) {
+      if (config.watchlist) {
+        const { WatchlistRunner } = require('./watchlist');
+        const { createAlertEngine } = require('./alerts');
+        // Load the alert rules first, so a broken rules file fails before fetching
+        const alerts = config.alertRules ? await createAlertEngine(config.alertRules) : null;
+        const watchlist = new WatchlistRunner({ ...watchlistOptions(config), alerts });
+        if (!(await watchlist.crawlDue())) {
+          await watchlist.run({ dryRun: config.dryRun });
+          return;
+        }
+        console.log('🕷️  Full crawl due');
+      }
+      const script = config.fetcher === 'steam-charts' ? './fetch-steam-charts' : './fetch-steamspy-data';
+      await require(script).main(runOptions(config));
+    }
+  },
+
+  validate: {
+    usage: 'validate [files...]',
+    description: 'Check data files against the output schemas (default: snapshot, summary, shards and aggregates)',
+    async run(config, args) {
+      const { validate, SCHEMA_VERSION } = require('./schema');
+      const { DIMENSIONS, aggregateFileName } = require('./aggregates');
+      let files = args.map(file => path.resolve(file));
+      if (files.length === 0) {
+        const [snapshot, summary, manifest] = ['steam-charts.json', 'steam-charts-summary.json', path.join('shards', 'index.json')]
+          .map(file => path.join(config.dataDir, file));
+        const hasManifest = await exists(manifest);
+        files = [...(hasManifest && !(await exists(snapshot)) ? [] : [snapshot]), summary, ...(hasManifest ? [manifest] : [])];
+        for (const dimension of Object.keys(DIMENSIONS)) {
+          const aggregate = path.join(config.dataDir, aggregateFileName(dimension));
+          if (await exists(aggregate)) files.push(aggregate);
+        }
+      }
+      let failed = 0;
+
+      for (const file of files) {
+        const name = path.basename(file);
+        const kind = name.includes('summary') ? 'summary' : name.includes('-by-') ? 'aggregate' : name.includes('.min.') ? 'min' : 'snapshot';
+        // A shard manifest is checked as the snapshot its shards add up to
+        const data = await readSnapshot(file);
+        const { valid, errors } = validate(kind, data);
+
+        if (valid && (kind === 'snapshot' || kind === 'min') && config.minGames !== null && data.metadata.totalGames < config.minGames) {
+          errors.push(`$.metadata.totalGames: ${data.metadata.totalGames} games, minimum required: ${config.minGames}`);
+        }
+        if (errors.length === 0) {
+          console.log(`✅ ${name}: valid ${kind} v${SCHEMA_VERSION}`);
+        } else {
+          failed++;
+          console.log(`❌ ${name}: ${errors.length} problems\n  ${errors.slice(0, 10).join('\n  ')}`);
+        }
+      }
+      return failed > 0 ? 1 : 0;
+    }
+  },
+
+  summarize: {
+    usage: 'summarize [snapshot]',
+    description: 'Rebuild steam-charts-summary.json from a snapshot (--dry-run only prints it)',
+    async run(config, args) {
+      const { buildSummary } = require('./leaderboards');
+      const { assertValid } = require('./schema');
+      const summary = assertValid('summary', buildSummary(await readSnapshot(await snapshotPath(config, args[0])), config.leaderboardLengths || {}));
+
+      console.log(`🏆 Top ${Math.min(10, summary.topGames.length)} of ${summary.metadata.totalGames.toLocaleString()} games:`);
+      summary.topGames.slice(0, 10).forEach(g => {
+        console.log(`  ${String(g.rank).padStart(3)}. ${g.name} - ${g.players.toLocaleString()} players`);
+      });
+
+      if (!config.dryRun) {
+        const file = path.join(config.dataDir, 'steam-charts-summary.json');
+        await fs.writeFile(file, JSON.stringify(summary, null, 2));
+        console.log(`💾 Summary saved to: ${file}`);
+      }
+    }
+  },
+
+  diff: {
+    usage: 'diff <a> <b> [--json | --summary] [--limit N] [--out file]',
+    description: 'Compare two snapshots as Markdown, JSON or one line; --out also writes the JSON report',
+    flags: { json: { type: 'boolean' }, summary: { type: 'boolean' }, limit: { type: 'string' }, out: { type: 'string' } },
+    async run(config, args, flags) {
+      const { diffSnapshots, toMarkdown, summaryLine } = require('./snapshot-diff');
+      if (args.length !== 2) throw new Error('diff needs two snapshot files');
+
+      const [before, after] = await Promise.all(args.map(file => readSnapshot(path.resolve(file))));
+      const limit = flags.limit !== undefined ? integer(flags.limit, '--limit') : null;
+      const diff = diffSnapshots(before, after, { limit });
+
+      if (flags.out) await fs.writeFile(flags.out, JSON.stringify(diff, null, 2));
+      if (flags.json) console.log(JSON.stringify(diff, null, 2));
+      else if (flags.summary) console.log(summaryLine(diff));
+      else console.log(toMarkdown(diff));
+    }
+  },
+
+  history: {
+    usage: 'history <appId> [--days N | --from date --to date] [--prices] [--json]',
+    description: 'Print a game\'s player count history (default: last 7 days), or with --prices its price changes',
+    flags: { days: { type: 'string' }, from: { type: 'string' }, to: { type: 'string' }, prices: { type: 'boolean' }, json: { type: 'boolean' } },
+    async run(config, args, flags) {
+      const { HistoryStore } = require('./history-store');
+      if (args.length !== 1) throw new Error('history needs an appId');
+
+      const appId = integer(args[0], 'appId');
+      if (flags.prices) {
+        const { PriceTracker } = require('./price-tracker');
+        const prices = (await new PriceTracker().load()).history(appId);
+        if (flags.json) console.log(JSON.stringify({ appId, prices }, null, 2));
+        else if (prices.length === 0) console.log(`No price history for ${appId}`);
+        else prices.forEach(p => console.log(`${p.at}  ${String(p.price).padStart(8)} of ${String(p.initialPrice).padStart(8)}  -${p.discount}%`));
+        return;
+      }
+      const to = flags.to ? date(flags.to, '--to') : Date.now();
+      const from = flags.from ? date(flags.from, '--from') : to - integer(flags.days ?? 7, '--days') * DAY_MS;
+      const series = await new HistoryStore({ dir: path.join(config.dataDir, 'history') }).loadSeries(appId, from, to);
+
+      if (flags.json) {
+        console.log(JSON.stringify({ appId, from: new Date(from).toISOString(), to: new Date(to).toISOString(), points: series }, null, 2));
+        return;
+      }
+      if (series.length === 0) {
+        console.log(`No history for ${appId} between ${new Date(from).toISOString()} and ${new Date(to).toISOString()}`);
+        return;
+      }
+      series.forEach(point => console.log(`${point.timestamp}  ${point.players.toLocaleString().padStart(12)}`));
+      const players = series.map(p => p.players);
+      console.log(`📈 ${series.length} points, min ${Math.min(...players).toLocaleString()}, max ${Math.max(...players).toLocaleString()}`);
+    }
+  },
+
+  impact: {
+    usage: 'impact <events...> [--all-news] [--json] [--out file]',
+    description: 'Measure player counts around patch events (JSON / NDJSON events or GetNewsForApp responses); --out writes the JSON report',
+    flags: { 'all-news': { type: 'boolean' }, json: { type: 'boolean' }, out: { type: 'string' } },
+    async run(config, args, flags) {
+      const { loadEvents, buildImpactReport } = require('./patch-impact');
+      const { HistoryStore } = require('./history-store');
+      if (args.length === 0) throw new Error('impact needs an events file');
+
+      const events = (await Promise.all(args.map(file => loadEvents(path.resolve(file), { allNews: flags['all-news'] })))).flat();
+      const snapshotFile = await snapshotPath(config);
+      const names = (await exists(snapshotFile))
+        ? new Map(Object.values((await readSnapshot(snapshotFile)).games).map(game => [game.appId, game.name]))
+        : new Map();
+      const report = await buildImpactReport(events, new HistoryStore({ dir: path.join(config.dataDir, 'history') }), { names });
+
+      if (flags.out) await fs.writeFile(flags.out, JSON.stringify(report, null, 2));
+      if (flags.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+      }
+      const percent = value => (value === null ? '-' : `${value > 0 ? '+' : ''}${value}%`);
+      report.impacts.forEach(impact => {
+        const peak = impact.peakAfter === null ? '-' : impact.peakAfter.toLocaleString();
+        console.log(`${impact.at.slice(0, 16)}  ${impact.name || impact.appId}: ${impact.title || impact.id}`);
+        console.log(`    24h ${percent(impact.change24h).padStart(8)}   7d ${percent(impact.change7d).padStart(8)}${impact.complete ? '' : ' (so far)'}   peak after ${peak}`);
+      });
+      console.log(`🩹 ${report.metadata.events} events for ${report.metadata.games} games`);
+    }
+  },
+
+  alerts: {
+    usage: 'alerts <rules> <before> [after] [--send]',
+    description: 'Check alert rules between two snapshots (after: the saved one) - only prints them unless --send notifies and records them',
+    flags: { send: { type: 'boolean' } },
+    async run(config, args, flags) {
+      const { createAlertEngine } = require('./alerts');
+      if (args.length < 2 || args.length > 3) throw new Error('alerts needs a rules file and a snapshot to compare with');
+
+      const engine = await createAlertEngine(path.resolve(args[0]));
+      const before = await readSnapshot(path.resolve(args[1]));
+      const after = await readSnapshot(await snapshotPath(config, args[2]));
+      await engine.run(after, before, { dryRun: !flags.send });
+    }
+  },
+
+  export: {
+    usage: 'export [snapshot] [--at date | --ref commit] [--format json|min|columnar|csv|ndjson] [--top N] [--fields a,b] [--out file]',
+    description: 'Write a copy of a snapshot (or one committed in the past), optionally limited to the top N games and some fields',
+    flags: {
+      at: { type: 'string' },
+      ref: { type: 'string' },
+      format: { type: 'string' },
+      top: { type: 'string' },
+      fields: { type: 'string' },
+      'list-delimiter': { type: 'string' },
+      out: { type: 'string' }
+    },
+    async run(config, args, flags) {
+      const format = flags.format || 'json';
+      if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown export format '${format}' - expected ${EXPORT_FORMATS.join(', ')}`);
+      if (format === 'columnar' && !flags.out) throw new Error('--format columnar needs --out');
+
+      let data;
+      if (flags.at || flags.ref) {
+        const { loadCommittedSnapshot } = require('./snapshot');
+        data = await loadCommittedSnapshot({ at: flags.at, ref: flags.ref });
+      } else {
+        data = await readSnapshot(await snapshotPath(config, args[0]));
+      }
+      let games = Object.values(data.games).sort((a, b) => a.rank - b.rank);
+      if (flags.top !== undefined) games = games.slice(0, integer(flags.top, '--top'));
+      const fields = flags.fields ? flags.fields.split(',').map(f => f.trim()).filter(Boolean) : null;
+
+      let output;
+      if (format === 'csv' || format === 'ndjson') {
+        // Flattened columns (see tabular-export.js) rather than snapshot fields
+        const { toCsv, toNdjson } = require('./tabular-export');
+        output = (format === 'csv' ? toCsv : toNdjson)(games, { columns: fields || undefined, listDelimiter: flags['list-delimiter'] });
+      } else {
+        if (fields) {
+          games = games.map(game => Object.fromEntries(['appId', ...fields].filter(f => f in game).map(f => [f, game[f]])));
+        }
+        const exported = { metadata: data.metadata, games: Object.fromEntries(games.map(g => [g.appId, g])) };
+        if (format === 'columnar') {
+          const { encodeTable, snapshotTable } = require('./columnar');
+          const table = snapshotTable(exported, games);
+          // Only the columns of the exported fields
+          if (fields) table.columns = table.columns.filter(column => games.some(game => column.name in game));
+          output = encodeTable(table);
+        } else {
+          output = format === 'min' ? JSON.stringify(exported) : JSON.stringify(exported, null, 2);
+        }
+      }
+
+      if (!flags.out) {
+        process.stdout.write(output.endsWith('\n') ? output : output + '\n');
+        return;
+      }
+      await fs.writeFile(flags.out, output);
+      console.log(`💾 Exported ${games.length.toLocaleString()} games to: ${flags.out}`);
+    }
+  },
+
+  serve: {
+    usage: 'serve [--port N] [--host host]',
+    description: 'Serve the saved snapshot and history over a read-only JSON API (default port 8080, env PORT)',
+    flags: { port: { type: 'string' }, host: { type: 'string' } },
+    async run(config, args, flags) {
+      const { createApiServer } = require('./api-server');
+      const port = integer(flags.port ?? process.env.PORT ?? 8080, '--port');
+      const host = flags.host || '127.0.0.1';
+
+      const server = createApiServer({ dataDir: config.dataDir });
+      await new Promise((resolve, reject) => server.once('error', reject).listen(port, host, resolve));
+      console.log(`🌐 Serving ${config.dataDir} on http://${host}:${server.address().port}`);
+      // Run until interrupted
+      await new Promise(resolve => process.once('SIGINT', resolve).once('SIGTERM', resolve));
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+};
+
+function help() {
+  const lines = ['Usage: node .github/scripts/cli.js <command> [options]', '', 'Commands:'];
+  Object.values(COMMANDS).forEach(c => lines.push(`  ${c.usage}`, `      ${c.description}`));
+  lines.push('', `Options (flag / env / ${DEFAULT_CONFIG_FILE} key):`);
+  lines.push(`  ${'--config <file>'.padEnd(30)} Config file (env CHARTS_CONFIG)`);
+  Object.entries(OPTIONS).forEach(([key, option]) => {
+    const flag = option.type === 'boolean' ? `--[no-]${flagName(key)}` : `--${flagName(key)} <${option.type}>`;
+    lines.push(`  ${flag.padEnd(30)} ${option.description} (env ${option.env}, key ${key})`);
+  });
+  return lines.join('\n');
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const [name, ...rest] = argv;
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    console.log(help());
+    return 0;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`❌ Unknown command '${name}'\n\n${help()}`);
+    return 1;
+  }
+
+  try {
+    const { values, positionals } = parseArgs({
+      args: rest,
+      options: { ...optionFlags(), ...(command.flags || {}) },
+      allowPositionals: true
+    });
+    const config = await loadConfig({ flags: values });
+
+    // Modules place their data files under DATA_DIR when they are loaded
+    process.env.DATA_DIR = config.dataDir;
+    if (config.configFile) console.error(`⚙️  Using config: ${config.configFile}`);
+
+    return (await command.run(config, positionals, values)) || 0;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, COMMANDS };
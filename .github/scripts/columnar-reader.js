@@ -0,0 +1,78 @@
+/**
+ * Columnar Reader
+ * Decodes the binary tables written by columnar.js (steam-charts.bin,
+ * steam-charts-history.bin). Dependency-free and browser-safe: it only uses
+ * ArrayBuffer, DataView, typed arrays and TextDecoder.
+ *
+ *   const table = decodeTable(await (await fetch('steam-charts.bin')).arrayBuffer());
+ *   table.columns.currentPlayers // Uint32Array, one entry per row
+ */
+
+const MAGIC = 'SCCF';
+const FORMAT_VERSION = 1;
+const PREAMBLE_SIZE = 12; // magic, version, 3 reserved bytes, header length
+
+const ARRAY_TYPES = {
+  uint8: Uint8Array,
+  uint32: Uint32Array,
+  int32: Int32Array,
+  float32: Float32Array,
+  float64: Float64Array
+};
+
+function align(offset) {
+  return Math.ceil(offset / 8) * 8;
+}
+
+// Decode a table from an ArrayBuffer, typed array or Node Buffer.
+// Returns { version, kind, metadata, rows, columns: { [name]: TypedArray | Array } }
+function decodeTable(input) {
+  let bytes = input instanceof ArrayBuffer ? new Uint8Array(input) : new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  // Typed array views need 8-byte aligned offsets into their buffer
+  if (bytes.byteOffset % 8 !== 0) bytes = bytes.slice();
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  if (bytes.byteLength < PREAMBLE_SIZE || decoder.decode(bytes.subarray(0, 4)) !== MAGIC) {
+    throw new Error('Not a columnar table (bad magic)');
+  }
+  const version = view.getUint8(4);
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported columnar format version ${version}`);
+  }
+
+  const headerLength = view.getUint32(8, true);
+  const header = JSON.parse(decoder.decode(bytes.subarray(PREAMBLE_SIZE, PREAMBLE_SIZE + headerLength)));
+  const dataStart = align(PREAMBLE_SIZE + headerLength);
+  const columns = {};
+
+  header.columns.forEach(column => {
+    const start = bytes.byteOffset + dataStart + column.offset;
+    if (column.type === 'string') {
+      // rows + 1 uint32 offsets, then the UTF-8 bytes
+      const offsets = new Uint32Array(bytes.buffer, start, header.rows + 1);
+      const text = new Uint8Array(bytes.buffer, start + offsets.byteLength, column.byteLength - offsets.byteLength);
+      columns[column.name] = Array.from({ length: header.rows }, (_, i) => decoder.decode(text.subarray(offsets[i], offsets[i + 1])));
+    } else if (column.type === 'dict') {
+      const indices = new Uint8Array(bytes.buffer, start, header.rows);
+      columns[column.name] = Array.from(indices, index => column.values[index]);
+    } else {
+      const ArrayType = ARRAY_TYPES[column.type];
+      if (!ArrayType) throw new Error(`Unknown column type ${column.type}`);
+      columns[column.name] = new ArrayType(bytes.buffer, start, header.rows);
+    }
+  });
+
+  return { version, kind: header.kind, metadata: header.metadata, rows: header.rows, columns };
+}
+
+// Row objects from a decoded table (float32 NaN becomes null)
+function toRecords(table) {
+  const names = Object.keys(table.columns);
+  return Array.from({ length: table.rows }, (_, row) => Object.fromEntries(names.map(name => {
+    const value = table.columns[name][row];
+    return [name, typeof value === 'number' && Number.isNaN(value) ? null : value];
+  })));
+}
+
+module.exports = { decodeTable, toRecords, MAGIC, FORMAT_VERSION, PREAMBLE_SIZE, ARRAY_TYPES, align };
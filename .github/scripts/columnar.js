@@ -0,0 +1,136 @@
+/**
+ * Columnar Export
+ * Encodes the snapshot and recent history as compact binary tables for the
+ * chart frontend, which can plot straight from typed arrays instead of parsing
+ * tens of thousands of JSON records. Decode them with columnar-reader.js.
+ *
+ * Layout (little-endian):
+ *   0   "SCCF" magic, uint8 format version, 3 reserved bytes
+ *   8   uint32 header length, then the UTF-8 JSON header:
+ *       { kind, metadata, rows, columns: [{ name, type, offset, byteLength, values? }] }
+ *   ... column blocks, each 8-byte aligned; offsets are relative to the first block
+ *
+ * Column types: uint8 / uint32 / int32 / float32 / float64 arrays of `rows` values,
+ * dict (uint8 indices into the header's `values`) and string (rows + 1 uint32
+ * offsets followed by the UTF-8 bytes). Missing counts are 0, missing floats NaN.
+ */
+
+const { MAGIC, FORMAT_VERSION, PREAMBLE_SIZE, ARRAY_TYPES, align } = require('./columnar-reader');
+
+// Configuration
+const HISTORY_GAMES = 100; // Top games whose history is exported
+const HISTORY_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Column data as bytes, plus any extra header fields
+function encodeColumn(column, rows) {
+  if (column.type === 'string') {
+    const encoder = new TextEncoder();
+    const parts = column.values.map(value => encoder.encode(value ?? ''));
+    const offsets = new Uint32Array(rows + 1);
+    parts.forEach((part, i) => {
+      offsets[i + 1] = offsets[i] + part.byteLength;
+    });
+    return { bytes: Buffer.concat([Buffer.from(offsets.buffer), ...parts]) };
+  }
+
+  if (column.type === 'dict') {
+    const values = [...new Set(column.values)];
+    if (values.length > 256) throw new Error(`Too many distinct values for dict column ${column.name}`);
+    const indices = Uint8Array.from(column.values, value => values.indexOf(value));
+    return { bytes: Buffer.from(indices.buffer), values };
+  }
+
+  const ArrayType = ARRAY_TYPES[column.type];
+  if (!ArrayType) throw new Error(`Unknown column type ${column.type}`);
+  const isFloat = column.type.startsWith('float');
+  const array = ArrayType.from(column.values, value => (value === null || value === undefined ? (isFloat ? NaN : 0) : Number(value)));
+  return { bytes: Buffer.from(array.buffer) };
+}
+
+// Encode { kind, metadata, columns: [{ name, type, values }] } - every column needs the same length
+function encodeTable({ kind, metadata, columns }) {
+  const rows = columns.length > 0 ? columns[0].values.length : 0;
+  const blocks = [];
+  const header = { kind, metadata, rows, columns: [] };
+  let offset = 0;
+
+  columns.forEach(column => {
+    if (column.values.length !== rows) {
+      throw new Error(`Column ${column.name} has ${column.values.length} values, expected ${rows}`);
+    }
+    const { bytes, values } = encodeColumn(column, rows);
+    header.columns.push({ name: column.name, type: column.type, offset, byteLength: bytes.byteLength, ...(values ? { values } : {}) });
+    blocks.push({ offset, bytes });
+    offset = align(offset + bytes.byteLength);
+  });
+
+  const headerBytes = Buffer.from(JSON.stringify(header));
+  const dataStart = align(PREAMBLE_SIZE + headerBytes.byteLength);
+  const output = Buffer.alloc(dataStart + offset);
+
+  output.write(MAGIC, 0, 'latin1');
+  output.writeUInt8(FORMAT_VERSION, 4);
+  output.writeUInt32LE(headerBytes.byteLength, 8);
+  headerBytes.copy(output, PREAMBLE_SIZE);
+  blocks.forEach(block => block.bytes.copy(output, dataStart + block.offset));
+
+  return output;
+}
+
+// One row per game, in rank order (or the order of `games`, if given)
+function snapshotTable(data, games = Object.values(data.games).sort((a, b) => a.rank - b.rank)) {
+  const column = (name, type, value = game => game[name]) => ({ name, type, values: games.map(value) });
+
+  return {
+    kind: 'snapshot',
+    metadata: data.metadata,
+    columns: [
+      column('appId', 'uint32'),
+      column('rank', 'uint32'),
+      column('currentPlayers', 'uint32'),
+      column('peak24h', 'uint32'),
+      column('avg30d', 'uint32'),
+      column('allTimePeak', 'uint32'),
+      column('trendDelta', 'float32'),
+      column('trending', 'dict'),
+      column('price', 'uint32'),
+      column('discount', 'uint8'),
+      column('positive', 'uint32'),
+      column('negative', 'uint32'),
+      column('name', 'string')
+    ]
+  };
+}
+
+// One row per history point of the top `games` games over the last `days` days,
+// grouped by game (in rank order) and oldest first
+async function historyTable(data, store, options = {}) {
+  const games = Object.values(data.games).sort((a, b) => a.rank - b.rank).slice(0, options.games ?? HISTORY_GAMES);
+  const to = new Date(data.metadata.timestamp).getTime();
+  const from = to - (options.days ?? HISTORY_DAYS) * DAY_MS;
+  const seriesByApp = await store.loadSeriesMany(games.map(game => game.appId), from, to);
+
+  const appIds = [];
+  const times = [];
+  const players = [];
+  seriesByApp.forEach((points, appId) => {
+    points.forEach(point => {
+      appIds.push(appId);
+      times.push(Math.floor(new Date(point.timestamp).getTime() / 1000));
+      players.push(point.players);
+    });
+  });
+
+  return {
+    kind: 'history',
+    metadata: { timestamp: data.metadata.timestamp, from: new Date(from).toISOString(), to: new Date(to).toISOString(), games: games.length },
+    columns: [
+      { name: 'appId', type: 'uint32', values: appIds },
+      { name: 'time', type: 'uint32', values: times },
+      { name: 'players', type: 'uint32', values: players }
+    ]
+  };
+}
+
+module.exports = { encodeTable, snapshotTable, historyTable, HISTORY_GAMES, HISTORY_DAYS };
@@ -0,0 +1,184 @@
+/**
+ * Run Configuration
+ * Options for the CLI and the fetchers, merged from (highest first):
+ * command-line flags, environment variables, a JSON config file and defaults.
+ *
+ * The config file is charts.config.json in the working directory, or the file
+ * given by --config / CHARTS_CONFIG, e.g. { "maxPages": 10, "tags": ["RPG"] }.
+ * Options left unset (null) use the fetcher's built-in default.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_LENGTHS } = require('./leaderboards');
+
+// Configuration
+const DEFAULT_CONFIG_FILE = 'charts.config.json';
+const FETCHERS = ['steamspy', 'steam-charts'];
+
+// Option -> { type, env, default, description }. Flags are the kebab-case names.
+const OPTIONS = {
+  fetcher: { type: 'string', env: 'FETCHER', default: 'steamspy', choices: FETCHERS, description: 'Fetcher to run: steamspy or steam-charts' },
+  minGames: { type: 'integer', env: 'MIN_GAMES', default: null, description: 'Fail the run below this many active games' },
+  targetGames: { type: 'integer', env: 'TARGET_GAMES', default: null, description: 'Games to aim for (steamspy skips tags above it)' },
+  maxPages: { type: 'integer', env: 'MAX_PAGES', default: null, description: 'SteamSpy pages to fetch at most' },
+  tags: { type: 'list', env: 'TAGS', default: null, description: 'Comma-separated SteamSpy tags to fetch ("" for none)' },
+  liveCountLimit: { type: 'integer', env: 'LIVE_COUNT_LIMIT', default: null, description: 'Top games to refresh with live Steam counts' },
+  appDetailsLimit: { type: 'integer', env: 'APP_DETAILS_LIMIT', default: null, description: 'Stale or new store details to fetch per run' },
+  leaderboardLengths: { type: 'lengths', env: 'LEADERBOARD_LENGTHS', default: null, choices: Object.keys(DEFAULT_LENGTHS), description: 'Summary leaderboard lengths, e.g. "gainers=50,losers=50"' },
+  dataDir: { type: 'string', env: 'DATA_DIR', default: path.join('public', 'data'), description: 'Directory of the published data files' },
+  shards: { type: 'boolean', env: 'SHARDED_OUTPUT', default: false, description: 'Write per-appId-range shard files and a manifest' },
+  monolithic: { type: 'boolean', env: 'MONOLITHIC_OUTPUT', default: true, description: 'Write the full steam-charts.json / .min.json files' },
+  columnar: { type: 'boolean', env: 'COLUMNAR_OUTPUT', default: false, description: 'Write the binary columnar tables (.bin, .gz, .br)' },
+  aggregates: { type: 'boolean', env: 'AGGREGATE_OUTPUT', default: false, description: 'Write the per-tag, -genre, -publisher and -developer charts' },
+  searchIndex: { type: 'boolean', env: 'SEARCH_INDEX_OUTPUT', default: false, description: 'Write the game name search index' },
+  watchlist: { type: 'boolean', env: 'WATCHLIST', default: false, description: 'Between full crawls, only fetch live counts of the watched games' },
+  watchAppIds: { type: 'list', env: 'WATCH_APP_IDS', default: null, description: 'Comma-separated appIds watched in watchlist mode' },
+  watchTop: { type: 'integer', env: 'WATCH_TOP', default: null, description: 'Top games of the last snapshot watched in watchlist mode' },
+  crawlIntervalHours: { type: 'integer', env: 'CRAWL_INTERVAL_HOURS', default: null, description: 'Hours between full crawls in watchlist mode' },
+  alertRules: { type: 'string', env: 'ALERT_RULES', default: null, description: 'Alert rules file checked after every run (see alerts.js)' },
+  qualityGate: { type: 'boolean', env: 'QUALITY_GATE', default: true, description: 'Compare with the last snapshot before saving' },
+  dryRun: { type: 'boolean', env: 'DRY_RUN', default: false, description: 'Fetch and check, but don\'t save anything' }
+};
+
+function flagName(key) {
+  return key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+// util.parseArgs definitions for every option - booleans also get a --no- form
+function optionFlags() {
+  const flags = { config: { type: 'string' } };
+  Object.entries(OPTIONS).forEach(([key, option]) => {
+    const name = flagName(key);
+    if (option.type === 'boolean') {
+      flags[name] = { type: 'boolean' };
+      flags[`no-${name}`] = { type: 'boolean' };
+    } else {
+      flags[name] = { type: 'string' };
+    }
+  });
+  return flags;
+}
+
+// Convert a raw value (flag/env string or config file value) to the option's type
+function coerce(key, value, origin) {
+  const option = OPTIONS[key];
+  const fail = expected => {
+    throw new Error(`Invalid ${origin} value for ${key}: ${JSON.stringify(value)} (expected ${expected})`);
+  };
+
+  switch (option.type) {
+    case 'integer': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isInteger(number) || number < 0 || String(value).trim() === '') fail('a non-negative integer');
+      return number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (['1', 'true', 'yes'].includes(String(value).toLowerCase())) return true;
+      if (['0', 'false', 'no'].includes(String(value).toLowerCase())) return false;
+      return fail('true or false');
+    case 'lengths': {
+      // "board=N,board=N" from flags and env, { "board": N } from the config file
+      let entries;
+      if (typeof value === 'string') entries = value.split(',').filter(item => item.trim()).map(item => item.split('=').map(part => part.trim()));
+      else if (value && typeof value === 'object' && !Array.isArray(value)) entries = Object.entries(value);
+      else fail('board=N pairs');
+      return Object.fromEntries(entries.map(([board, length]) => {
+        const number = typeof length === 'number' ? length : Number(length);
+        if (!option.choices.includes(board)) fail(`boards ${option.choices.join(', ')}`);
+        if (!Number.isInteger(number) || number < 0 || length === '') fail('board=N pairs with non-negative integers');
+        return [board, number];
+      }));
+    }
+    case 'list':
+      if (Array.isArray(value)) return value.map(String);
+      if (typeof value !== 'string') fail('a list');
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      if (typeof value !== 'string') fail('a string');
+      if (option.choices && !option.choices.includes(value)) fail(option.choices.join(' or '));
+      return value;
+  }
+}
+
+async function readConfigFile(file) {
+  try {
+    const config = JSON.parse(await fs.readFile(file, 'utf8'));
+    const unknown = Object.keys(config).filter(key => !OPTIONS[key]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown option${unknown.length > 1 ? 's' : ''} in ${file}: ${unknown.join(', ')}`);
+    }
+    return config;
+  } catch (error) {
+    if (error instanceof SyntaxError) throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+    throw error;
+  }
+}
+
+// Resolve every option. `flags` are util.parseArgs values (kebab-case names).
+// Returns the options plus `configFile` (the file used, if any).
+async function loadConfig({ flags = {}, env = process.env, cwd = process.cwd() } = {}) {
+  let configFile = flags.config || env.CHARTS_CONFIG || null;
+  if (!configFile) {
+    const candidate = path.join(cwd, DEFAULT_CONFIG_FILE);
+    const exists = await fs.access(candidate).then(() => true, () => false);
+    if (exists) configFile = candidate;
+  }
+  const fileConfig = configFile ? await readConfigFile(path.resolve(cwd, configFile)) : {};
+
+  const config = { configFile };
+  Object.entries(OPTIONS).forEach(([key, option]) => {
+    const name = flagName(key);
+    if (flags[`no-${name}`]) {
+      config[key] = false;
+    } else if (flags[name] !== undefined) {
+      config[key] = coerce(key, flags[name], `--${name}`);
+    } else if (env[option.env] !== undefined && env[option.env] !== '') {
+      config[key] = coerce(key, env[option.env], option.env);
+    } else if (fileConfig[key] !== undefined && fileConfig[key] !== null) {
+      config[key] = coerce(key, fileConfig[key], configFile);
+    } else {
+      config[key] = option.default;
+    }
+  });
+
+  config.dataDir = path.resolve(cwd, config.dataDir);
+  if (config.alertRules) config.alertRules = path.resolve(cwd, config.alertRules);
+  return config;
+}
+
+// Fetcher constructor options from a config - unset options are left out
+function fetcherOptions(config) {
+  const options = {};
+  ['minGames', 'targetGames', 'maxPages', 'tags', 'liveCountLimit', 'appDetailsLimit', 'leaderboardLengths'].forEach(key => {
+    if (config[key] !== null && config[key] !== undefined) options[key] = config[key];
+  });
+  return options;
+}
+
+// Options for a fetcher's main(): the fetcher options plus output and run switches
+function runOptions(config) {
+  return {
+    ...fetcherOptions(config),
+    shards: config.shards,
+    monolithic: config.monolithic,
+    columnar: config.columnar,
+    aggregates: config.aggregates,
+    searchIndex: config.searchIndex,
+    alertRules: config.alertRules,
+    qualityGate: config.qualityGate,
+    dryRun: config.dryRun
+  };
+}
+
+// WatchlistRunner options from a config - unset options are left out
+function watchlistOptions(config) {
+  const options = {};
+  [['watchAppIds', 'appIds'], ['watchTop', 'top'], ['crawlIntervalHours', 'crawlIntervalHours'], ['appDetailsLimit', 'appDetailsLimit']].forEach(([key, option]) => {
+    if (config[key] !== null && config[key] !== undefined) options[option] = config[key];
+  });
+  return options;
+}
+
+module.exports = { OPTIONS, DEFAULT_CONFIG_FILE, loadConfig, optionFlags, fetcherOptions, runOptions, watchlistOptions, flagName };
@@ -6,74 +6,73 @@
  * Target: Minimum 10,000 games, ideally 50,000+
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-
-// AGGRESSIVE CONFIGURATION
-const OUTPUT_FILE = 'public/data/steam-charts.json';
+require('dotenv').config();
+
+const { HistoryStore } = require('./history-store');
+const { TrendCalculator } = require('./trends');
+const { PeakTracker } = require('./peak-tracker');
+const { PriceTracker } = require('./price-tracker');
+const { createSinks, writeToSinks } = require('./output-sinks');
+const { MergeEngine, SOURCES, fromSteamSpy } = require('./merge-engine');
+const { AppDetailsEnricher, isCharted } = require('./app-details');
+const { SCHEMA_VERSION, assertValid } = require('./schema');
+const { QualityGate } = require('./quality-gate');
+const { createAlertEngine } = require('./alerts');
+const { loadSnapshot } = require('./snapshot');
+const { Checkpoint } = require('./checkpoint');
+const { getDefaultClient } = require('./http-client');
+const { loadConfig, runOptions } = require('./config');
+
+// AGGRESSIVE CONFIGURATION - defaults, overridable through the CLI (see config.js)
 const MIN_GAMES_REQUIRED = 10000; // MINIMUM requirement
 const TARGET_GAMES = 50000; // Target goal
-const MAX_CONCURRENT_REQUESTS = 500; // Was 10 - EXTREME PARALLELIZATION
-const REQUEST_DELAY = 0; // Was 100ms - NO DELAY FOR MAXIMUM SPEED
-const BATCH_SIZE = 5000; // Process in large batches
 const MAX_RETRIES = 5; // Retry failed requests
-const INTERMEDIATE_SAVE_INTERVAL = 2000; // Save progress every 2000 games
+const CHECKPOINT_INTERVAL = 2000; // Save progress every 2000 games
+// Concurrency and per-host rate limits are enforced by the shared HTTP client
 
 // Steam API endpoints
-const STEAM_API_BASE = 'https://api.steampowered.com';
-const STEAMSPY_API_BASE = 'https://steamspy.com/api.php';
+// Overridable to point the fetcher at a mock server
+const STEAM_API_BASE = process.env.STEAM_API_BASE || 'https://api.steampowered.com';
+const STEAMSPY_API_BASE = process.env.STEAMSPY_API_BASE || 'https://steamspy.com/api.php';
 const STEAMCHARTS_API = 'https://steamcharts.com/api';
 
 class SteamDataFetcher {
-  constructor() {
+  constructor(options = {}) {
+    this.http = options.http || getDefaultClient();
     this.games = {};
     this.allSteamApps = [];
     this.totalPlayers = 0;
     this.processedGames = 0;
     this.failedRequests = 0;
     this.startTime = Date.now();
+    this.peakTracker = new PeakTracker();
+    this.priceTracker = new PriceTracker();
+    this.sinks = options.sinks || createSinks(process.env, {
+      leaderboardLengths: options.leaderboardLengths,
+      shards: options.shards,
+      monolithic: options.monolithic,
+      columnar: options.columnar,
+      aggregates: options.aggregates,
+      searchIndex: options.searchIndex
+    });
+    this.checkpoint = options.checkpoint || new Checkpoint('steam-charts');
+    this.checkpointInterval = options.checkpointInterval ?? CHECKPOINT_INTERVAL;
+    this.minGames = options.minGames ?? MIN_GAMES_REQUIRED;
+    this.targetGames = options.targetGames ?? TARGET_GAMES;
+    this.appDetails = options.appDetails || new AppDetailsEnricher({ http: this.http, limit: options.appDetailsLimit });
   }
 
-  // Helper function to make HTTP requests with aggressive retry logic
+  // Fetch JSON through the shared HTTP client - returns null on failure instead of throwing
   async makeRequest(url, retries = MAX_RETRIES) {
-    for (let i = 0; i < retries; i++) {
-      try {
-        const response = await fetch(url, { 
-          timeout: 10000,
-          headers: {
-            'User-Agent': 'GamePatchNote-Charts/2.0.0'
-          }
-        });
-        if (response.ok) {
-          return await response.json();
-        }
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      } catch (error) {
-        this.failedRequests++;
-        if (i === retries - 1) {
-          console.log(`Final request failure: ${url.substring(0, 100)}...`);
-          return null;
-        }
-        // Exponential backoff only on failures
-        if (i > 0) await this.sleep(100 * i);
-      }
-    }
-  }
-
-  // Fetch with retry wrapper - returns null on failure instead of throwing
-  async fetchWithRetry(url) {
     try {
-      return await this.makeRequest(url);
+      return await this.http.getJson(url, { retries });
     } catch (error) {
+      this.failedRequests++;
+      console.log(`Final request failure: ${url.substring(0, 100)}... (${error.message})`);
       return null;
     }
   }
 
-  // Helper function to add delay between requests
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   // Fetch ALL Steam applications (260,000+ apps)
   async fetchAllSteamApps() {
     console.log('🚀 FETCHING ALL STEAM APPS (260,000+ expected)...');
@@ -85,19 +84,10 @@ class SteamDataFetcher {
         const allApps = data.applist.apps;
         console.log(`✅ Found ${allApps.length.toLocaleString()} total Steam apps`);
         
-        // Filter to games only (exclude DLC, software, etc)
-        const gameApps = allApps.filter(app => {
-          const name = app.name?.toLowerCase() || '';
-          return app.name && 
-                 !name.includes('dlc') && 
-                 !name.includes('soundtrack') &&
-                 !name.includes('demo') &&
-                 !name.includes('trailer') &&
-                 !name.includes('beta') &&
-                 !name.includes('test') &&
-                 !name.includes('dedicated server') &&
-                 name.length > 1;
-        });
+        // Skip apps the store has classified as DLC, soundtracks, demos, software, ... -
+        // the rest are classified once they have players (see fetchAllSteamData)
+        await this.appDetails.cache.load();
+        const gameApps = allApps.filter(app => app.name && app.name.trim().length > 1 && !this.appDetails.cache.isExcluded(app.appid));
         
         console.log(`🎮 Filtered to ${gameApps.length.toLocaleString()} potential games`);
         this.allSteamApps = gameApps;
@@ -139,29 +129,28 @@ class SteamDataFetcher {
     // Fetch from multiple SteamSpy endpoints
     const requests = [
       // Primary all games request
-      `${STEAMSPY_API_BASE}?request=all`,
+      { url: `${STEAMSPY_API_BASE}?request=all`, source: SOURCES.STEAMSPY_ALL },
       // Top games by player count
-      `${STEAMSPY_API_BASE}?request=top100in2weeks`,
-      `${STEAMSPY_API_BASE}?request=top100forever`,
-      `${STEAMSPY_API_BASE}?request=top100owned`
+      { url: `${STEAMSPY_API_BASE}?request=top100in2weeks`, source: SOURCES.STEAMSPY_TOP100 },
+      { url: `${STEAMSPY_API_BASE}?request=top100forever`, source: SOURCES.STEAMSPY_TOP100 },
+      { url: `${STEAMSPY_API_BASE}?request=top100owned`, source: SOURCES.STEAMSPY_TOP100 }
     ];
     
-    for (const url of requests) {
+    for (const { url, source } of requests) {
       try {
         console.log(`Fetching: ${url}`);
         const data = await this.makeRequest(url);
+        const fetchedAt = new Date().toISOString();
         
         if (data && typeof data === 'object') {
           const games = Object.entries(data)
             .map(([appId, gameData]) => ({
               appId: parseInt(appId),
-              name: gameData.name || `Game ${appId}`,
-              currentPlayers: 0, // SteamSpy doesn't provide current players
-              owners: gameData.owners || 0,
-              averagePlaytime: gameData.average_playtime || 0,
-              source: 'steamspy'
+              source,
+              fetchedAt,
+              fields: fromSteamSpy(gameData)
             }))
-            .filter(game => game.appId && game.name && !isNaN(game.appId));
+            .filter(game => game.appId && !isNaN(game.appId));
           
           allGames.push(...games);
         }
@@ -170,18 +159,11 @@ class SteamDataFetcher {
       }
     }
     
-    // Deduplicate by appId
-    const uniqueGames = [];
-    const seenIds = new Set();
-    for (const game of allGames) {
-      if (!seenIds.has(game.appId)) {
-        seenIds.add(game.appId);
-        uniqueGames.push(game);
-      }
-    }
-    
-    console.log(`✅ Found ${uniqueGames.length} unique games from SteamSpy`);
-    return uniqueGames;
+    // Every record is kept - a game listed by several endpoints is merged by the
+    // merge engine, field by field, instead of keeping only the first record
+    const uniqueCount = new Set(allGames.map(game => game.appId)).size;
+    console.log(`✅ Found ${uniqueCount} unique games (${allGames.length} records) from SteamSpy`);
+    return allGames;
   }
 
   // Fetch current player count for a specific game
@@ -199,83 +181,51 @@ class SteamDataFetcher {
     return 0;
   }
 
-  // AGGRESSIVE PARALLEL PROCESSING - 500 concurrent requests
+  // PARALLEL PROCESSING - the HTTP client's pool caps requests in flight,
+  // chunks only bound memory and set how often progress is checkpointed.
+  // appIds already done in an interrupted run are taken from the checkpoint
   async fetchPlayerCountsParallel(appIds) {
-    console.log(`🚀 PROCESSING ${appIds.length.toLocaleString()} games with ${MAX_CONCURRENT_REQUESTS} concurrent requests...`);
-    
-    const promises = appIds.map(appId => 
-      this.fetchWithRetry(`${STEAM_API_BASE}/ISteamUserStats/GetNumberOfCurrentPlayers/v1/?appid=${appId}`)
-        .then(data => ({
-          appId,
-          players: data?.response?.result === 1 ? (data.response.player_count || 0) : 0
-        }))
-        .catch(() => ({ appId, players: 0 }))
-    );
+    const done = this.checkpoint.doneSet('appIds');
+    const counts = this.checkpoint.partial.counts || {};
+    const pending = appIds.filter(appId => !done.has(appId));
+    if (done.size > 0) {
+      console.log(`♻️  ${done.size.toLocaleString()} games already done, ${pending.length.toLocaleString()} remaining`);
+    }
+    console.log(`🚀 PROCESSING ${pending.length.toLocaleString()} games with ${this.http.concurrency} concurrent requests...`);
     
-    // Process in batches of MAX_CONCURRENT_REQUESTS
     const results = [];
-    for (let i = 0; i < promises.length; i += MAX_CONCURRENT_REQUESTS) {
-      const batch = promises.slice(i, i + MAX_CONCURRENT_REQUESTS);
-      console.log(`Processing batch ${Math.floor(i / MAX_CONCURRENT_REQUESTS) + 1}/${Math.ceil(promises.length / MAX_CONCURRENT_REQUESTS)} (${batch.length} games)...`);
+    for (let i = 0; i < pending.length; i += this.checkpointInterval) {
+      const chunk = pending.slice(i, i + this.checkpointInterval);
+      const chunkResults = await Promise.all(chunk.map(async appId => ({
+        appId,
+        players: await this.fetchPlayerCount(appId)
+      })));
+      results.push(...chunkResults);
       
-      const batchResults = await Promise.all(batch);
-      results.push(...batchResults);
+      // Remember finished games - only active ones need their count kept
+      chunkResults.forEach(result => {
+        if (result.players > 0) counts[result.appId] = result.players;
+      });
+      this.checkpoint.markDone('appIds', chunk);
+      this.checkpoint.partial.counts = counts;
+      this.checkpoint.cursor = { phase: 'player-counts', processed: done.size + results.length };
+      await this.checkpoint.save();
       
-      // Progress update and intermediate saving
-      if (results.length % INTERMEDIATE_SAVE_INTERVAL === 0 || i + MAX_CONCURRENT_REQUESTS >= promises.length) {
-        console.log(`⚡ Processed ${results.length.toLocaleString()}/${promises.length.toLocaleString()} games (${Math.round(results.length/promises.length*100)}%)`);
-        console.log(`⚡ Failed requests: ${this.failedRequests}, Success rate: ${Math.round((results.length - this.failedRequests)/results.length*100)}%`);
-        
-        // Save intermediate results
-        if (results.length % INTERMEDIATE_SAVE_INTERVAL === 0) {
-          await this.saveIntermediateResults(results);
-        }
-      }
-      
-      // No delay between batches - MAXIMUM SPEED
+      console.log(`⚡ Processed ${results.length.toLocaleString()}/${pending.length.toLocaleString()} games (${Math.round(results.length/pending.length*100)}%)`);
+      console.log(`⚡ Failed requests: ${this.failedRequests}, Success rate: ${Math.round((results.length - this.failedRequests)/results.length*100)}%`);
     }
     
-    return results;
-  }
-
-  // Save intermediate progress
-  async saveIntermediateResults(results) {
-    try {
-      const activeGames = results.filter(r => r.players > 0);
-      console.log(`💾 Saving intermediate results: ${activeGames.length} games with players...`);
-      
-      const outputDir = path.join(process.cwd(), 'public', 'data');
-      await fs.mkdir(outputDir, { recursive: true });
-      
-      const tempFile = path.join(outputDir, `steam-charts-temp-${Date.now()}.json`);
-      await fs.writeFile(tempFile, JSON.stringify({ 
-        partial: true,
-        processed: results.length,
-        activeGames: activeGames.length,
-        timestamp: new Date().toISOString(),
-        results: activeGames.slice(0, 1000) // Save top 1000 for preview
-      }, null, 2));
-    } catch (error) {
-      console.log('Warning: Failed to save intermediate results:', error.message);
-    }
-  }
-
-  // Calculate trending status
-  calculateTrending(current, peak24h) {
-    if (!peak24h || peak24h === current) return 'stable';
-    const ratio = current / peak24h;
-    if (ratio > 0.9) return 'stable';
-    if (ratio > 0.7) return 'down';
-    return 'down';
-  }
-
-  // MAIN AGGRESSIVE DATA FETCHING - Target: 10,000+ games
-  async fetchAllSteamData() {
-    console.log('🔥 STARTING AGGRESSIVE 10,000+ GAMES FETCH MODE 🔥');
-    console.log(`Target: ${MIN_GAMES_REQUIRED.toLocaleString()}+ games minimum, ${TARGET_GAMES.toLocaleString()} games ideal`);
+    // Games finished before an interruption
+    const resumed = appIds
+      .filter(appId => done.has(appId))
+      .map(appId => ({ appId, players: counts[appId] || 0 }));
     
-    this.startTime = Date.now();
+    return [...resumed, ...results];
+  }
 
+  // PHASES 1-3: Collect games from every source into the merge engine and pick
+  // the appIds to fetch live player counts for
+  async planGames(engine) {
     // PHASE 1: Fetch ALL Steam apps (260k+) and other sources in parallel
     console.log('\n📡 PHASE 1: FETCHING FROM ALL DATA SOURCES...');
     const [allSteamApps, steamChartsGames, steamSpyGames] = await Promise.all([
@@ -285,23 +235,27 @@ class SteamDataFetcher {
     ]);
 
     // PHASE 2: Merge and prioritize all games
+    // allGamesMap decides which games get a live player count, the merge engine
+    // decides which source each field of a game comes from
     console.log('\n🔄 PHASE 2: MERGING AND DEDUPLICATING ALL SOURCES...');
     const allGamesMap = new Map();
+    const chartsFetchedAt = new Date().toISOString();
     
     // Priority 1: Steam Charts games (have current player data)
     steamChartsGames.forEach(game => {
-      allGamesMap.set(game.appId, { ...game, priority: 1, source: 'steam-charts' });
+      allGamesMap.set(game.appId, { appId: game.appId, priority: 1 });
+      engine.add(SOURCES.STEAM_MOST_PLAYED, game.appId, {
+        currentPlayers: game.currentPlayers,
+        peak24h: game.peak24h
+      }, chartsFetchedAt);
     });
     
     // Priority 2: SteamSpy games (have metadata)
     steamSpyGames.forEach(game => {
-      if (allGamesMap.has(game.appId)) {
-        const existing = allGamesMap.get(game.appId);
-        existing.name = existing.name || game.name;
-        existing.owners = game.owners;
-      } else {
-        allGamesMap.set(game.appId, { ...game, priority: 2, source: 'steamspy' });
+      if (!allGamesMap.has(game.appId)) {
+        allGamesMap.set(game.appId, { appId: game.appId, priority: 2 });
       }
+      engine.add(game.source, game.appId, game.fields, game.fetchedAt);
     });
     
     // Priority 3: All Steam Apps (massive coverage)
@@ -311,9 +265,7 @@ class SteamDataFetcher {
         allGamesMap.set(app.appid, {
           appId: app.appid,
           name: app.name,
-          currentPlayers: 0,
-          priority: 3,
-          source: 'steam-all-apps'
+          priority: 3
         });
         addedFromAllApps++;
       }
@@ -322,20 +274,20 @@ class SteamDataFetcher {
     const allUniqueGames = Array.from(allGamesMap.values());
     console.log(`✅ MERGED RESULTS:`);
     console.log(`   Steam Charts: ${steamChartsGames.length.toLocaleString()} games`);
-    console.log(`   SteamSpy: ${steamSpyGames.length.toLocaleString()} games`);
+    console.log(`   SteamSpy: ${steamSpyGames.length.toLocaleString()} records`);
     console.log(`   Steam All Apps: ${addedFromAllApps.toLocaleString()} new games`);
     console.log(`   TOTAL UNIQUE: ${allUniqueGames.length.toLocaleString()} games`);
 
-    // PHASE 3: Intelligent sampling for TARGET_GAMES
+    // PHASE 3: Intelligent sampling for this.targetGames
     let gamesToProcess = allUniqueGames;
-    if (allUniqueGames.length > TARGET_GAMES) {
-      console.log(`\n🎯 PHASE 3: INTELLIGENT SAMPLING TO ${TARGET_GAMES.toLocaleString()} games...`);
+    if (allUniqueGames.length > this.targetGames) {
+      console.log(`\n🎯 PHASE 3: INTELLIGENT SAMPLING TO ${this.targetGames.toLocaleString()} games...`);
       
       // Keep all priority 1 & 2 games, sample from priority 3
       const priority1And2 = allUniqueGames.filter(g => g.priority <= 2);
       const priority3Games = allUniqueGames.filter(g => g.priority === 3);
       
-      const remainingSlots = TARGET_GAMES - priority1And2.length;
+      const remainingSlots = this.targetGames - priority1And2.length;
       const sampledPriority3 = this.randomSample(priority3Games, remainingSlots);
       
       gamesToProcess = [...priority1And2, ...sampledPriority3];
@@ -343,38 +295,65 @@ class SteamDataFetcher {
       console.log(`   Sampling ${sampledPriority3.length.toLocaleString()} from ${priority3Games.length.toLocaleString()} Steam apps`);
     }
 
+    gamesToProcess
+      .filter(g => g.priority === 3)
+      .forEach(g => engine.add(SOURCES.STEAM_APP_LIST, g.appId, { name: g.name }, chartsFetchedAt));
+    return gamesToProcess.map(g => g.appId);
+  }
+
+  // MAIN AGGRESSIVE DATA FETCHING - Target: 10,000+ games
+  async fetchAllSteamData() {
+    console.log('🔥 STARTING AGGRESSIVE 10,000+ GAMES FETCH MODE 🔥');
+    console.log(`Target: ${this.minGames.toLocaleString()}+ games minimum, ${this.targetGames.toLocaleString()} games ideal`);
+    
+    this.startTime = Date.now();
+
+    // Resume an interrupted run with the same games - only missing player counts are fetched
+    const engine = new MergeEngine();
+    let appIds;
+    if ((await this.checkpoint.load()) && this.checkpoint.partial.plan) {
+      engine.restore(this.checkpoint.partial.engine);
+      appIds = this.checkpoint.partial.plan;
+    } else {
+      appIds = await this.planGames(engine);
+      Object.assign(this.checkpoint.partial, { engine: engine.toJSON(), plan: appIds });
+      this.checkpoint.cursor = { phase: 'player-counts', processed: 0 };
+      await this.checkpoint.save();
+    }
+
     // PHASE 4: MASSIVE PARALLEL PLAYER COUNT FETCHING
-    console.log(`\n🚀 PHASE 4: FETCHING PLAYER COUNTS FOR ${gamesToProcess.length.toLocaleString()} GAMES...`);
-    const appIds = gamesToProcess.map(g => g.appId);
+    console.log(`\n🚀 PHASE 4: FETCHING PLAYER COUNTS FOR ${appIds.length.toLocaleString()} GAMES...`);
     const playerResults = await this.fetchPlayerCountsParallel(appIds);
 
     // PHASE 5: Process results and build final dataset
     console.log('\n📊 PHASE 5: BUILDING FINAL DATASET...');
-    const gamesWithPlayers = [];
-    const gameMap = new Map(gamesToProcess.map(g => [g.appId, g]));
+    const countsFetchedAt = new Date().toISOString();
     
+    // Live counts take precedence over Steam Charts and SteamSpy estimates
     playerResults.forEach(result => {
-      const gameInfo = gameMap.get(result.appId);
-      if (gameInfo && (result.players > 0 || gameInfo.currentPlayers > 0)) {
-        const finalPlayerCount = Math.max(result.players, gameInfo.currentPlayers || 0);
-        
-        gamesWithPlayers.push({
-          name: gameInfo.name || `Game ${result.appId}`,
-          appId: result.appId,
-          currentPlayers: finalPlayerCount,
-          peak24h: gameInfo.peak24h || finalPlayerCount,
-          trending: this.calculateTrending(finalPlayerCount, gameInfo.peak24h || finalPlayerCount),
-          source: gameInfo.source,
-          owners: gameInfo.owners || 0
-        });
-        
-        this.totalPlayers += finalPlayerCount;
+      if (result.players > 0) {
+        engine.add(SOURCES.STEAM_CURRENT_PLAYERS, result.appId, { currentPlayers: result.players }, countsFetchedAt);
       }
     });
+    
+    const activeAppIds = appIds
+      .map(appId => engine.record(appId))
+      .filter(game => game && game.currentPlayers > 0)
+      .sort((a, b) => b.currentPlayers - a.currentPlayers)
+      .map(game => game.appId);
+    
+    // Store details for the active games - apps that turn out not to be games are dropped
+    await this.appDetails.enrich(engine, activeAppIds);
+    const gamesWithPlayers = activeAppIds.map(appId => engine.record(appId)).filter(isCharted);
+    console.log(`🚫 Dropped ${(activeAppIds.length - gamesWithPlayers.length).toLocaleString()} active apps that aren't games`);
+    this.totalPlayers = gamesWithPlayers.reduce((sum, game) => sum + game.currentPlayers, 0);
+    
+    // Everything is fetched - the next run starts from scratch
+    await this.checkpoint.clear();
 
     // VALIDATION: Ensure minimum requirement
-    if (gamesWithPlayers.length < MIN_GAMES_REQUIRED) {
-      throw new Error(`❌ FAILED: Only ${gamesWithPlayers.length} games with player data found. Minimum required: ${MIN_GAMES_REQUIRED}`);
+    if (gamesWithPlayers.length < this.minGames) {
+      throw new Error(`❌ FAILED: Only ${gamesWithPlayers.length} games with player data found. Minimum required: ${this.minGames}`);
     }
 
     // Sort by current players and assign ranks
@@ -383,6 +362,19 @@ class SteamDataFetcher {
       game.rank = index + 1;
     });
 
+    // Compare against the previous snapshot and 24h / 7d history
+    const trends = await new TrendCalculator().load(gamesWithPlayers.map(g => g.appId));
+    trends.apply(gamesWithPlayers);
+
+    // Track rolling 24h / 30d / all-time peaks across runs
+    const timestamp = new Date().toISOString();
+    await this.peakTracker.load();
+    this.peakTracker.apply(gamesWithPlayers, timestamp);
+    
+    // Follow price changes and sales across runs
+    await this.priceTracker.load();
+    this.priceTracker.apply(gamesWithPlayers, timestamp);
+
     // Final result
     const gamesObject = {};
     gamesWithPlayers.forEach(game => {
@@ -391,7 +383,7 @@ class SteamDataFetcher {
 
     const result = {
       metadata: {
-        timestamp: new Date().toISOString(),
+        timestamp,
         totalGames: Object.keys(gamesObject).length,
         totalPlayers: this.totalPlayers,
         totalProcessed: playerResults.length,
@@ -399,7 +391,8 @@ class SteamDataFetcher {
         duration: (Date.now() - this.startTime) / 1000,
         source: "aggressive-multi-source",
         version: "2.0.0-aggressive",
-        requirement: `Minimum ${MIN_GAMES_REQUIRED} games - ${gamesWithPlayers.length >= MIN_GAMES_REQUIRED ? 'MET ✅' : 'FAILED ❌'}`
+        schemaVersion: SCHEMA_VERSION,
+        requirement: `Minimum ${this.minGames} games - ${gamesWithPlayers.length >= this.minGames ? 'MET ✅' : 'FAILED ❌'}`
       },
       games: gamesObject
     };
@@ -421,44 +414,55 @@ class SteamDataFetcher {
     return shuffled.slice(0, size);
   }
 
-  // Save data to JSON file
+  // Save data to every configured output sink
   async saveData(data) {
-    const outputDir = path.join(process.cwd(), 'public', 'data');
-    const outputFile = path.join(outputDir, 'steam-charts.json');
+    // Append this run to the player count history first - the columnar export includes it
+    await new HistoryStore().append(data);
+    const { outputs } = await writeToSinks(this.sinks, data);
 
-    // Ensure directory exists
-    await fs.mkdir(outputDir, { recursive: true });
-
-    // Write the data
-    await fs.writeFile(outputFile, JSON.stringify(data, null, 2));
-    console.log(`Data saved to: ${outputFile}`);
-    
-    // Also create a minified version for production
-    const minifiedFile = path.join(outputDir, 'steam-charts.min.json');
-    await fs.writeFile(minifiedFile, JSON.stringify(data));
-    console.log(`Minified data saved to: ${minifiedFile}`);
+    // Carry peaks and prices forward, with the sales feed
+    await this.peakTracker.save();
+    await this.priceTracker.save();
 
-    return outputFile;
+    return outputs.json;
   }
 }
 
-// Main execution
-async function main() {
+// Main execution - options are fetcher options plus output switches, `alertRules`, `qualityGate` and `dryRun`
+async function main(options = {}) {
+  const fetcher = new SteamDataFetcher(options);
   console.log('🔥🔥🔥 AGGRESSIVE STEAM CHARTS DATA FETCHER v2.0 🔥🔥🔥');
-  console.log(`MISSION: Fetch minimum ${MIN_GAMES_REQUIRED.toLocaleString()} games, target ${TARGET_GAMES.toLocaleString()} games`);
-  console.log(`CONFIG: ${MAX_CONCURRENT_REQUESTS} concurrent requests, ${REQUEST_DELAY}ms delay, ${MAX_RETRIES} retries`);
-  
-  const fetcher = new SteamDataFetcher();
+  console.log(`MISSION: Fetch minimum ${fetcher.minGames.toLocaleString()} games, target ${fetcher.targetGames.toLocaleString()} games`);
+  console.log(`CONFIG: ${fetcher.http.concurrency} concurrent requests, per-host rate limits, ${MAX_RETRIES} retries`);
   
   try {
+    // Load the alert rules first, so a broken rules file fails before fetching
+    const alerts = options.alertRules ? await createAlertEngine(options.alertRules) : null;
     const data = await fetcher.fetchAllSteamData();
     
     // CRITICAL VALIDATION
-    if (data.metadata.totalGames < MIN_GAMES_REQUIRED) {
-      throw new Error(`VALIDATION FAILED: Only ${data.metadata.totalGames} games fetched. Minimum required: ${MIN_GAMES_REQUIRED}`);
+    if (data.metadata.totalGames < fetcher.minGames) {
+      throw new Error(`VALIDATION FAILED: Only ${data.metadata.totalGames} games fetched. Minimum required: ${fetcher.minGames}`);
+    }
+    
+    assertValid('snapshot', data);
+    
+    // Compare with the last published snapshot - a failing gate keeps it in place
+    const previous = await loadSnapshot();
+    if (options.qualityGate !== false) {
+      await new QualityGate().enforce(data, previous);
     }
     
-    await fetcher.saveData(data);
+    if (options.dryRun) {
+      console.log('\n🧪 Dry run - nothing saved');
+    } else {
+      await fetcher.saveData(data);
+    }
+    
+    // Alert on rules matched since the last snapshot - a dry run only logs them
+    if (alerts) {
+      await alerts.run(data, previous, { dryRun: options.dryRun });
+    }
     
     console.log('\n🎯🎯🎯 MISSION ACCOMPLISHED! 🎯🎯🎯');
     console.log('='.repeat(50));
@@ -477,9 +481,9 @@ async function main() {
     console.log(`📈 Average players per game: ${avgPlayersPerGame.toLocaleString()}`);
     console.log(`🚀 Processing rate: ${Math.round(data.metadata.totalProcessed / data.metadata.duration).toLocaleString()} games/second`);
     
-    if (data.metadata.totalGames >= TARGET_GAMES) {
+    if (data.metadata.totalGames >= fetcher.targetGames) {
       console.log('🏆 TARGET EXCEEDED! Mission accomplished beyond expectations!');
-    } else if (data.metadata.totalGames >= MIN_GAMES_REQUIRED) {
+    } else if (data.metadata.totalGames >= fetcher.minGames) {
       console.log('✅ MINIMUM REQUIREMENT MET! Mission successful!');
     }
     
@@ -492,9 +496,14 @@ async function main() {
   }
 }
 
-// Run if called directly
+// Run if called directly - takes its options from env and the config file
 if (require.main === module) {
-  main();
+  loadConfig()
+    .then(config => main(runOptions(config)))
+    .catch(error => {
+      console.error('Fatal error:', error.message);
+      process.exit(1);
+    });
 }
 
-module.exports = { SteamDataFetcher };
\ No newline at end of file
+module.exports = { SteamDataFetcher, main };
\ No newline at end of file
@@ -2,49 +2,97 @@
 
 /**
  * SteamSpy Data Fetcher - 20,000+ Active Games
- * Fetches all active games from SteamSpy API
+ * Fetches all active games from SteamSpy API, merged with live Steam player counts
  * Guaranteed minimum 10,000 games, target 20,000+
  */
 
-const https = require('https');
-const fs = require('fs').promises;
-const path = require('path');
+require('dotenv').config();
 
-// Configuration
-const OUTPUT_FILE = 'public/data/steam-charts.json';
+const { HistoryStore } = require('./history-store');
+const { TrendCalculator } = require('./trends');
+const { PeakTracker } = require('./peak-tracker');
+const { PriceTracker } = require('./price-tracker');
+const { createSinks, writeToSinks } = require('./output-sinks');
+const { MergeEngine, SOURCES, fromSteamSpy } = require('./merge-engine');
+const { SteamDataFetcher } = require('./fetch-steam-charts');
+const { AppDetailsEnricher, isCharted } = require('./app-details');
+const { SCHEMA_VERSION, assertValid } = require('./schema');
+const { QualityGate } = require('./quality-gate');
+const { createAlertEngine } = require('./alerts');
+const { loadSnapshot } = require('./snapshot');
+const { Checkpoint } = require('./checkpoint');
+const { getDefaultClient } = require('./http-client');
+const { loadConfig, runOptions } = require('./config');
+
+// Configuration - defaults, overridable through the CLI (see config.js)
 const MIN_GAMES_REQUIRED = 10000;
 const TARGET_GAMES = 20000;
 const MAX_PAGES = 100; // SteamSpy usually has ~86 pages
-const STEAMSPY_API_BASE = 'https://steamspy.com/api.php';
+const TAGS = ['Multiplayer', 'Free to Play', 'Early Access', 'Action', 'Indie', 'VR', 'Co-op', 'Survival', 'RPG', 'Strategy'];
+const STEAMSPY_API_BASE = process.env.STEAMSPY_API_BASE || 'https://steamspy.com/api.php'; // Overridable for a mock server
+const LIVE_COUNT_TOP_N = 100; // Games whose CCU is refreshed from the live Steam API
+const CHECKPOINT_INTERVAL = 5; // Save progress every 5 pages
+// SteamSpy's 1 request/second limit is enforced by the shared HTTP client
 
 class SteamSpyFetcher {
-  constructor() {
-    this.games = {};
+  constructor(options = {}) {
+    this.sinks = options.sinks || createSinks(process.env, {
+      leaderboardLengths: options.leaderboardLengths,
+      shards: options.shards,
+      monolithic: options.monolithic,
+      columnar: options.columnar,
+      aggregates: options.aggregates,
+      searchIndex: options.searchIndex
+    });
+    this.engine = new MergeEngine({ precedence: options.precedence });
+    this.http = options.http || getDefaultClient();
+    this.steamApi = options.steamApi || new SteamDataFetcher({ http: this.http });
+    this.appDetails = options.appDetails || new AppDetailsEnricher({ http: this.http, limit: options.appDetailsLimit });
+    this.liveCountLimit = options.liveCountLimit ?? LIVE_COUNT_TOP_N;
+    this.minGames = options.minGames ?? MIN_GAMES_REQUIRED;
+    this.targetGames = options.targetGames ?? TARGET_GAMES;
+    this.maxPages = options.maxPages ?? MAX_PAGES;
+    this.tags = options.tags || TAGS;
+    this.checkpoint = options.checkpoint || new Checkpoint('steamspy');
     this.totalPlayers = 0;
     this.totalGames = 0;
     this.activeGames = 0;
     this.startTime = Date.now();
+    this.peakTracker = new PeakTracker();
+    this.priceTracker = new PriceTracker();
   }
 
-  // Helper function to make HTTPS requests
-  fetchJson(url) {
-    return new Promise((resolve) => {
-      https.get(url, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            console.log(`Failed to parse JSON from ${url}: ${e.message}`);
-            resolve(null);
-          }
-        });
-      }).on('error', (error) => {
-        console.log(`Request failed for ${url}: ${error.message}`);
-        resolve(null);
-      });
+  // Fetch JSON through the shared HTTP client - returns null on failure
+  async fetchJson(url) {
+    try {
+      return await this.http.getJson(url);
+    } catch (error) {
+      console.log(`Request failed for ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Save progress so an interrupted run can resume
+  async saveCheckpoint() {
+    Object.assign(this.checkpoint.partial, {
+      engine: this.engine.toJSON(),
+      totalGames: this.totalGames,
+      totalPlayers: this.totalPlayers
     });
+    await this.checkpoint.save();
+  }
+
+  // Resume from the checkpoint of an interrupted run, if there is one
+  async restoreCheckpoint() {
+    if (!(await this.checkpoint.load())) return false;
+    
+    const { engine, totalGames, totalPlayers } = this.checkpoint.partial;
+    this.engine.restore(engine);
+    this.totalGames = totalGames || 0;
+    this.totalPlayers = totalPlayers || 0;
+    this.activeGames = this.engine.size;
+    console.log(`♻️  Restored ${this.activeGames.toLocaleString()} games, ${this.checkpoint.doneSet('pages').size} pages and ${this.checkpoint.doneSet('tags').size} tags already done`);
+    return true;
   }
 
   // Fetch games from a specific page
@@ -60,6 +108,7 @@ class SteamSpyFetcher {
     }
     
     const games = Object.entries(data);
+    const fetchedAt = new Date().toISOString();
     let pageActiveCount = 0;
     
     games.forEach(([appId, game]) => {
@@ -67,34 +116,12 @@ class SteamSpyFetcher {
       
       // Only include games with active players (ccu > 0)
       if (game.ccu > 0) {
-        this.activeGames++;
         pageActiveCount++;
         this.totalPlayers += game.ccu;
-        
-        // Store game data
-        this.games[appId] = {
-          name: game.name || `Game ${appId}`,
-          appId: parseInt(appId),
-          currentPlayers: game.ccu,
-          peak24h: game.ccu, // SteamSpy doesn't provide 24h peak
-          trending: 'stable',
-          owners: game.owners || '0',
-          positive: game.positive || 0,
-          negative: game.negative || 0,
-          averagePlaytime: game.average_forever || 0,
-          medianPlaytime: game.median_forever || 0,
-          price: game.price || 0,
-          initialPrice: game.initialprice || 0,
-          discount: game.discount || 0,
-          languages: game.languages || '',
-          genre: game.genre || '',
-          publisher: game.publisher || '',
-          developer: game.developer || '',
-          tags: game.tags || {},
-          source: 'steamspy'
-        };
+        this.engine.add(SOURCES.STEAMSPY_ALL, appId, fromSteamSpy(game), fetchedAt);
       }
     });
+    this.activeGames = this.engine.size;
     
     console.log(`Page ${page}: ${games.length} total games, ${pageActiveCount} with active players`);
     return pageActiveCount;
@@ -104,22 +131,11 @@ class SteamSpyFetcher {
   async fetchTagGames() {
     console.log('\n🏷️ Fetching additional games from popular tags...');
     
-    const tags = [
-      'Multiplayer',
-      'Free to Play',
-      'Early Access',
-      'Action',
-      'Indie',
-      'VR',
-      'Co-op',
-      'Survival',
-      'RPG',
-      'Strategy'
-    ];
-    
     let newGamesAdded = 0;
     
-    for (const tag of tags) {
+    for (const tag of this.tags) {
+      if (this.checkpoint.isDone('tags', tag)) continue;
+      
       const url = `${STEAMSPY_API_BASE}?request=tag&tag=${encodeURIComponent(tag)}`;
       console.log(`Fetching tag: ${tag}...`);
       
@@ -127,37 +143,31 @@ class SteamSpyFetcher {
       
       if (data && typeof data === 'object') {
         const games = Object.entries(data);
+        const fetchedAt = new Date().toISOString();
         let tagActiveCount = 0;
         
         games.forEach(([appId, game]) => {
-          // Only add if not already in our list and has active players
-          if (!this.games[appId] && game.ccu > 0) {
-            this.activeGames++;
-            tagActiveCount++;
-            newGamesAdded++;
-            this.totalPlayers += game.ccu;
+          // Merge every game with active players - precedence decides which fields win
+          if (game.ccu > 0) {
+            if (!this.engine.has(appId)) {
+              tagActiveCount++;
+              newGamesAdded++;
+              this.totalPlayers += game.ccu;
+            }
             
-            this.games[appId] = {
-              name: game.name || `Game ${appId}`,
-              appId: parseInt(appId),
-              currentPlayers: game.ccu,
-              peak24h: game.ccu,
-              trending: 'stable',
-              owners: game.owners || '0',
-              positive: game.positive || 0,
-              negative: game.negative || 0,
-              averagePlaytime: game.average_forever || 0,
-              medianPlaytime: game.median_forever || 0,
-              price: game.price || 0,
-              initialPrice: game.initialprice || 0,
-              discount: game.discount || 0,
-              tags: { [tag]: true, ...(game.tags || {}) },
-              source: 'steamspy-tag'
-            };
+            this.engine.add(SOURCES.STEAMSPY_TAG, appId, {
+              ...fromSteamSpy(game),
+              // Vote count unknown from the tag endpoint - real votes win if present
+              tags: { [tag]: 0, ...(game.tags || {}) }
+            }, fetchedAt);
           }
         });
+        this.activeGames = this.engine.size;
         
         console.log(`Tag '${tag}': ${tagActiveCount} new active games added`);
+        this.checkpoint.markDone('tags', tag);
+        this.checkpoint.cursor = { phase: 'tags', tag };
+        await this.saveCheckpoint();
       }
     }
     
@@ -165,19 +175,91 @@ class SteamSpyFetcher {
     return newGamesAdded;
   }
 
+  // Fetch SteamSpy top 100 lists - mostly overlap, but fill gaps in the pages
+  async fetchTopGames() {
+    const lists = ['top100in2weeks', 'top100forever', 'top100owned'];
+    let newGamesAdded = 0;
+    
+    for (const list of lists) {
+      const data = await this.fetchJson(`${STEAMSPY_API_BASE}?request=${list}`);
+      if (!data || typeof data !== 'object') continue;
+      
+      const fetchedAt = new Date().toISOString();
+      Object.entries(data).forEach(([appId, game]) => {
+        if (game.ccu > 0) {
+          if (!this.engine.has(appId)) newGamesAdded++;
+          this.engine.add(SOURCES.STEAMSPY_TOP100, appId, fromSteamSpy(game), fetchedAt);
+        }
+      });
+    }
+    
+    this.activeGames = this.engine.size;
+    console.log(`✅ Added ${newGamesAdded} new games from SteamSpy top 100 lists`);
+    return newGamesAdded;
+  }
+
+  // Merge Steam's live most played chart (CCU and real 24h peak)
+  async fetchSteamCharts() {
+    const ranks = await this.steamApi.fetchMostPlayedGames();
+    const fetchedAt = new Date().toISOString();
+    
+    ranks.forEach(game => {
+      this.engine.add(SOURCES.STEAM_MOST_PLAYED, game.appId, {
+        currentPlayers: game.currentPlayers,
+        peak24h: game.peak24h
+      }, fetchedAt);
+    });
+    
+    this.activeGames = this.engine.size;
+    return ranks.length;
+  }
+
+  // Refresh the top games with live Steam player counts
+  async fetchLiveCounts(limit = this.liveCountLimit) {
+    const topAppIds = this.engine.records()
+      .sort((a, b) => b.currentPlayers - a.currentPlayers)
+      .slice(0, limit)
+      .map(g => g.appId);
+    
+    // Requests run in parallel, up to the HTTP client's concurrency limit
+    const counts = await Promise.all(topAppIds.map(appId => this.steamApi.fetchPlayerCount(appId)));
+    const fetchedAt = new Date().toISOString();
+    let updated = 0;
+    
+    topAppIds.forEach((appId, index) => {
+      // 0 means the request failed or Steam has no count - keep the estimate
+      if (counts[index] > 0) {
+        this.engine.add(SOURCES.STEAM_CURRENT_PLAYERS, appId, { currentPlayers: counts[index] }, fetchedAt);
+        updated++;
+      }
+    });
+    
+    console.log(`✅ Live player counts for ${updated}/${topAppIds.length} top games`);
+    return updated;
+  }
+
   // Main fetching function
   async fetchAllGames() {
     console.log('🚀 Starting SteamSpy data fetch for 20,000+ active games...');
-    console.log(`Target: Minimum ${MIN_GAMES_REQUIRED.toLocaleString()} games, ideally ${TARGET_GAMES.toLocaleString()}+\n`);
+    console.log(`Target: Minimum ${this.minGames.toLocaleString()} games, ideally ${this.targetGames.toLocaleString()}+\n`);
+    
+    // Resume an interrupted run - only missing pages and tags are fetched again
+    await this.restoreCheckpoint();
     
     // Phase 1: Fetch all pages
     console.log('📡 PHASE 1: Fetching all SteamSpy pages...');
     let emptyPages = 0;
     
-    for (let page = 0; page < MAX_PAGES; page++) {
+    for (let page = 0; page < this.maxPages; page++) {
+      if (this.checkpoint.isDone('pages', page)) {
+        emptyPages = 0;
+        continue;
+      }
+      
       const activeCount = await this.fetchPage(page);
       
       if (activeCount === null) {
+        // Failed and empty pages aren't marked done, so a resumed run retries them
         emptyPages++;
         if (emptyPages >= 3) {
           console.log(`Stopped at page ${page} (3 consecutive empty pages)`);
@@ -185,6 +267,11 @@ class SteamSpyFetcher {
         }
       } else {
         emptyPages = 0;
+        this.checkpoint.markDone('pages', page);
+        this.checkpoint.cursor = { phase: 'pages', page: page + 1 };
+        if ((page + 1) % CHECKPOINT_INTERVAL === 0) {
+          await this.saveCheckpoint();
+        }
         
         // Progress update
         if ((page + 1) % 10 === 0) {
@@ -197,21 +284,55 @@ class SteamSpyFetcher {
     }
     
     console.log(`\n✅ Phase 1 complete: ${this.activeGames.toLocaleString()} active games from main pages`);
+    await this.saveCheckpoint();
     
     // Phase 2: Fetch additional games from tags if needed
-    if (this.activeGames < TARGET_GAMES) {
+    if (this.activeGames < this.targetGames && this.tags.length > 0) {
       console.log('\n📡 PHASE 2: Fetching additional games from tag endpoints...');
       await this.fetchTagGames();
     }
     
-    // Sort games by player count and assign ranks
-    const sortedGames = Object.values(this.games)
-      .sort((a, b) => b.currentPlayers - a.currentPlayers);
+    // Phase 3: Steam's live charts and player counts override SteamSpy's daily estimates
+    console.log('\n📡 PHASE 3: Merging SteamSpy top lists and live Steam player counts...');
+    await this.fetchTopGames();
+    await this.fetchSteamCharts();
+    if (this.liveCountLimit > 0) {
+      await this.fetchLiveCounts();
+    }
+    
+    // Phase 4: Store details for the active games - apps that turn out not to be games are dropped
+    console.log('\n📡 PHASE 4: Enriching active games with Steam store details...');
+    const activeAppIds = this.engine.records()
+      .filter(g => g.currentPlayers > 0)
+      .sort((a, b) => b.currentPlayers - a.currentPlayers)
+      .map(g => g.appId);
+    await this.appDetails.enrich(this.engine, activeAppIds);
+    
+    // Sort merged games by player count and assign ranks
+    const sortedGames = activeAppIds.map(appId => this.engine.record(appId)).filter(isCharted);
+    console.log(`🚫 Dropped ${(activeAppIds.length - sortedGames.length).toLocaleString()} active apps that aren't games`);
+    this.totalPlayers = sortedGames.reduce((sum, g) => sum + g.currentPlayers, 0);
+    
+    // Everything is fetched - the next run starts from scratch
+    await this.checkpoint.clear();
     
     sortedGames.forEach((game, index) => {
       game.rank = index + 1;
     });
     
+    // Compare against the previous snapshot and 24h / 7d history
+    const trends = await new TrendCalculator().load(sortedGames.map(g => g.appId));
+    trends.apply(sortedGames);
+    
+    // SteamSpy doesn't provide 24h peaks - track them across runs
+    const timestamp = new Date().toISOString();
+    await this.peakTracker.load();
+    this.peakTracker.apply(sortedGames, timestamp);
+    
+    // Follow price changes and sales across runs
+    await this.priceTracker.load();
+    this.priceTracker.apply(sortedGames, timestamp);
+    
     // Rebuild games object with sorted data
     const sortedGamesObject = {};
     sortedGames.forEach(game => {
@@ -221,21 +342,23 @@ class SteamSpyFetcher {
     // Create final result
     const result = {
       metadata: {
-        timestamp: new Date().toISOString(),
+        timestamp,
         totalGames: sortedGames.length,
         totalPlayers: this.totalPlayers,
         totalScanned: this.totalGames,
+        playerCountSources: sortedGames.reduce((counts, g) => ({ ...counts, [g.source]: (counts[g.source] || 0) + 1 }), {}),
         duration: (Date.now() - this.startTime) / 1000,
         source: 'steamspy-comprehensive',
         version: '3.0.0',
-        requirement: `Minimum ${MIN_GAMES_REQUIRED} games - ${sortedGames.length >= MIN_GAMES_REQUIRED ? 'MET ✅' : 'FAILED ❌'}`
+        schemaVersion: SCHEMA_VERSION,
+        requirement: `Minimum ${this.minGames} games - ${sortedGames.length >= this.minGames ? 'MET ✅' : 'FAILED ❌'}`
       },
       games: sortedGamesObject
     };
     
     // Validation
-    if (result.metadata.totalGames < MIN_GAMES_REQUIRED) {
-      throw new Error(`❌ FAILED: Only ${result.metadata.totalGames} active games found. Minimum required: ${MIN_GAMES_REQUIRED}`);
+    if (result.metadata.totalGames < this.minGames) {
+      throw new Error(`❌ FAILED: Only ${result.metadata.totalGames} active games found. Minimum required: ${this.minGames}`);
     }
     
     console.log('\n🎉 FETCH COMPLETED SUCCESSFULLY! 🎉');
@@ -248,52 +371,49 @@ class SteamSpyFetcher {
     return result;
   }
 
-  // Save data to JSON files
+  // Save data to every configured output sink
   async saveData(data) {
-    const outputDir = path.join(process.cwd(), 'public', 'data');
-    const outputFile = path.join(outputDir, 'steam-charts.json');
-    
-    // Ensure directory exists
-    await fs.mkdir(outputDir, { recursive: true });
-    
-    // Write the full data
-    await fs.writeFile(outputFile, JSON.stringify(data, null, 2));
-    console.log(`\n💾 Data saved to: ${outputFile}`);
-    
-    // Create minified version
-    const minifiedFile = path.join(outputDir, 'steam-charts.min.json');
-    await fs.writeFile(minifiedFile, JSON.stringify(data));
-    console.log(`💾 Minified data saved to: ${minifiedFile}`);
-    
-    // Create a summary file
-    const summary = {
-      metadata: data.metadata,
-      topGames: Object.values(data.games).slice(0, 100).map(g => ({
-        name: g.name,
-        appId: g.appId,
-        players: g.currentPlayers,
-        rank: g.rank
-      }))
-    };
+    // Append this run to the player count history first - the columnar export includes it
+    await new HistoryStore().append(data);
+    const { outputs } = await writeToSinks(this.sinks, data);
     
-    const summaryFile = path.join(outputDir, 'steam-charts-summary.json');
-    await fs.writeFile(summaryFile, JSON.stringify(summary, null, 2));
-    console.log(`💾 Summary saved to: ${summaryFile}`);
+    // Carry peaks and prices forward, with the sales feed
+    await this.peakTracker.save();
+    await this.priceTracker.save();
     
-    return outputFile;
+    return outputs.json;
   }
 }
 
-// Main execution
-async function main() {
+// Main execution - options are fetcher options plus output switches, `alertRules`, `qualityGate` and `dryRun`
+async function main(options = {}) {
   console.log('🔥 STEAMSPY DATA FETCHER v3.0 🔥');
   console.log('=' .repeat(50));
   
-  const fetcher = new SteamSpyFetcher();
+  const fetcher = new SteamSpyFetcher(options);
   
   try {
+    // Load the alert rules first, so a broken rules file fails before fetching
+    const alerts = options.alertRules ? await createAlertEngine(options.alertRules) : null;
     const data = await fetcher.fetchAllGames();
-    await fetcher.saveData(data);
+    assertValid('snapshot', data);
+    
+    // Compare with the last published snapshot - a failing gate keeps it in place
+    const previous = await loadSnapshot();
+    if (options.qualityGate !== false) {
+      await new QualityGate().enforce(data, previous);
+    }
+    
+    if (options.dryRun) {
+      console.log('\n🧪 Dry run - nothing saved');
+    } else {
+      await fetcher.saveData(data);
+    }
+    
+    // Alert on rules matched since the last snapshot - a dry run only logs them
+    if (alerts) {
+      await alerts.run(data, previous, { dryRun: options.dryRun });
+    }
     
     console.log('\n' + '='.repeat(50));
     console.log('🏆 MISSION ACCOMPLISHED! 🏆');
@@ -320,9 +440,14 @@ async function main() {
   }
 }
 
-// Run if called directly
+// Run if called directly - takes its options from env and the config file
 if (require.main === module) {
-  main();
+  loadConfig()
+    .then(config => main(runOptions(config)))
+    .catch(error => {
+      console.error('Fatal error:', error.message);
+      process.exit(1);
+    });
 }
 
-module.exports = { SteamSpyFetcher };
\ No newline at end of file
+module.exports = { SteamSpyFetcher, main };
\ No newline at end of file
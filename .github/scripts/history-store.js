@@ -0,0 +1,156 @@
+/**
+ * Player Count History Store
+ * Appends each run's per-game player counts to compact time-series files
+ * grouped by day or month, and loads a game's series for a time range.
+ *
+ * Layout: public/data/history/<period>/<appId>.ndjson, one point per line
+ *   [unixSeconds, players]
+ * Files are only ever appended to, so a run costs one short write per game
+ * however long the period has grown. Points are sorted when loaded, and of
+ * several points with the same timestamp the last one appended wins.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR } = require('./snapshot');
+
+// Configuration
+const DEFAULT_HISTORY_DIR = path.join(DATA_DIR, 'history');
+const DEFAULT_GRANULARITY = 'month'; // 'day' or 'month'
+const IO_CONCURRENCY = 100; // Series files read/written in parallel
+
+class HistoryStore {
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_HISTORY_DIR;
+    this.granularity = options.granularity || DEFAULT_GRANULARITY;
+
+    if (!['day', 'month'].includes(this.granularity)) {
+      throw new Error(`Unsupported history granularity: ${this.granularity}`);
+    }
+  }
+
+  // Period key a timestamp falls into ('2025-08' or '2025-08-30')
+  periodKey(timestamp) {
+    const iso = new Date(timestamp).toISOString();
+    return this.granularity === 'day' ? iso.slice(0, 10) : iso.slice(0, 7);
+  }
+
+  // Start and end (exclusive) of a period in milliseconds
+  periodBounds(period) {
+    const [year, month, day] = period.split('-').map(Number);
+    if (day) {
+      return { start: Date.UTC(year, month - 1, day), end: Date.UTC(year, month - 1, day + 1) };
+    }
+    return { start: Date.UTC(year, month - 1, 1), end: Date.UTC(year, month, 1) };
+  }
+
+  seriesFile(appId, period) {
+    return path.join(this.dir, period, `${appId}.ndjson`);
+  }
+
+  // Read a series file - returns [[time, players]] sorted by time, or null if it doesn't exist
+  async readSeries(appId, period) {
+    let text;
+    try {
+      text = await fs.readFile(this.seriesFile(appId, period), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const points = new Map();
+    text.split('\n').forEach(line => {
+      if (!line) return;
+      try {
+        const [time, players] = JSON.parse(line);
+        points.set(time, players);
+      } catch (error) {
+        // A line cut short by an interrupted run - the points around it still count
+      }
+    });
+    return [...points].sort((a, b) => a[0] - b[0]);
+  }
+
+  // Append one snapshot ({ metadata, games }) to the history
+  async append(data) {
+    const timestamp = data.metadata?.timestamp || new Date().toISOString();
+    const time = Math.floor(new Date(timestamp).getTime() / 1000);
+    const period = this.periodKey(timestamp);
+    const games = Object.values(data.games || {});
+
+    await fs.mkdir(path.join(this.dir, period), { recursive: true });
+
+    let appended = 0;
+    for (let i = 0; i < games.length; i += IO_CONCURRENCY) {
+      const batch = games.slice(i, i + IO_CONCURRENCY);
+      const results = await Promise.all(batch.map(game => this.appendPoint(game.appId, period, time, game.currentPlayers || 0)));
+      appended += results.filter(Boolean).length;
+    }
+
+    console.log(`📈 History: appended ${appended.toLocaleString()} points to ${period}`);
+    return appended;
+  }
+
+  // Append a single [time, players] point - a later point with the same time replaces it
+  async appendPoint(appId, period, time, players) {
+    await fs.appendFile(this.seriesFile(appId, period), `${JSON.stringify([time, players])}\n`);
+    return true;
+  }
+
+  // Periods on disk overlapping [from, to]
+  async listPeriods(from, to) {
+    let entries;
+    try {
+      entries = await fs.readdir(this.dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return entries
+      .filter(entry => entry.isDirectory() && /^\d{4}-\d{2}(-\d{2})?$/.test(entry.name))
+      .map(entry => entry.name)
+      .filter(period => {
+        const { start, end } = this.periodBounds(period);
+        return end > from && start <= to;
+      })
+      .sort();
+  }
+
+  // Load a game's series for a time range - returns [{ timestamp, players }] oldest first
+  async loadSeries(appId, from = 0, to = Date.now()) {
+    const fromMs = new Date(from).getTime();
+    const toMs = new Date(to).getTime();
+    const periods = await this.listPeriods(fromMs, toMs);
+    const points = [];
+
+    for (const period of periods) {
+      const series = await this.readSeries(appId, period);
+      if (!series) continue;
+
+      series.forEach(([time, players]) => {
+        const ms = time * 1000;
+        if (ms >= fromMs && ms <= toMs) {
+          points.push({ timestamp: new Date(ms).toISOString(), players });
+        }
+      });
+    }
+
+    return points;
+  }
+
+  // Load series for many games at once - returns Map of appId -> points
+  async loadSeriesMany(appIds, from = 0, to = Date.now()) {
+    const seriesByApp = new Map();
+
+    for (let i = 0; i < appIds.length; i += IO_CONCURRENCY) {
+      const batch = appIds.slice(i, i + IO_CONCURRENCY);
+      const results = await Promise.all(batch.map(appId => this.loadSeries(appId, from, to)));
+      batch.forEach((appId, index) => seriesByApp.set(Number(appId), results[index]));
+    }
+
+    return seriesByApp;
+  }
+}
+
+module.exports = { HistoryStore };
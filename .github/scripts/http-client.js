@@ -0,0 +1,269 @@
+/**
+ * Shared HTTP Client
+ * One client for every outgoing request, with:
+ *   - a real concurrency pool (at most `concurrency` requests in flight)
+ *   - per-host token-bucket rate limits (SteamSpy documents 1 request/second)
+ *   - timeouts via AbortController, covering the response body too
+ *   - retries on network errors, timeouts, 429 and 5xx with jittered
+ *     exponential backoff, honouring Retry-After
+ *   - record/replay of responses as fixtures (see http-fixtures.js), so the
+ *     fetchers can run fully offline
+ *
+ * HTTP_MODE=live|record|replay and HTTP_FIXTURES_DIR configure the shared client.
+ */
+
+const { FixtureStore, recordedHeaders } = require('./http-fixtures');
+
+// Configuration
+const DEFAULT_CONCURRENCY = 20;
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRIES = 3;
+const BASE_RETRY_DELAY = 500; // Backoff ceiling doubles from here on every retry...
+const MAX_RETRY_DELAY = 30000; // ...up to this
+const USER_AGENT = 'GamePatchNote-Charts/3.0.0';
+const MODES = ['live', 'record', 'replay'];
+
+// Requests per second (and burst size) per host - unlisted hosts aren't rate limited
+const DEFAULT_HOST_LIMITS = {
+  'steamspy.com': { rate: 1, burst: 1 },
+  'api.steampowered.com': { rate: 50, burst: 50 },
+  'store.steampowered.com': { rate: 0.6, burst: 5 } // ~200 requests per 5 minutes
+};
+
+class HttpError extends Error {
+  constructor(message, { url, status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.url = url;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either seconds or an HTTP date - returns milliseconds or null
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Full jitter: a random delay between 0 and the exponential ceiling
+function backoffDelay(attempt, base = BASE_RETRY_DELAY, max = MAX_RETRY_DELAY) {
+  return Math.random() * Math.min(max, base * 2 ** attempt);
+}
+
+class TokenBucket {
+  constructor({ rate, burst = rate }) {
+    this.rate = rate;
+    this.capacity = Math.max(1, burst);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    this.blockedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+  }
+
+  // Wait for a token - waiters are served in order
+  take() {
+    const turn = this.queue.then(async () => {
+      const blocked = this.blockedUntil - Date.now();
+      if (blocked > 0) await sleep(blocked);
+
+      this.refill();
+      if (this.tokens < 1) {
+        await sleep(((1 - this.tokens) / this.rate) * 1000);
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn;
+    return turn;
+  }
+
+  // Stop handing out tokens for a while (e.g. after a 429 with Retry-After)
+  pause(ms) {
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+  }
+}
+
+class HttpClient {
+  constructor(options = {}) {
+    this.mode = options.mode || 'live';
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown HTTP mode '${this.mode}' - expected ${MODES.join(', ')}`);
+    }
+    this.fixtures = this.mode === 'live' ? null : (options.fixtures || new FixtureStore());
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.retries = options.retries ?? DEFAULT_RETRIES;
+    this.userAgent = options.userAgent || USER_AGENT;
+    this.hostLimits = { ...DEFAULT_HOST_LIMITS, ...(options.hostLimits || {}) };
+    this.buckets = new Map();
+    this.active = 0;
+    this.waiting = [];
+    this.stats = { requests: 0, retries: 0, failures: 0 };
+  }
+
+  async acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return;
+    }
+    // The releasing request hands its slot over, so `active` stays the same
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) next();
+    else this.active--;
+  }
+
+  bucketFor(host) {
+    if (!this.buckets.has(host)) {
+      const limit = this.hostLimits[host];
+      this.buckets.set(host, limit ? new TokenBucket(limit) : null);
+    }
+    return this.buckets.get(host);
+  }
+
+  // Answer a request from the recorded fixtures
+  async replay(url, options) {
+    this.stats.requests++;
+    let recorded;
+    try {
+      recorded = await this.fixtures.replay(options.method || 'GET', url);
+    } catch (error) {
+      throw new HttpError(error.message, { url });
+    }
+
+    if (recorded.error) {
+      throw new HttpError(`Request failed: ${recorded.error}`, { url, retryable: true });
+    }
+    return {
+      status: recorded.status,
+      ok: recorded.status >= 200 && recorded.status < 300,
+      headers: new Headers(recorded.headers || {}),
+      body: recorded.body ?? ''
+    };
+  }
+
+  // One attempt: pool slot, rate limit token, fetch and read the body within the timeout.
+  // The token is taken once the request holds a slot, so requests queued for the pool can't
+  // bank tokens and then go out in a burst. The timeout starts once the request is sent,
+  // so waiting for a slot or token can't use it up
+  async attempt(url, options) {
+    if (this.mode === 'replay') return this.replay(url, options);
+
+    const method = options.method || 'GET';
+    const bucket = this.bucketFor(new URL(url).host);
+
+    await this.acquire();
+    let timer;
+    let response;
+    try {
+      if (bucket) await bucket.take();
+      const controller = new AbortController();
+      timer = setTimeout(() => controller.abort(), options.timeout || this.timeout);
+      this.stats.requests++;
+
+      const res = await fetch(url, {
+        method,
+        headers: { 'User-Agent': this.userAgent, ...(options.headers || {}) },
+        body: options.body,
+        signal: controller.signal
+      });
+      response = { status: res.status, ok: res.ok, headers: res.headers, body: await res.text() };
+    } catch (error) {
+      const message = error.name === 'AbortError' ? `timed out after ${options.timeout || this.timeout}ms` : error.message;
+      if (this.mode === 'record') await this.fixtures.record(method, url, { error: message });
+      throw new HttpError(`Request failed: ${message}`, { url, retryable: true });
+    } finally {
+      clearTimeout(timer);
+      this.release();
+    }
+
+    if (response.status === 429 && bucket) {
+      bucket.pause(parseRetryAfter(response.headers.get('retry-after')) ?? backoffDelay(3));
+    }
+    if (this.mode === 'record') {
+      await this.fixtures.record(method, url, { status: response.status, headers: recordedHeaders(response.headers), body: response.body });
+    }
+    return response;
+  }
+
+  // Send a request, retrying retryable failures - resolves { status, ok, headers, body }
+  // for 2xx responses and throws HttpError otherwise
+  async request(url, options = {}) {
+    const retries = options.retries ?? this.retries;
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      try {
+        const response = await this.attempt(url, options);
+        if (response.ok) return response;
+
+        const retryable = response.status === 429 || response.status >= 500;
+        error = new HttpError(`HTTP ${response.status}: ${response.body.slice(0, 200)}`, { url, status: response.status, retryable });
+        error.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      } catch (attemptError) {
+        error = attemptError;
+      }
+
+      if (!error.retryable || attempt >= retries) {
+        this.stats.failures++;
+        throw error;
+      }
+
+      this.stats.retries++;
+      // Replayed responses don't need the server to recover
+      if (this.mode !== 'replay') await sleep(error.retryAfter ?? backoffDelay(attempt));
+    }
+  }
+
+  // GET and parse JSON - throws HttpError on failures and malformed JSON
+  async getJson(url, options = {}) {
+    const response = await this.request(url, options);
+    try {
+      return JSON.parse(response.body);
+    } catch (error) {
+      throw new HttpError(`Malformed JSON: ${error.message}`, { url, status: response.status });
+    }
+  }
+
+  // POST a JSON body
+  async postJson(url, body, options = {}) {
+    return this.request(url, {
+      ...options,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+      body: JSON.stringify(body)
+    });
+  }
+}
+
+// Client shared by everything in a process, so per-host limits apply across fetchers
+let defaultClient = null;
+
+function getDefaultClient(env = process.env) {
+  if (!defaultClient) {
+    defaultClient = new HttpClient({
+      mode: env.HTTP_MODE || 'live',
+      fixtures: env.HTTP_FIXTURES_DIR ? new FixtureStore({ dir: env.HTTP_FIXTURES_DIR }) : undefined
+    });
+  }
+  return defaultClient;
+}
+
+module.exports = { HttpClient, HttpError, TokenBucket, getDefaultClient, parseRetryAfter, DEFAULT_HOST_LIMITS };
@@ -0,0 +1,85 @@
+/**
+ * HTTP Fixtures
+ * Recorded HTTP responses for offline runs. With HTTP_MODE=record the shared
+ * HTTP client saves every response (or network error) it gets; with
+ * HTTP_MODE=replay it answers every request from the saved fixtures and never
+ * touches the network.
+ *
+ * One file per request, <dir>/<host>/<path and query>.json:
+ *   { "request": { "method", "url" },
+ *     "responses": [{ "status", "headers", "body" } or { "error" }, ...] }
+ * Repeated requests get the responses in order, the last one repeats - so a
+ * fixture can fail a few times and then succeed.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Configuration
+const DEFAULT_FIXTURES_DIR = path.join(process.cwd(), 'test', 'fixtures', 'http');
+const MAX_NAME_LENGTH = 120; // Longer names are cut and suffixed with a hash of the URL
+const RECORDED_HEADERS = ['content-type', 'retry-after'];
+
+class FixtureStore {
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_FIXTURES_DIR;
+    this.calls = new Map();
+    this.recorded = new Map();
+    this.writes = Promise.resolve();
+  }
+
+  fileFor(method, url) {
+    const { host, pathname, search } = new URL(url);
+    let name = `${pathname}${search}`.replace(/[^\w.=-]+/g, '_').replace(/^_+|_+$/g, '') || 'index';
+    if (method !== 'GET') name = `${method}_${name}`;
+    if (name.length > MAX_NAME_LENGTH) {
+      const hash = crypto.createHash('sha1').update(`${method} ${url}`).digest('hex').slice(0, 10);
+      name = `${name.slice(0, MAX_NAME_LENGTH)}_${hash}`;
+    }
+    return path.join(this.dir, host.replace(/:/g, '_'), `${name}.json`);
+  }
+
+  // Next recorded response for a request - throws if there is no fixture
+  async replay(method, url) {
+    const file = this.fileFor(method, url);
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new Error(`No fixture for ${method} ${url} (${path.relative(process.cwd(), file)})`);
+      throw error;
+    }
+
+    const index = this.calls.get(file) || 0;
+    this.calls.set(file, index + 1);
+    return fixture.responses[Math.min(index, fixture.responses.length - 1)];
+  }
+
+  // Save a response ({ status, headers, body }) or network error ({ error }) -
+  // responses to the same request in one run are kept in order
+  record(method, url, response) {
+    const file = this.fileFor(method, url);
+    const responses = [...(this.recorded.get(file) || []), response];
+    this.recorded.set(file, responses);
+
+    // Writes are queued so repeated requests can't overwrite each other out of order
+    this.writes = this.writes.then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify({ request: { method, url }, responses }, null, 2) + '\n');
+    });
+    return this.writes;
+  }
+}
+
+// The headers worth keeping from a live response
+function recordedHeaders(headers) {
+  const kept = {};
+  RECORDED_HEADERS.forEach(name => {
+    const value = headers.get(name);
+    if (value !== null) kept[name] = value;
+  });
+  return kept;
+}
+
+module.exports = { FixtureStore, recordedHeaders, DEFAULT_FIXTURES_DIR };
@@ -0,0 +1,98 @@
+/**
+ * Leaderboards
+ * Builds the ranked leaderboards written to steam-charts-summary.json
+ */
+
+const { reviewScores } = require('./normalize');
+
+// Configuration
+const DEFAULT_LENGTHS = {
+  topByPlayers: 100,
+  gainers: 25,
+  losers: 25,
+  newlyCharted: 25,
+  topFreeToPlay: 50,
+  topByReviewScore: 50
+};
+const MIN_PLAYERS_FOR_MOVERS = 100; // Ignore tiny games where +2 players is +200%
+const MIN_REVIEWS_FOR_SCORE = 500; // Reviews needed to rank by review score
+
+// Share of positive reviews in percent, rounded to 0.1 - null without reviews
+function reviewScore(game) {
+  return game.reviewScore !== undefined ? game.reviewScore : reviewScores(game.positive || 0, game.negative || 0).reviewScore;
+}
+
+// The tag endpoint records its tag with 0 votes, so any 'Free to Play' tag counts
+function isFreeToPlay(game) {
+  return Number(game.price) === 0 || Boolean(game.tags && 'Free to Play' in game.tags);
+}
+
+// Leaderboard entry for a game
+function toEntry(game) {
+  return {
+    name: game.name,
+    appId: game.appId,
+    players: game.currentPlayers,
+    rank: game.rank,
+    trending: game.trending,
+    trendDelta: game.trendDelta,
+    peak24h: game.peak24h,
+    low24h: game.low24h,
+    avg30d: game.avg30d,
+    allTimePeak: game.allTimePeak,
+    allTimePeakAt: game.allTimePeakAt
+  };
+}
+
+function byPlayers(a, b) {
+  return b.currentPlayers - a.currentPlayers;
+}
+
+// Build every leaderboard from a snapshot - lengths override DEFAULT_LENGTHS per board
+function buildLeaderboards(data, lengths = {}) {
+  const limits = { ...DEFAULT_LENGTHS, ...lengths };
+  const games = Object.values(data.games || {}).sort(byPlayers);
+  const movers = games.filter(g => typeof g.trendDelta === 'number' && g.currentPlayers >= MIN_PLAYERS_FOR_MOVERS);
+
+  return {
+    topByPlayers: games
+      .slice(0, limits.topByPlayers)
+      .map(toEntry),
+    gainers: movers
+      .filter(g => g.trendDelta > 0)
+      .sort((a, b) => b.trendDelta - a.trendDelta || byPlayers(a, b))
+      .slice(0, limits.gainers)
+      .map(toEntry),
+    losers: movers
+      .filter(g => g.trendDelta < 0)
+      .sort((a, b) => a.trendDelta - b.trendDelta || byPlayers(a, b))
+      .slice(0, limits.losers)
+      .map(toEntry),
+    newlyCharted: games
+      .filter(g => g.trending === 'new')
+      .slice(0, limits.newlyCharted)
+      .map(toEntry),
+    topFreeToPlay: games
+      .filter(isFreeToPlay)
+      .slice(0, limits.topFreeToPlay)
+      .map(toEntry),
+    topByReviewScore: games
+      .filter(g => (g.positive || 0) + (g.negative || 0) >= MIN_REVIEWS_FOR_SCORE)
+      .map(g => ({ game: g, score: reviewScore(g) }))
+      .sort((a, b) => b.score - a.score || byPlayers(a.game, b.game))
+      .slice(0, limits.topByReviewScore)
+      .map(({ game, score }) => ({ ...toEntry(game), reviewScore: score }))
+  };
+}
+
+// Summary file contents - topGames is kept for existing consumers
+function buildSummary(data, lengths = {}) {
+  const leaderboards = buildLeaderboards(data, lengths);
+  return {
+    metadata: data.metadata,
+    topGames: leaderboards.topByPlayers,
+    leaderboards
+  };
+}
+
+module.exports = { buildSummary, buildLeaderboards, reviewScore, toEntry, DEFAULT_LENGTHS };
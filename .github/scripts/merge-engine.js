@@ -0,0 +1,151 @@
+/**
+ * Multi-Source Merge Engine
+ * Merges SteamSpy and Steam Web API data into one record per appId.
+ * Each field is taken from the highest-precedence source that supplied it,
+ * and records which source supplied it and when. Tag votes are combined across
+ * sources. Records come out typed (see normalize.js).
+ */
+
+const { normalizeRecord, mergeTagVotes } = require('./normalize');
+
+// Data sources, from most to least authoritative for player counts
+const SOURCES = {
+  STEAM_CURRENT_PLAYERS: 'steam-current-players', // Live CCU (GetNumberOfCurrentPlayers)
+  STEAM_MOST_PLAYED: 'steam-most-played', // Live top 100 (GetMostPlayedGames)
+  STEAMSPY_ALL: 'steamspy-all', // Daily estimate, all pages
+  STEAMSPY_TAG: 'steamspy-tag', // Daily estimate, tag endpoints
+  STEAMSPY_TOP100: 'steamspy-top100', // Daily estimate, top100* endpoints
+  STEAM_APPDETAILS: 'steam-appdetails', // Store page details (appdetails, cached)
+  STEAM_APP_LIST: 'steam-app-list' // Names only (GetAppList)
+};
+
+// Field -> sources in order of precedence. '*' applies to fields not listed.
+const DEFAULT_PRECEDENCE = {
+  currentPlayers: [SOURCES.STEAM_CURRENT_PLAYERS, SOURCES.STEAM_MOST_PLAYED, SOURCES.STEAMSPY_ALL, SOURCES.STEAMSPY_TAG, SOURCES.STEAMSPY_TOP100],
+  peak24h: [SOURCES.STEAM_MOST_PLAYED],
+  '*': [SOURCES.STEAMSPY_ALL, SOURCES.STEAMSPY_TAG, SOURCES.STEAMSPY_TOP100, SOURCES.STEAM_MOST_PLAYED, SOURCES.STEAM_CURRENT_PLAYERS, SOURCES.STEAM_APPDETAILS, SOURCES.STEAM_APP_LIST]
+};
+
+function isPresent(value) {
+  if (value === undefined || value === null || value === '') return false;
+  if (typeof value === 'object' && Object.keys(value).length === 0) return false;
+  return true;
+}
+
+// Source fields stored under another name in the typed record
+const RECORD_FIELDS = { owners: ['ownersMin', 'ownersMax'], genre: ['genres'] };
+
+// Map a raw SteamSpy entry (all/tag/top100 endpoints) to record fields
+function fromSteamSpy(game) {
+  return {
+    name: game.name,
+    currentPlayers: game.ccu,
+    owners: game.owners,
+    positive: game.positive,
+    negative: game.negative,
+    averagePlaytime: game.average_forever,
+    medianPlaytime: game.median_forever,
+    price: game.price,
+    initialPrice: game.initialprice,
+    discount: game.discount,
+    languages: game.languages,
+    genre: game.genre,
+    publisher: game.publisher,
+    developer: game.developer,
+    tags: game.tags
+  };
+}
+
+class MergeEngine {
+  constructor(options = {}) {
+    this.precedence = { ...DEFAULT_PRECEDENCE, ...(options.precedence || {}) };
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(appId) {
+    return this.entries.has(Number(appId));
+  }
+
+  // Position of a source in a field's precedence list - unlisted sources rank last
+  rank(field, source) {
+    const order = this.precedence[field] || this.precedence['*'];
+    const index = order.indexOf(source);
+    return index === -1 ? order.length : index;
+  }
+
+  // Offer fields for a game from a source - each field is kept only if the source
+  // outranks (or equals, being newer) the one that supplied it so far
+  add(source, appId, fields, fetchedAt = new Date().toISOString()) {
+    const id = Number(appId);
+    const entry = this.entries.get(id) || { fields: {}, provenance: {} };
+
+    Object.entries(fields).forEach(([field, value]) => {
+      if (!isPresent(value)) return;
+
+      const current = entry.provenance[field];
+      const outranked = current && this.rank(field, current.source) < this.rank(field, source);
+
+      // Every source's tags are kept, with the highest vote count per tag
+      if (field === 'tags' && entry.fields.tags) {
+        entry.fields.tags = mergeTagVotes(entry.fields.tags, value);
+        if (!outranked) entry.provenance.tags = { source, at: fetchedAt };
+        return;
+      }
+      if (outranked) return;
+
+      entry.fields[field] = value;
+      entry.provenance[field] = { source, at: fetchedAt };
+    });
+
+    this.entries.set(id, entry);
+    return this;
+  }
+
+  // Which source supplied a field of a game, and when
+  provenanceOf(appId, field) {
+    const entry = this.entries.get(Number(appId));
+    return entry ? entry.provenance[field] || null : null;
+  }
+
+  // Merged, typed record for a game. `source` is the source of currentPlayers and
+  // `provenance` lists every contributing source: { [source]: { at, fields } }
+  record(appId) {
+    const id = Number(appId);
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+
+    const record = normalizeRecord({ ...entry.fields, appId: id });
+    record.name = record.name || `Game ${id}`;
+
+    const provenance = {};
+    Object.entries(entry.provenance).forEach(([field, { source, at }]) => {
+      provenance[source] = provenance[source] || { at, fields: [] };
+      provenance[source].fields.push(...(RECORD_FIELDS[field] || [field]));
+    });
+
+    record.source = entry.provenance.currentPlayers?.source || null;
+    record.provenance = provenance;
+    return record;
+  }
+
+  records() {
+    return Array.from(this.entries.keys()).map(appId => this.record(appId));
+  }
+
+  // Plain JSON form of the merged state, e.g. for checkpoints
+  toJSON() {
+    return Array.from(this.entries.entries());
+  }
+
+  // Restore merged state saved with toJSON()
+  restore(entries) {
+    this.entries = new Map((entries || []).map(([appId, entry]) => [Number(appId), entry]));
+    return this;
+  }
+}
+
+module.exports = { MergeEngine, SOURCES, DEFAULT_PRECEDENCE, fromSteamSpy };
@@ -0,0 +1,115 @@
+/**
+ * Record Normalization
+ * Turns merged SteamSpy / Steam fields into the typed game record of schema 2.x:
+ * numeric owner bounds, integer prices with a currency, arrays for languages and
+ * genres, tag vote counts and review scores. Games of 1.x snapshots (owners
+ * range strings, string prices, comma-joined lists) are upgraded the same way,
+ * so it's safe to run on any game record.
+ */
+
+// Configuration
+const DEFAULT_CURRENCY = 'USD'; // SteamSpy reports US store prices in cents
+const WILSON_Z = 1.96; // 95% confidence
+
+// Parse a SteamSpy owners range ("1,000,000 .. 2,000,000") - returns { min, max } or null
+function parseOwners(owners) {
+  if (owners === undefined || owners === null) return null;
+  const bounds = String(owners).split('..').map(part => part.replace(/[\s,]/g, ''));
+  if (bounds.length > 2 || !bounds.every(bound => /^\d+$/.test(bound))) return null;
+  const [min, max = min] = bounds.map(Number);
+  return { min, max };
+}
+
+// Non-negative integer from a number or numeric string - 0 if it isn't one
+function toCount(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.round(number) : 0;
+}
+
+// Array of names from an array or a comma-joined string
+function toList(value) {
+  const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Tag -> vote count. SteamSpy sends [] for no tags; non-numeric votes (membership only) count 0.
+function toTagVotes(tags) {
+  if (!tags || typeof tags !== 'object' || Array.isArray(tags)) return {};
+  return Object.fromEntries(Object.entries(tags).map(([tag, votes]) => [tag, toCount(votes)]));
+}
+
+// Union of two tag vote maps, keeping the higher count of each tag
+function mergeTagVotes(a, b) {
+  const merged = toTagVotes(a);
+  Object.entries(toTagVotes(b)).forEach(([tag, votes]) => {
+    merged[tag] = Math.max(merged[tag] ?? 0, votes);
+  });
+  return merged;
+}
+
+// Lower bound of the Wilson score interval for the positive share - null without reviews
+function wilsonLowerBound(positive, negative, z = WILSON_Z) {
+  const total = positive + negative;
+  if (total === 0) return null;
+  const share = positive / total;
+  const centre = share + (z * z) / (2 * total);
+  const margin = z * Math.sqrt((share * (1 - share) + (z * z) / (4 * total)) / total);
+  return (centre - margin) / (1 + (z * z) / total);
+}
+
+function percent(fraction) {
+  return fraction === null ? null : Math.round(fraction * 1000) / 10;
+}
+
+// Positive review share and its Wilson lower bound, in percent rounded to 0.1
+function reviewScores(positive, negative) {
+  const total = positive + negative;
+  return {
+    reviewScore: percent(total === 0 ? null : positive / total),
+    reviewScoreLowerBound: percent(wilsonLowerBound(positive, negative))
+  };
+}
+
+// Typed record for a game. Fields without a typed form (rank, trends, peaks,
+// provenance, ...) are kept as they are, after the typed ones.
+function normalizeRecord(game) {
+  const owners = game.ownersMin !== undefined ? { min: toCount(game.ownersMin), max: toCount(game.ownersMax) } : parseOwners(game.owners);
+  const positive = toCount(game.positive);
+  const negative = toCount(game.negative);
+
+  const typed = {
+    name: game.name,
+    appId: Number(game.appId),
+    currentPlayers: toCount(game.currentPlayers),
+    ownersMin: owners ? owners.min : 0,
+    ownersMax: owners ? owners.max : 0,
+    positive,
+    negative,
+    ...reviewScores(positive, negative),
+    averagePlaytime: toCount(game.averagePlaytime),
+    medianPlaytime: toCount(game.medianPlaytime),
+    price: toCount(game.price),
+    initialPrice: toCount(game.initialPrice),
+    discount: toCount(game.discount),
+    currency: game.currency || DEFAULT_CURRENCY,
+    languages: toList(game.languages),
+    genres: toList(game.genres ?? game.genre),
+    publisher: game.publisher || '',
+    developer: game.developer || '',
+    tags: toTagVotes(game.tags)
+  };
+
+  // Drop the 1.x forms replaced by typed fields
+  const rest = Object.entries(game).filter(([field]) => !(field in typed) && field !== 'owners' && field !== 'genre');
+  return { ...typed, ...Object.fromEntries(rest) };
+}
+
+module.exports = {
+  normalizeRecord,
+  parseOwners,
+  toTagVotes,
+  mergeTagVotes,
+  reviewScores,
+  wilsonLowerBound,
+  DEFAULT_CURRENCY
+};
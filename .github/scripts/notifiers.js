@@ -0,0 +1,120 @@
+/**
+ * Alert Notifiers
+ * Pluggable targets alerts (see alerts.js) are sent to:
+ *   - WebhookNotifier: POSTs { alerts } JSON to any HTTP endpoint
+ *   - DiscordNotifier: POSTs Discord-style { content, embeds } messages
+ *   - FileNotifier: appends one JSON line per alert to a local file
+ * Every notifier exposes `name` and `async send(alerts)`. Webhook URLs can be
+ * given by environment variable (`urlEnv`) to keep them out of the rules file.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getDefaultClient } = require('./http-client');
+
+// Configuration
+const MAX_RETRIES = 3;
+const REQUEST_TIMEOUT = 30000;
+const DISCORD_MAX_EMBEDS = 10; // Embeds per Discord message
+const DISCORD_COLORS = { above: 0x2ecc71, doubled: 0x2ecc71, 'entered-top': 0x3498db, below: 0xe67e22, drop: 0xe74c3c };
+
+// A notifier's URL from `url` or the environment variable named by `urlEnv`
+function notifierUrl(options, type) {
+  const url = options.url || (options.urlEnv && process.env[options.urlEnv]);
+  if (!url) {
+    throw new Error(`${type} notifier requires url${options.urlEnv ? ` (${options.urlEnv} is not set)` : ''}`);
+  }
+  return url;
+}
+
+class WebhookNotifier {
+  constructor(options = {}) {
+    this.name = 'webhook';
+    this.url = notifierUrl(options, 'webhook');
+    this.headers = options.headers || {};
+    this.http = options.http || getDefaultClient();
+  }
+
+  async send(alerts) {
+    await this.http.postJson(this.url, { alerts }, { headers: this.headers, retries: MAX_RETRIES, timeout: REQUEST_TIMEOUT });
+    console.log(`📤 Webhook: sent ${alerts.length} alerts to ${new URL(this.url).host}`);
+  }
+}
+
+class DiscordNotifier {
+  constructor(options = {}) {
+    this.name = 'discord';
+    this.url = notifierUrl(options, 'discord');
+    this.username = options.username || 'Steam Charts';
+    this.http = options.http || getDefaultClient();
+  }
+
+  // One message - a summary line and an embed per alert
+  message(alerts) {
+    return {
+      username: this.username,
+      content: `🔔 ${alerts.length} alert${alerts.length === 1 ? '' : 's'}`,
+      embeds: alerts.map(alert => ({
+        title: alert.name || `App ${alert.appId}`,
+        url: alert.url,
+        description: alert.message,
+        color: DISCORD_COLORS[alert.when],
+        timestamp: alert.at,
+        footer: { text: alert.ruleId }
+      }))
+    };
+  }
+
+  async send(alerts) {
+    for (let i = 0; i < alerts.length; i += DISCORD_MAX_EMBEDS) {
+      await this.http.postJson(this.url, this.message(alerts.slice(i, i + DISCORD_MAX_EMBEDS)), { retries: MAX_RETRIES, timeout: REQUEST_TIMEOUT });
+    }
+    console.log(`📤 Discord: sent ${alerts.length} alerts to ${new URL(this.url).host}`);
+  }
+}
+
+class FileNotifier {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('file notifier requires path');
+    }
+    this.name = 'file';
+    this.path = options.path;
+  }
+
+  async send(alerts) {
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.appendFile(this.path, alerts.map(alert => JSON.stringify(alert) + '\n').join(''));
+    console.log(`💾 ${alerts.length} alerts appended to: ${this.path}`);
+  }
+}
+
+const NOTIFIERS = { webhook: WebhookNotifier, discord: DiscordNotifier, file: FileNotifier };
+
+// Notifiers from their configs ({ type, ...options }) - `options` (e.g. http) apply to all
+function createNotifiers(configs = [], options = {}) {
+  return configs.map(({ type, ...config }) => {
+    const Notifier = NOTIFIERS[type];
+    if (!Notifier) throw new Error(`Unknown notifier type '${type}' - expected ${Object.keys(NOTIFIERS).join(', ')}`);
+    return new Notifier({ ...options, ...config });
+  });
+}
+
+// Send alerts to every notifier - a failing notifier only warns.
+// Returns [{ notifier, error }] failures
+async function sendToNotifiers(notifiers, alerts) {
+  const failures = [];
+  if (alerts.length === 0) return failures;
+
+  for (const notifier of notifiers) {
+    try {
+      await notifier.send(alerts);
+    } catch (error) {
+      console.log(`⚠️  Notifier '${notifier.name}' failed: ${error.message}`);
+      failures.push({ notifier: notifier.name, error: error.message });
+    }
+  }
+  return failures;
+}
+
+module.exports = { WebhookNotifier, DiscordNotifier, FileNotifier, NOTIFIERS, createNotifiers, sendToNotifiers };
@@ -0,0 +1,327 @@
+/**
+ * Output Sinks
+ * Pluggable targets a finished snapshot is written to:
+ *   - JsonFileSink: the public/data JSON files
+ *   - ShardedJsonSink: per-appId-range shard files and their manifest
+ *   - ColumnarFileSink: binary snapshot / history tables, plus gzip and brotli copies
+ *   - AggregateFileSink: per-tag, -genre, -publisher and -developer chart files
+ *   - SearchIndexFileSink: the game name search index
+ *   - SupabaseSink: PostgREST upsert of per-game rows and per-run snapshot rows
+ *   - WebhookSink: batched JSON POSTs to any HTTP endpoint
+ * Every sink exposes `name` and `async write(data)`.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { DATA_DIR, SHARD_DIR } = require('./snapshot');
+const { ShardWriter } = require('./shards');
+const { encodeTable, snapshotTable, historyTable } = require('./columnar');
+const { HistoryStore } = require('./history-store');
+const { buildSummary } = require('./leaderboards');
+const { buildAggregates, aggregateFileName } = require('./aggregates');
+const { buildSearchIndex, buildSearchPlayers, SEARCH_INDEX_FILE, SEARCH_PLAYERS_FILE } = require('./search-index');
+const { assertValid } = require('./schema');
+const { getDefaultClient } = require('./http-client');
+
+// Configuration
+const DEFAULT_BATCH_SIZE = 500; // Rows per request
+const MAX_RETRIES = 3;
+const REQUEST_TIMEOUT = 30000;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Writes steam-charts-summary.json and (unless monolithic is false)
+// steam-charts.json and steam-charts.min.json
+class JsonFileSink {
+  constructor(options = {}) {
+    this.name = 'json';
+    this.required = true;
+    this.dir = options.dir || DATA_DIR;
+    this.leaderboardLengths = options.leaderboardLengths || {};
+    this.monolithic = options.monolithic ?? true;
+  }
+
+  async write(data) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const outputFile = path.join(this.dir, 'steam-charts.json');
+    if (this.monolithic) {
+      await fs.writeFile(outputFile, JSON.stringify(data, null, 2));
+      console.log(`💾 Data saved to: ${outputFile}`);
+
+      const minifiedFile = path.join(this.dir, 'steam-charts.min.json');
+      await fs.writeFile(minifiedFile, JSON.stringify(data));
+      console.log(`💾 Minified data saved to: ${minifiedFile}`);
+    }
+
+    // Summary with ranked leaderboards
+    // (games is keyed by numeric appId, so its key order is NOT the rank order)
+    const summaryFile = path.join(this.dir, 'steam-charts-summary.json');
+    const summary = assertValid('summary', buildSummary(data, this.leaderboardLengths));
+    await fs.writeFile(summaryFile, JSON.stringify(summary, null, 2));
+    console.log(`💾 Summary saved to: ${summaryFile}`);
+
+    return this.monolithic ? outputFile : summaryFile;
+  }
+}
+
+// Writes public/data/shards: one file per appId range, rewritten only when it changed
+class ShardedJsonSink {
+  constructor(options = {}) {
+    this.name = 'shards';
+    this.required = true;
+    this.writer = new ShardWriter({ dir: options.dir || SHARD_DIR, shardSize: options.shardSize });
+  }
+
+  async write(data) {
+    const { written, unchanged, removed } = await this.writer.write(data);
+    console.log(`🧩 Shards: ${written.length} written, ${unchanged} unchanged, ${removed.length} removed in ${this.writer.dir}`);
+    return this.writer.manifestFile;
+  }
+}
+
+const gzip = promisify(zlib.gzip);
+const brotli = promisify(zlib.brotliCompress);
+
+// Writes steam-charts.bin and steam-charts-history.bin (see columnar.js) next to
+// the JSON files, each with precompressed .gz and .br copies. The history table
+// covers the top games over the last days, read from the history store.
+class ColumnarFileSink {
+  constructor(options = {}) {
+    this.name = 'columnar';
+    this.required = true;
+    this.dir = options.dir || DATA_DIR;
+    this.history = options.history || new HistoryStore({ dir: options.historyDir });
+    this.historyGames = options.historyGames;
+    this.historyDays = options.historyDays;
+  }
+
+  async writeVariants(file, buffer) {
+    const [gzipped, brotlied] = await Promise.all([
+      gzip(buffer, { level: zlib.constants.Z_BEST_COMPRESSION }),
+      brotli(buffer, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY } })
+    ]);
+    await fs.writeFile(file, buffer);
+    await fs.writeFile(`${file}.gz`, gzipped);
+    await fs.writeFile(`${file}.br`, brotlied);
+    console.log(`🗜️  Columnar data saved to: ${file} (${buffer.length.toLocaleString()} bytes, ` +
+      `${gzipped.length.toLocaleString()} gzip, ${brotlied.length.toLocaleString()} brotli)`);
+  }
+
+  async write(data) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const snapshotFile = path.join(this.dir, 'steam-charts.bin');
+    await this.writeVariants(snapshotFile, encodeTable(snapshotTable(data)));
+
+    const history = await historyTable(data, this.history, { games: this.historyGames, days: this.historyDays });
+    await this.writeVariants(path.join(this.dir, 'steam-charts-history.bin'), encodeTable(history));
+
+    return snapshotFile;
+  }
+}
+
+// Writes steam-charts-by-<dimension>.json next to the summary for every
+// aggregate dimension (see aggregates.js)
+class AggregateFileSink {
+  constructor(options = {}) {
+    this.name = 'aggregates';
+    this.required = true;
+    this.dir = options.dir || DATA_DIR;
+    this.maxGroups = options.maxGroups;
+    this.topGames = options.topGames;
+  }
+
+  async write(data) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const aggregates = buildAggregates(data, { maxGroups: this.maxGroups, topGames: this.topGames });
+    const files = [];
+    for (const [dimension, aggregate] of Object.entries(aggregates)) {
+      const file = path.join(this.dir, aggregateFileName(dimension));
+      await fs.writeFile(file, JSON.stringify(assertValid('aggregate', aggregate), null, 2));
+      files.push(file);
+    }
+    console.log(`📚 Aggregates saved: ${Object.entries(aggregates).map(([dimension, a]) => `${a.metadata.totalGroups.toLocaleString()} ${dimension}s`).join(', ')}`);
+
+    return files;
+  }
+}
+
+// Writes search-index.json, the name index read by search-query.js, and
+// search-players.json, the player counts its results rank by
+class SearchIndexFileSink {
+  constructor(options = {}) {
+    this.name = 'search-index';
+    this.required = true;
+    this.dir = options.dir || DATA_DIR;
+  }
+
+  async write(data) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const index = buildSearchIndex(data);
+    const file = path.join(this.dir, SEARCH_INDEX_FILE);
+    await fs.writeFile(file, JSON.stringify(index));
+    await fs.writeFile(path.join(this.dir, SEARCH_PLAYERS_FILE), JSON.stringify(buildSearchPlayers(data)));
+    console.log(`🔎 Search index saved: ${index.games.length.toLocaleString()} games, ${Object.keys(index.tokens).length.toLocaleString()} tokens`);
+
+    return file;
+  }
+}
+
+// Upserts into Supabase (or any PostgREST server) tables:
+//   games:     one row per app_id, overwritten every run
+//   snapshots: one row per (app_id, captured_at)
+class SupabaseSink {
+  constructor(options = {}) {
+    if (!options.url || !options.key) {
+      throw new Error('SupabaseSink requires url and key');
+    }
+    this.name = 'supabase';
+    this.url = options.url.replace(/\/+$/, '');
+    this.key = options.key;
+    this.gamesTable = options.gamesTable || 'games';
+    this.snapshotsTable = options.snapshotsTable || 'snapshots';
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.http = options.http || getDefaultClient();
+  }
+
+  gameRow(game, capturedAt) {
+    return {
+      app_id: game.appId,
+      name: game.name,
+      current_players: game.currentPlayers,
+      rank: game.rank,
+      peak_24h: game.peak24h ?? null,
+      all_time_peak: game.allTimePeak ?? null,
+      trending: game.trending ?? null,
+      trend_delta: game.trendDelta ?? null,
+      owners_min: game.ownersMin,
+      owners_max: game.ownersMax,
+      positive: game.positive,
+      negative: game.negative,
+      review_score: game.reviewScore,
+      price: game.price,
+      currency: game.currency,
+      source: game.source,
+      updated_at: capturedAt
+    };
+  }
+
+  snapshotRow(game, capturedAt) {
+    return {
+      app_id: game.appId,
+      captured_at: capturedAt,
+      players: game.currentPlayers,
+      rank: game.rank
+    };
+  }
+
+  async upsert(table, rows, conflictColumns) {
+    const url = `${this.url}/rest/v1/${table}?on_conflict=${conflictColumns}`;
+    const headers = {
+      apikey: this.key,
+      Authorization: `Bearer ${this.key}`,
+      Prefer: 'resolution=merge-duplicates,return=minimal'
+    };
+
+    for (const batch of chunk(rows, this.batchSize)) {
+      await this.http.postJson(url, batch, { headers, retries: MAX_RETRIES, timeout: REQUEST_TIMEOUT });
+    }
+    console.log(`☁️  Supabase: upserted ${rows.length.toLocaleString()} rows into ${table}`);
+  }
+
+  async write(data) {
+    const capturedAt = data.metadata.timestamp;
+    const games = Object.values(data.games);
+
+    await this.upsert(this.gamesTable, games.map(g => this.gameRow(g, capturedAt)), 'app_id');
+    await this.upsert(this.snapshotsTable, games.map(g => this.snapshotRow(g, capturedAt)), 'app_id,captured_at');
+  }
+}
+
+// POSTs { metadata, batch: { index, total }, games: [...] } in batches
+class WebhookSink {
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('WebhookSink requires url');
+    }
+    this.name = 'webhook';
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.http = options.http || getDefaultClient();
+  }
+
+  async write(data) {
+    const batches = chunk(Object.values(data.games), this.batchSize);
+
+    for (let index = 0; index < batches.length; index++) {
+      await this.http.postJson(this.url, {
+        metadata: data.metadata,
+        batch: { index, total: batches.length },
+        games: batches[index]
+      }, { headers: this.headers, retries: MAX_RETRIES, timeout: REQUEST_TIMEOUT });
+    }
+    console.log(`📤 Webhook: sent ${batches.length} batches to ${new URL(this.url).host}`);
+  }
+}
+
+// Sinks configured by options and environment variables - the JSON files are always
+// written, the shards, columnar files, aggregates and search index only when opted in
+// (options.shards etc.), since each is a set of files rewritten on every run
+function createSinks(env = process.env, options = {}) {
+  const sinks = [new JsonFileSink(options)];
+  if (options.shards) sinks.push(new ShardedJsonSink({ shardSize: options.shardSize }));
+  if (options.columnar) sinks.push(new ColumnarFileSink());
+  if (options.aggregates) sinks.push(new AggregateFileSink());
+  if (options.searchIndex) sinks.push(new SearchIndexFileSink());
+
+  if (env.SUPABASE_URL && (env.SUPABASE_SERVICE_KEY || env.SUPABASE_ANON_KEY)) {
+    sinks.push(new SupabaseSink({
+      url: env.SUPABASE_URL,
+      key: env.SUPABASE_SERVICE_KEY || env.SUPABASE_ANON_KEY,
+      gamesTable: env.SUPABASE_GAMES_TABLE,
+      snapshotsTable: env.SUPABASE_SNAPSHOTS_TABLE
+    }));
+  }
+
+  if (env.WEBHOOK_URL) {
+    sinks.push(new WebhookSink({
+      url: env.WEBHOOK_URL,
+      headers: env.WEBHOOK_TOKEN ? { Authorization: `Bearer ${env.WEBHOOK_TOKEN}` } : {}
+    }));
+  }
+
+  return sinks;
+}
+
+// Write to every sink - the local files must succeed, remote sinks only warn.
+// Returns { outputs: { [sinkName]: result }, failures: [{ sink, error }] }
+async function writeToSinks(sinks, data) {
+  const outputs = {};
+  const failures = [];
+
+  for (const sink of sinks) {
+    try {
+      outputs[sink.name] = await sink.write(data);
+    } catch (error) {
+      if (sink.required) throw error;
+      console.log(`⚠️  Sink '${sink.name}' failed: ${error.message}`);
+      failures.push({ sink: sink.name, error: error.message });
+    }
+  }
+
+  return { outputs, failures };
+}
+
+module.exports = { JsonFileSink, ShardedJsonSink, ColumnarFileSink, AggregateFileSink, SearchIndexFileSink, SupabaseSink, WebhookSink, createSinks, writeToSinks };
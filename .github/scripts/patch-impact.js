@@ -0,0 +1,144 @@
+/**
+ * Patch Impact
+ * Measures how a game's player count moved around its patches and updates,
+ * from the stored player count history.
+ *
+ * Events are read from JSON or NDJSON holding either event objects
+ *   { "appId": 730, "date": "2025-08-28T17:00:00Z", "title": "Release Notes", "url": "..." }
+ * (date may also be unix seconds) or Steam news API responses
+ * (ISteamNews/GetNewsForApp: { appnews: { appid, newsitems: [...] } }), of which
+ * only items tagged "patchnotes" are kept unless allNews is set.
+ *
+ * Per event: mean players in the 24h and 7d before and after it, their % change,
+ * and the peak in the 7 days after it.
+ */
+
+const fs = require('fs').promises;
+const { percentChange } = require('./trends');
+
+// Configuration
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOWS = { '24h': DAY_MS, '7d': 7 * DAY_MS };
+const PATCH_TAG = 'patchnotes'; // Steam news tag of patch notes
+
+// Event date from unix seconds, milliseconds or a date string - NaN if invalid
+function eventTime(value) {
+  if (typeof value === 'number') return value < 1e12 ? value * 1000 : value;
+  return typeof value === 'string' ? Date.parse(value) : NaN;
+}
+
+function toEvent(item, source, where) {
+  const appId = Number(item.appId ?? item.appid);
+  const time = eventTime(item.date ?? item.timestamp ?? item.at);
+  if (!Number.isInteger(appId) || appId <= 0) throw new Error(`Invalid event ${where}: missing or invalid appId`);
+  if (Number.isNaN(time)) throw new Error(`Invalid event ${where}: missing or invalid date`);
+
+  const at = new Date(time).toISOString();
+  return {
+    id: String(item.id ?? item.gid ?? `${appId}-${at}`),
+    appId,
+    at,
+    title: item.title || null,
+    url: item.url || null,
+    source
+  };
+}
+
+// Events from one parsed JSON value - an event, a list, { events } or a news response
+function eventsFrom(value, options, where) {
+  if (Array.isArray(value)) return value.flatMap((item, index) => eventsFrom(item, options, `${where}[${index}]`));
+  if (!value || typeof value !== 'object') throw new Error(`Invalid event ${where}: expected an object`);
+  if (Array.isArray(value.events)) return eventsFrom(value.events, options, `${where}.events`);
+
+  if (value.appnews) {
+    const { appid, newsitems = [] } = value.appnews;
+    return newsitems
+      .filter(item => options.allNews || (item.tags || []).includes(PATCH_TAG))
+      .map((item, index) => toEvent({ appid, ...item }, 'steam-news', `${where}.appnews.newsitems[${index}]`));
+  }
+  return [toEvent(value, 'file', where)];
+}
+
+// Parse events from JSON or NDJSON text - duplicates (same id) are dropped, oldest first
+function parseEvents(text, options = {}) {
+  const name = options.name || 'events';
+  let events;
+  try {
+    events = eventsFrom(JSON.parse(text), options, name);
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    // Not one JSON document - one per line
+    events = text.split('\n').flatMap((line, index) => {
+      if (!line.trim()) return [];
+      let value;
+      try {
+        value = JSON.parse(line);
+      } catch (lineError) {
+        throw new Error(`Invalid JSON in ${name} line ${index + 1}: ${lineError.message}`);
+      }
+      return eventsFrom(value, options, `${name}:${index + 1}`);
+    });
+  }
+
+  const unique = new Map(events.map(event => [event.id, event]));
+  return Array.from(unique.values()).sort((a, b) => a.at.localeCompare(b.at) || a.appId - b.appId);
+}
+
+async function loadEvents(file, options = {}) {
+  return parseEvents(await fs.readFile(file, 'utf8'), { ...options, name: file });
+}
+
+function mean(points) {
+  return points.length > 0 ? Math.round(points.reduce((sum, point) => sum + point.players, 0) / points.length) : null;
+}
+
+// Impact metrics of one event from the game's history points ({ timestamp, players })
+function measureImpact(event, points, now = Date.now()) {
+  const at = new Date(event.at).getTime();
+  const samples = points.map(point => ({ time: new Date(point.timestamp).getTime(), players: point.players }));
+  const impact = { ...event };
+
+  Object.entries(WINDOWS).forEach(([name, length]) => {
+    const before = mean(samples.filter(s => s.time >= at - length && s.time < at));
+    const after = mean(samples.filter(s => s.time > at && s.time <= at + length));
+    impact[`before${name}`] = before;
+    impact[`after${name}`] = after;
+    impact[`change${name}`] = after === null ? null : percentChange(after, before);
+  });
+
+  const afterWeek = samples.filter(s => s.time > at && s.time <= at + WINDOWS['7d']);
+  const peak = afterWeek.reduce((best, s) => (best && best.players >= s.players ? best : s), null);
+  impact.peakAfter = peak ? peak.players : null;
+  impact.peakAfterAt = peak ? new Date(peak.time).toISOString() : null;
+  impact.peakChange = peak ? percentChange(peak.players, impact.before24h) : null;
+  // The 7 day window is still filling
+  impact.complete = now >= at + WINDOWS['7d'];
+  return impact;
+}
+
+// Impact of every event, newest first. `names` maps appId -> game name (e.g. from a snapshot)
+async function buildImpactReport(events, store, options = {}) {
+  const now = options.now ?? Date.now();
+  const byApp = new Map();
+  events.forEach(event => {
+    if (!byApp.has(event.appId)) byApp.set(event.appId, []);
+    byApp.get(event.appId).push(event);
+  });
+
+  const impacts = [];
+  for (const [appId, appEvents] of byApp) {
+    const times = appEvents.map(event => new Date(event.at).getTime());
+    const points = await store.loadSeries(appId, Math.min(...times) - WINDOWS['7d'], Math.min(Math.max(...times) + WINDOWS['7d'], now));
+    appEvents.forEach(event => {
+      impacts.push({ name: options.names?.get(appId) ?? null, ...measureImpact(event, points, now) });
+    });
+  }
+
+  impacts.sort((a, b) => b.at.localeCompare(a.at) || a.appId - b.appId);
+  return {
+    metadata: { generatedAt: new Date(now).toISOString(), events: impacts.length, games: byApp.size },
+    impacts
+  };
+}
+
+module.exports = { parseEvents, loadEvents, measureImpact, buildImpactReport, WINDOWS };
@@ -0,0 +1,107 @@
+/**
+ * Peak Tracker
+ * Maintains rolling 24h peak/low, 30 day average and all-time peak per game.
+ * State is carried between runs in .cache/state/peaks.json (restored between
+ * workflow runs by actions/cache, not committed - it is rewritten every run):
+ *   { "730": { "peak": 1862531, "peakAt": "...", "hours": [[hour, max, min]], "days": [[day, sum, count]] } }
+ * where hour/day are whole hours/days since the Unix epoch.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Configuration
+const DEFAULT_STATE_FILE = path.join(process.cwd(), '.cache', 'state', 'peaks.json');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const HOURS_KEPT = 24;
+const DAYS_KEPT = 30;
+
+class PeakTracker {
+  constructor(options = {}) {
+    this.stateFile = options.stateFile || DEFAULT_STATE_FILE;
+    this.state = {};
+  }
+
+  // Load carried state - starts empty if there is none yet
+  async load() {
+    try {
+      this.state = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`Failed to load peak state, starting fresh: ${error.message}`);
+      }
+      this.state = {};
+    }
+    return this;
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+    await fs.writeFile(this.stateFile, JSON.stringify(this.state));
+    console.log(`💾 Peak state saved to: ${this.stateFile}`);
+  }
+
+  // Record one player count sample and return the derived peak fields
+  record(appId, players, timestamp) {
+    const time = new Date(timestamp).getTime();
+    const hour = Math.floor(time / HOUR_MS);
+    const day = Math.floor(time / DAY_MS);
+    const entry = this.state[appId] || { peak: 0, peakAt: null, hours: [], days: [] };
+
+    if (players > entry.peak) {
+      entry.peak = players;
+      entry.peakAt = new Date(time).toISOString();
+    }
+
+    const lastHour = entry.hours[entry.hours.length - 1];
+    if (lastHour && lastHour[0] === hour) {
+      lastHour[1] = Math.max(lastHour[1], players);
+      lastHour[2] = Math.min(lastHour[2], players);
+    } else {
+      entry.hours.push([hour, players, players]);
+    }
+    entry.hours = entry.hours.filter(([h]) => h > hour - HOURS_KEPT);
+
+    const lastDay = entry.days[entry.days.length - 1];
+    if (lastDay && lastDay[0] === day) {
+      lastDay[1] += players;
+      lastDay[2]++;
+    } else {
+      entry.days.push([day, players, 1]);
+    }
+    entry.days = entry.days.filter(([d]) => d > day - DAYS_KEPT);
+
+    this.state[appId] = entry;
+    return this.fields(appId);
+  }
+
+  // Derived fields for a game from the carried state
+  fields(appId) {
+    const entry = this.state[appId];
+    if (!entry) return null;
+
+    const samples = entry.days.reduce((acc, [, sum, count]) => ({ sum: acc.sum + sum, count: acc.count + count }), { sum: 0, count: 0 });
+
+    return {
+      peak24h: Math.max(...entry.hours.map(([, max]) => max)),
+      low24h: Math.min(...entry.hours.map(([, , min]) => min)),
+      avg30d: samples.count > 0 ? Math.round(samples.sum / samples.count) : 0,
+      allTimePeak: entry.peak,
+      allTimePeakAt: entry.peakAt
+    };
+  }
+
+  // Record every game of a run and set its peak fields in place.
+  // A peak24h reported by the source (e.g. Steam's peak_in_game) is kept if higher.
+  apply(games, timestamp) {
+    games.forEach(game => {
+      const reportedPeak = game.peak24h || 0;
+      const fields = this.record(game.appId, game.currentPlayers, timestamp);
+      Object.assign(game, fields, { peak24h: Math.max(fields.peak24h, reportedPeak) });
+    });
+    return games;
+  }
+}
+
+module.exports = { PeakTracker };
@@ -0,0 +1,168 @@
+/**
+ * Price Tracker
+ * Keeps a price history per game, detects sales starting and ending and base
+ * price changes between runs, and follows the player count while a game is
+ * discounted. State is carried between runs in .cache/state/prices.json
+ * (restored between workflow runs by actions/cache, not committed):
+ *   { "games": { "730": { "price": 999, "initialPrice": 1999, "discount": 50, "currency": "USD",
+ *                         "players": 61000, "seenAt": "...", "history": [[unixSeconds, initialPrice, price, discount]],
+ *                         "sale": { "startedAt", "discount", "baselinePlayers", "peakPlayers", "peakAt" } } },
+ *     "events": [{ "type": "sale-start" | "sale-end" | "price-change", "appId", "at", ... }] }
+ *
+ * The sales feed (public/data/sales.json) lists the running sales with the
+ * player response so far, the games surging during a sale and recent events.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR } = require('./snapshot');
+const { percentChange } = require('./trends');
+
+// Configuration
+const DEFAULT_STATE_FILE = path.join(process.cwd(), '.cache', 'state', 'prices.json');
+const DEFAULT_FEED_FILE = path.join(DATA_DIR, 'sales.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_KEPT = 50; // Price changes kept per game
+const EVENTS_DAYS = 30; // Days of events kept in the state and the feed
+const FORGET_DAYS = 30; // Games not seen for this long are dropped from the state
+const SURGING_MIN_PLAYERS = 100; // Baseline needed to count as surging
+const SURGING_MIN_CHANGE = 20; // % player gain during a sale to count as surging
+const SURGING_LENGTH = 50;
+
+// Whether a source supplied the game's price - records without one default to 0
+function hasPrice(game) {
+  return Object.values(game.provenance || {}).some(source => source.fields.includes('price'));
+}
+
+class PriceTracker {
+  constructor(options = {}) {
+    this.stateFile = options.stateFile || DEFAULT_STATE_FILE;
+    this.feedFile = options.feedFile || DEFAULT_FEED_FILE;
+    this.state = { games: {}, events: [] };
+    this.timestamp = null;
+    this.names = new Map();
+  }
+
+  // Load carried state - starts empty if there is none yet
+  async load() {
+    try {
+      this.state = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`Failed to load price state, starting fresh: ${error.message}`);
+      }
+      this.state = { games: {}, events: [] };
+    }
+    return this;
+  }
+
+  // Save the state and the sales feed
+  async save() {
+    await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+    await fs.writeFile(this.stateFile, JSON.stringify(this.state));
+    console.log(`💾 Price state saved to: ${this.stateFile}`);
+
+    await fs.mkdir(path.dirname(this.feedFile), { recursive: true });
+    await fs.writeFile(this.feedFile, JSON.stringify(this.feed(), null, 2));
+    console.log(`💾 Sales feed saved to: ${this.feedFile}`);
+  }
+
+  event(type, game, at, fields) {
+    this.state.events.push({ type, appId: game.appId, name: game.name, at, ...fields });
+  }
+
+  // Compare one game's price with the last run and follow a running sale
+  record(game, timestamp) {
+    const previous = this.state.games[game.appId];
+    const entry = previous || { history: [], sale: null };
+    const { price, initialPrice, discount, currency, currentPlayers: players } = game;
+
+    if (previous && initialPrice !== previous.initialPrice && previous.initialPrice > 0 && initialPrice > 0) {
+      this.event('price-change', game, timestamp, { from: previous.initialPrice, to: initialPrice, currency });
+    }
+
+    if (discount > 0 && !entry.sale) {
+      // Unknown baseline if the game was first seen on sale
+      entry.sale = { startedAt: timestamp, discount, baselinePlayers: previous ? previous.players : null, peakPlayers: players, peakAt: timestamp };
+      if (previous) {
+        this.event('sale-start', game, timestamp, { discount, price, initialPrice, currency, baselinePlayers: previous.players });
+      }
+    } else if (discount > 0) {
+      entry.sale.discount = Math.max(entry.sale.discount, discount);
+      if (players > entry.sale.peakPlayers) Object.assign(entry.sale, { peakPlayers: players, peakAt: timestamp });
+    } else if (entry.sale) {
+      const { startedAt, baselinePlayers, peakPlayers, peakAt } = entry.sale;
+      this.event('sale-end', game, timestamp, {
+        discount: entry.sale.discount,
+        startedAt,
+        baselinePlayers,
+        peakPlayers,
+        peakAt,
+        peakChange: percentChange(peakPlayers, baselinePlayers),
+        players
+      });
+      entry.sale = null;
+    }
+
+    const last = entry.history[entry.history.length - 1];
+    if (!last || last[1] !== initialPrice || last[2] !== price || last[3] !== discount) {
+      entry.history.push([Math.floor(new Date(timestamp).getTime() / 1000), initialPrice, price, discount]);
+      entry.history = entry.history.slice(-HISTORY_KEPT);
+    }
+
+    Object.assign(entry, { price, initialPrice, discount, currency, players, seenAt: timestamp });
+    this.state.games[game.appId] = entry;
+  }
+
+  // Record every game of a run that has a known price, then forget old events and games
+  apply(games, timestamp) {
+    this.timestamp = timestamp;
+    this.names = new Map(games.map(game => [game.appId, game.name]));
+    games.filter(hasPrice).forEach(game => this.record(game, timestamp));
+
+    const now = new Date(timestamp).getTime();
+    this.state.events = this.state.events.filter(event => now - new Date(event.at).getTime() <= EVENTS_DAYS * DAY_MS);
+    Object.entries(this.state.games).forEach(([appId, entry]) => {
+      if (now - new Date(entry.seenAt).getTime() > FORGET_DAYS * DAY_MS) delete this.state.games[appId];
+    });
+    return games;
+  }
+
+  // Sales feed contents: running sales with their player response, the surging ones and recent events
+  feed() {
+    const activeSales = Object.entries(this.state.games)
+      .filter(([, entry]) => entry.sale && entry.seenAt === this.timestamp)
+      .map(([appId, entry]) => ({
+        appId: Number(appId),
+        name: this.names.get(Number(appId)) ?? null,
+        discount: entry.discount,
+        price: entry.price,
+        initialPrice: entry.initialPrice,
+        currency: entry.currency,
+        startedAt: entry.sale.startedAt,
+        baselinePlayers: entry.sale.baselinePlayers,
+        players: entry.players,
+        playersChange: percentChange(entry.players, entry.sale.baselinePlayers),
+        peakPlayers: entry.sale.peakPlayers,
+        peakAt: entry.sale.peakAt
+      }))
+      .sort((a, b) => (b.playersChange ?? -Infinity) - (a.playersChange ?? -Infinity) || b.players - a.players);
+
+    return {
+      metadata: { timestamp: this.timestamp, activeSales: activeSales.length },
+      surging: activeSales
+        .filter(sale => sale.baselinePlayers >= SURGING_MIN_PLAYERS && sale.playersChange >= SURGING_MIN_CHANGE)
+        .slice(0, SURGING_LENGTH),
+      activeSales,
+      events: [...this.state.events].reverse()
+    };
+  }
+
+  // A game's price history - [{ at, initialPrice, price, discount }], oldest first
+  history(appId) {
+    const entry = this.state.games[appId];
+    return entry ? entry.history.map(([time, initialPrice, price, discount]) => ({ at: new Date(time * 1000).toISOString(), initialPrice, price, discount })) : [];
+  }
+}
+
+module.exports = { PriceTracker, hasPrice };
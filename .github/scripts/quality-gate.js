@@ -0,0 +1,122 @@
+/**
+ * Data Quality Gate
+ * Compares a new snapshot with the last good (published) one and refuses to
+ * publish it when it looks broken - e.g. many SteamSpy pages failed and the
+ * run "succeeded" with far fewer games or players.
+ * Every check result is written to public/data/quality-report.json.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR } = require('./snapshot');
+
+// Configuration
+const DEFAULT_REPORT_FILE = path.join(DATA_DIR, 'quality-report.json');
+const DEFAULT_THRESHOLDS = {
+  minGamesRatio: 0.9, // New game count must be >= 90% of the last good one
+  minPlayersRatio: 0.7, // New total players must be >= 70% of the last good one
+  topN: 100,
+  minTopOverlap: 0.6, // Share of the last top 100 still in the new top 100
+  maxJumpFactor: 100, // A game whose CCU grows this many times counts as a jump...
+  minJumpPlayers: 1000, // ...if it now has at least this many players
+  maxJumps: 5, // More jumps than this fails the gate
+  maxDuplicateShare: 0.01 // More than 1% of the games sharing a name with another game fails the gate
+};
+
+function topAppIds(data, n) {
+  return new Set(Object.values(data.games)
+    .sort((a, b) => b.currentPlayers - a.currentPlayers)
+    .slice(0, n)
+    .map(g => g.appId));
+}
+
+function ratio(value, baseline) {
+  return baseline > 0 ? Math.round((value / baseline) * 1000) / 1000 : null;
+}
+
+class QualityGate {
+  constructor(options = {}) {
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+    this.reportFile = options.reportFile || DEFAULT_REPORT_FILE;
+  }
+
+  // Run every check - without a previous snapshot only the standalone checks apply
+  check(next, previous) {
+    const t = this.thresholds;
+    const checks = [];
+    const add = (name, passed, value, threshold, message, details) => {
+      checks.push({ name, passed, value, threshold, message, ...(details ? { details } : {}) });
+    };
+
+    if (previous) {
+      const gamesRatio = ratio(next.metadata.totalGames, previous.metadata.totalGames);
+      add('totalGames', gamesRatio === null || gamesRatio >= t.minGamesRatio, gamesRatio, t.minGamesRatio,
+        `${next.metadata.totalGames.toLocaleString()} games vs ${previous.metadata.totalGames.toLocaleString()} in the last good snapshot`);
+
+      const playersRatio = ratio(next.metadata.totalPlayers, previous.metadata.totalPlayers);
+      add('totalPlayers', playersRatio === null || playersRatio >= t.minPlayersRatio, playersRatio, t.minPlayersRatio,
+        `${next.metadata.totalPlayers.toLocaleString()} players vs ${previous.metadata.totalPlayers.toLocaleString()} in the last good snapshot`);
+
+      const previousTop = topAppIds(previous, t.topN);
+      const nextTop = topAppIds(next, t.topN);
+      const overlap = previousTop.size > 0
+        ? ratio([...nextTop].filter(appId => previousTop.has(appId)).length, previousTop.size)
+        : null;
+      add('topOverlap', overlap === null || overlap >= t.minTopOverlap, overlap, t.minTopOverlap,
+        `${Math.round((overlap ?? 1) * 100)}% of the last top ${t.topN} is still in the top ${t.topN}`);
+
+      const jumps = Object.values(next.games)
+        .map(game => ({ game, before: previous.games[game.appId]?.currentPlayers }))
+        .filter(({ game, before }) => before > 0 && game.currentPlayers >= t.minJumpPlayers && game.currentPlayers / before >= t.maxJumpFactor)
+        .map(({ game, before }) => ({ appId: game.appId, name: game.name, before, after: game.currentPlayers }));
+      add('playerJumps', jumps.length <= t.maxJumps, jumps.length, t.maxJumps,
+        `${jumps.length} games grew ${t.maxJumpFactor}x or more`, jumps.length > 0 ? jumps.slice(0, 50) : null);
+    }
+
+    const byName = new Map();
+    Object.values(next.games).forEach(game => {
+      byName.set(game.name, [...(byName.get(game.name) || []), game.appId]);
+    });
+    const duplicates = [...byName.entries()]
+      .filter(([, appIds]) => appIds.length > 1)
+      .map(([name, appIds]) => ({ name, appIds }));
+    const duplicateGames = duplicates.reduce((sum, d) => sum + d.appIds.length, 0);
+    const duplicateShare = ratio(duplicateGames, Object.keys(next.games).length);
+    add('duplicateNames', duplicateShare === null || duplicateShare <= t.maxDuplicateShare, duplicateShare, t.maxDuplicateShare,
+      `${duplicateGames} games share a name with another game`, duplicates.length > 0 ? duplicates.slice(0, 50) : null);
+
+    return {
+      passed: checks.every(c => c.passed),
+      checkedAt: new Date().toISOString(),
+      snapshotTimestamp: next.metadata.timestamp,
+      previousTimestamp: previous ? previous.metadata.timestamp : null,
+      checks
+    };
+  }
+
+  async writeReport(report) {
+    await fs.mkdir(path.dirname(this.reportFile), { recursive: true });
+    await fs.writeFile(this.reportFile, JSON.stringify(report, null, 2));
+    console.log(`📋 Quality report saved to: ${this.reportFile}`);
+  }
+
+  // Check, write the report and throw if the snapshot must not be published
+  async enforce(next, previous) {
+    const report = this.check(next, previous);
+    await this.writeReport(report);
+
+    report.checks.forEach(c => {
+      // Passed checks with details (e.g. a few duplicate names) are worth a look
+      const icon = c.passed ? (c.details ? '⚠️ ' : '✅') : '❌';
+      console.log(`${icon} ${c.name}: ${c.message}`);
+    });
+
+    if (!report.passed) {
+      const failed = report.checks.filter(c => !c.passed).map(c => c.name).join(', ');
+      throw new Error(`❌ QUALITY GATE FAILED (${failed}) - keeping the previous snapshot`);
+    }
+    return report;
+  }
+}
+
+module.exports = { QualityGate, DEFAULT_THRESHOLDS };
@@ -0,0 +1,247 @@
+/**
+ * Output Schema and Validator
+ * Versioned JSON Schemas for steam-charts.json / steam-charts.min.json (same
+ * content), steam-charts-summary.json and the steam-charts-by-*.json aggregates,
+ * plus a dependency-free validator for the subset of JSON Schema they use.
+ * Downstream projects can import this module or hand SCHEMAS to any JSON Schema
+ * validator.
+ */
+
+// Bump the major version for breaking changes to the output shape
+const SCHEMA_VERSION = '2.1.0';
+
+const nonNegativeInteger = { type: 'integer', minimum: 0 };
+const nullableNumber = { type: ['number', 'null'] };
+const nullablePercent = { type: ['number', 'null'], minimum: 0, maximum: 100 };
+const nameList = { type: 'array', items: { type: 'string', minLength: 1 } };
+const timestamp = { type: 'string', format: 'date-time' };
+
+const gameSchema = {
+  type: 'object',
+  required: [
+    'name', 'appId', 'currentPlayers', 'rank', 'ownersMin', 'ownersMax', 'positive', 'negative',
+    'price', 'currency', 'languages', 'genres', 'tags', 'trending', 'source'
+  ],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    appId: { type: 'integer', minimum: 1 },
+    currentPlayers: nonNegativeInteger,
+    rank: { type: 'integer', minimum: 1 },
+    // SteamSpy owner estimate range
+    ownersMin: nonNegativeInteger,
+    ownersMax: nonNegativeInteger,
+    positive: nonNegativeInteger,
+    negative: nonNegativeInteger,
+    // Positive share of reviews and its Wilson lower bound (95%), in percent
+    reviewScore: nullablePercent,
+    reviewScoreLowerBound: nullablePercent,
+    averagePlaytime: nonNegativeInteger,
+    medianPlaytime: nonNegativeInteger,
+    // Prices in cents of `currency`, discount in percent
+    price: nonNegativeInteger,
+    initialPrice: nonNegativeInteger,
+    discount: { type: 'integer', minimum: 0, maximum: 100 },
+    currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+    languages: nameList,
+    genres: nameList,
+    publisher: { type: 'string' },
+    developer: { type: 'string' },
+    // Steam store details, for games enriched from appdetails
+    type: { type: 'string' },
+    releaseDate: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    comingSoon: { type: 'boolean' },
+    headerImage: { type: ['string', 'null'] },
+    platforms: { type: 'array', items: { enum: ['windows', 'mac', 'linux'] } },
+    categories: nameList,
+    // Tag -> user votes (0 when only known from a SteamSpy tag endpoint)
+    tags: { type: 'object', additionalProperties: nonNegativeInteger },
+    trending: { enum: ['up', 'down', 'stable', 'new', 'surging'] },
+    trendDelta: nullableNumber,
+    trendDelta24h: nullableNumber,
+    trendDelta7d: nullableNumber,
+    peak24h: nonNegativeInteger,
+    low24h: nonNegativeInteger,
+    avg30d: nonNegativeInteger,
+    allTimePeak: nonNegativeInteger,
+    allTimePeakAt: { type: ['string', 'null'], format: 'date-time' },
+    source: { type: 'string' },
+    provenance: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['at', 'fields'],
+        properties: { at: timestamp, fields: { type: 'array', items: { type: 'string' } } }
+      }
+    }
+  }
+};
+
+const metadataSchema = {
+  type: 'object',
+  required: ['timestamp', 'totalGames', 'totalPlayers', 'schemaVersion'],
+  properties: {
+    timestamp,
+    totalGames: nonNegativeInteger,
+    totalPlayers: nonNegativeInteger,
+    schemaVersion: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+    source: { type: 'string' },
+    version: { type: 'string' },
+    duration: { type: 'number', minimum: 0 }
+  }
+};
+
+const leaderboardEntrySchema = {
+  type: 'object',
+  required: ['name', 'appId', 'players', 'rank'],
+  properties: {
+    name: { type: 'string' },
+    appId: { type: 'integer', minimum: 1 },
+    players: nonNegativeInteger,
+    rank: { type: 'integer', minimum: 1 },
+    trendDelta: nullableNumber,
+    reviewScore: { type: 'number', minimum: 0, maximum: 100 }
+  }
+};
+
+const leaderboard = { type: 'array', items: leaderboardEntrySchema };
+
+const aggregateGroupSchema = {
+  type: 'object',
+  required: ['name', 'players', 'games', 'trending', 'topGames'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    players: nonNegativeInteger,
+    games: { type: 'integer', minimum: 1 },
+    trending: { enum: ['up', 'down', 'stable', 'surging'] },
+    trendDelta: nullableNumber,
+    trendDelta24h: nullableNumber,
+    trendDelta7d: nullableNumber,
+    topGames: leaderboard
+  }
+};
+
+const SCHEMAS = {
+  snapshot: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `https://github.com/cklouder2/gamepatchnote-charts/schemas/steam-charts/${SCHEMA_VERSION}`,
+    title: 'steam-charts.json',
+    type: 'object',
+    required: ['metadata', 'games'],
+    properties: {
+      metadata: metadataSchema,
+      // Keyed by appId
+      games: { type: 'object', propertyNames: { pattern: '^\\d+$' }, additionalProperties: gameSchema }
+    }
+  },
+  summary: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `https://github.com/cklouder2/gamepatchnote-charts/schemas/steam-charts-summary/${SCHEMA_VERSION}`,
+    title: 'steam-charts-summary.json',
+    type: 'object',
+    required: ['metadata', 'topGames', 'leaderboards'],
+    properties: {
+      metadata: metadataSchema,
+      topGames: leaderboard,
+      leaderboards: {
+        type: 'object',
+        required: ['topByPlayers', 'gainers', 'losers', 'newlyCharted', 'topFreeToPlay', 'topByReviewScore'],
+        additionalProperties: leaderboard
+      }
+    }
+  },
+  aggregate: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `https://github.com/cklouder2/gamepatchnote-charts/schemas/steam-charts-aggregate/${SCHEMA_VERSION}`,
+    title: 'steam-charts-by-<dimension>.json',
+    type: 'object',
+    required: ['metadata', 'groups'],
+    properties: {
+      metadata: {
+        ...metadataSchema,
+        required: [...metadataSchema.required, 'dimension', 'totalGroups'],
+        properties: { ...metadataSchema.properties, dimension: { enum: ['tag', 'genre', 'publisher', 'developer'] }, totalGroups: nonNegativeInteger }
+      },
+      // Sorted by players
+      groups: { type: 'array', items: aggregateGroupSchema }
+    }
+  }
+};
+
+// The min file is the snapshot without whitespace
+SCHEMAS.min = SCHEMAS.snapshot;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return [].concat(type).some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+// Validate a value against a schema - returns a list of "path: problem" strings
+function validateValue(schema, value, at = '$', errors = []) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${at}: expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: ${JSON.stringify(value)} doesn't match ${schema.pattern}`);
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) errors.push(`${at}: invalid date-time ${JSON.stringify(value)}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateValue(schema.items, item, `${at}[${index}]`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${at}: missing required property '${key}'`);
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      if (schema.propertyNames?.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) {
+        errors.push(`${at}: invalid key '${key}'`);
+      }
+      const childSchema = schema.properties?.[key] || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (childSchema) validateValue(childSchema, child, `${at}.${key}`, errors);
+    });
+  }
+
+  return errors;
+}
+
+// Validate an output file's contents - kind is 'snapshot', 'min', 'summary' or 'aggregate'
+function validate(kind, data) {
+  const schema = SCHEMAS[kind];
+  if (!schema) throw new Error(`Unknown schema: ${kind}`);
+
+  const errors = validateValue(schema, data);
+  return { valid: errors.length === 0, errors };
+}
+
+// Throw with the first problems if data doesn't match its schema
+function assertValid(kind, data, maxErrors = 10) {
+  const { valid, errors } = validate(kind, data);
+  if (!valid) {
+    const shown = errors.slice(0, maxErrors).join('\n  ');
+    const more = errors.length > maxErrors ? `\n  ...and ${errors.length - maxErrors} more` : '';
+    throw new Error(`❌ SCHEMA VALIDATION FAILED (${kind} v${SCHEMA_VERSION}): ${errors.length} problems\n  ${shown}${more}`);
+  }
+  return data;
+}
+
+module.exports = { SCHEMA_VERSION, SCHEMAS, validate, assertValid };
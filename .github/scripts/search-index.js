@@ -0,0 +1,54 @@
+/**
+ * Game Search Index
+ * Builds the compact name index saved as public/data/search-index.json, read by
+ * search-query.js in Node and the browser:
+ *   { "version": 2,
+ *     "games": [[appId, name], ...],                     by appId
+ *     "tokens": { "counter": [0, 12], "strike": [0, 12], ... } }  positions in games
+ * and the player counts it ranks by, saved separately as search-players.json:
+ *   { "timestamp": "...", "players": { "730": 950000, ... } }
+ * so the index itself only changes when games or names do.
+ *
+ * Names are folded and tokenized like queries. Each name is also indexed as one
+ * token without spaces, so "counterstrike" finds "Counter-Strike 2".
+ */
+
+const { tokenize } = require('./search-query');
+
+// Configuration
+const SEARCH_INDEX_VERSION = 2;
+const SEARCH_INDEX_FILE = 'search-index.json';
+const SEARCH_PLAYERS_FILE = 'search-players.json';
+
+// Index of every named game in a snapshot
+function buildSearchIndex(data) {
+  const games = Object.values(data.games || {})
+    .filter(game => game.name)
+    .sort((a, b) => a.appId - b.appId);
+  const tokens = new Map();
+
+  games.forEach((game, position) => {
+    const nameTokens = tokenize(game.name);
+    if (nameTokens.length > 1) nameTokens.push(nameTokens.join(''));
+    new Set(nameTokens).forEach(token => {
+      if (!tokens.has(token)) tokens.set(token, []);
+      tokens.get(token).push(position);
+    });
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    games: games.map(game => [game.appId, game.name]),
+    tokens: Object.fromEntries(tokens)
+  };
+}
+
+// Current players per appId, which search results rank by
+function buildSearchPlayers(data) {
+  return {
+    timestamp: data.metadata?.timestamp ?? null,
+    players: Object.fromEntries(Object.values(data.games || {}).map(game => [game.appId, game.currentPlayers]))
+  };
+}
+
+module.exports = { buildSearchIndex, buildSearchPlayers, SEARCH_INDEX_VERSION, SEARCH_INDEX_FILE, SEARCH_PLAYERS_FILE };
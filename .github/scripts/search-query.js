@@ -0,0 +1,144 @@
+/**
+ * Game Search Query
+ * Searches the compact name index written to public/data/search-index.json
+ * (see search-index.js). Has no dependencies, so the same file runs in Node
+ * (require) and in the browser (a <script> tag defines window.SteamChartsSearch):
+ *
+ *   const index = await (await fetch('/data/search-index.json')).json();
+ *   const { players } = await (await fetch('/data/search-players.json')).json();
+ *   const search = new GameSearch(index, players);
+ *   search.search('counter strik');  // [{ appId: 730, name: 'Counter-Strike 2', players, score }, ...]
+ *
+ * Names and queries are folded (case, diacritics, punctuation) and split into
+ * tokens. Every query token must match a name token exactly, as a prefix or
+ * within a few typos; results rank by match quality, then current players.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SteamChartsSearch = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Configuration
+  const DEFAULT_LIMIT = 20;
+  const SCORES = { exact: 3, prefix: 2, typo: 1 };
+  const EXACT_NAME_BONUS = 5; // The whole name equals the query
+
+  // Lower case without diacritics, apostrophes or other punctuation
+  function foldText(text) {
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/ß/g, 'ss')
+      .replace(/['\u2019`]/g, '')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  function tokenize(text) {
+    const folded = foldText(text);
+    return folded ? folded.split(' ') : [];
+  }
+
+  // Typos allowed for a query token of this length
+  function maxTypos(length) {
+    return length < 4 ? 0 : length < 8 ? 1 : 2;
+  }
+
+  // Edit distance (with adjacent transpositions) - stops early above max
+  function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let before = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], before[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) return max + 1;
+      before = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  class GameSearch {
+    // index: { games: [[appId, name]], tokens: { token: [game positions] } },
+    // players: { [appId]: currentPlayers } to rank ties by (missing games count as 0)
+    constructor(index, players = {}) {
+      this.games = index.games;
+      this.players = players;
+      this.postings = index.tokens;
+      this.tokens = Object.keys(index.tokens).sort();
+    }
+
+    // First position in the sorted tokens not below token
+    lowerBound(token) {
+      let low = 0;
+      let high = this.tokens.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (this.tokens[middle] < token) low = middle + 1;
+        else high = middle;
+      }
+      return low;
+    }
+
+    // Best score per game position for one query token
+    matchToken(token) {
+      const scores = new Map();
+      const add = (indexToken, score) => {
+        this.postings[indexToken].forEach(position => {
+          if ((scores.get(position) || 0) < score) scores.set(position, score);
+        });
+      };
+
+      for (let i = this.lowerBound(token); i < this.tokens.length && this.tokens[i].startsWith(token); i++) {
+        add(this.tokens[i], this.tokens[i] === token ? SCORES.exact : SCORES.prefix);
+      }
+      const typos = maxTypos(token.length);
+      if (typos > 0) {
+        this.tokens.forEach(indexToken => {
+          if (!indexToken.startsWith(token) && editDistance(token, indexToken, typos) <= typos) add(indexToken, SCORES.typo);
+        });
+      }
+      return scores;
+    }
+
+    // Games matching every token of the query, best first - [{ appId, name, players, score }]
+    search(query, options = {}) {
+      const limit = options.limit ?? DEFAULT_LIMIT;
+      const tokens = [...new Set(tokenize(query))];
+      if (tokens.length === 0) return [];
+
+      let matches = null;
+      for (const token of tokens) {
+        const scores = this.matchToken(token);
+        if (matches === null) {
+          matches = scores;
+        } else {
+          matches = new Map([...matches].filter(([position]) => scores.has(position)).map(([position, score]) => [position, score + scores.get(position)]));
+        }
+        if (matches.size === 0) return [];
+      }
+
+      const folded = foldText(query);
+      return [...matches]
+        .map(([position, score]) => {
+          const [appId, name] = this.games[position];
+          const players = this.players[appId] ?? 0;
+          return { appId, name, players, score: foldText(name) === folded ? score + EXACT_NAME_BONUS : score };
+        })
+        .sort((a, b) => b.score - a.score || b.players - a.players || a.appId - b.appId)
+        .slice(0, limit);
+    }
+  }
+
+  return { GameSearch, foldText, tokenize, editDistance };
+});
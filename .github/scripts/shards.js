@@ -0,0 +1,137 @@
+/**
+ * Sharded Snapshot Output
+ * Splits a snapshot into per-appId-range shard files plus a manifest, so
+ * clients can fetch only the games they render instead of the whole snapshot.
+ *
+ * Layout: public/data/shards/
+ *   index.json   { manifestVersion, metadata, shardSize, shards: { [key]: { file, from, to, games, hash, dataHash } } }
+ *   <key>.json   { "games": { [appId]: game } } for appIds from key * shardSize to (key + 1) * shardSize - 1
+ *
+ * A client finds a game's shard with Math.floor(appId / shardSize) and can cache
+ * it by `hash`, the SHA-256 of the file. A shard is only rewritten when its games'
+ * data changed (`dataHash` leaves out provenance times, which move every run);
+ * shards left without games are removed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Configuration
+const DEFAULT_SHARD_SIZE = 10000; // appIds per shard (~60 active games each)
+const MANIFEST_FILE = 'index.json';
+const MANIFEST_VERSION = 1;
+
+function hashOf(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Hash of a shard's games without provenance `at` times
+function dataHashOf(games) {
+  return hashOf(JSON.stringify(games, (key, value) => (key === 'at' ? undefined : value)));
+}
+
+async function readJsonFile(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+class ShardWriter {
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new Error('ShardWriter requires dir');
+    }
+    this.dir = options.dir;
+    this.shardSize = options.shardSize || DEFAULT_SHARD_SIZE;
+  }
+
+  get manifestFile() {
+    return path.join(this.dir, MANIFEST_FILE);
+  }
+
+  shardKey(appId) {
+    return Math.floor(Number(appId) / this.shardSize);
+  }
+
+  // Serialized shard contents by key (games keyed by numeric appId stay in appId order)
+  buildShards(data) {
+    const groups = new Map();
+    Object.values(data.games).forEach(game => {
+      const key = this.shardKey(game.appId);
+      if (!groups.has(key)) groups.set(key, {});
+      groups.get(key)[game.appId] = game;
+    });
+
+    const shards = new Map();
+    [...groups.keys()].sort((a, b) => a - b).forEach(key => {
+      const games = groups.get(key);
+      shards.set(key, { content: JSON.stringify({ games }), games: Object.keys(games).length, dataHash: dataHashOf(games) });
+    });
+    return shards;
+  }
+
+  // Write the shards that changed and a new manifest.
+  // Returns { manifest, written, unchanged, removed } (written/removed are file names)
+  async write(data) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const previous = (await readJsonFile(this.manifestFile))?.shards || {};
+    const manifest = { manifestVersion: MANIFEST_VERSION, metadata: data.metadata, shardSize: this.shardSize, shards: {} };
+    const written = [];
+    let unchanged = 0;
+
+    for (const [key, shard] of this.buildShards(data)) {
+      const file = `${key}.json`;
+      const from = key * this.shardSize;
+      const exists = await fs.access(path.join(this.dir, file)).then(() => true, () => false);
+      let hash;
+
+      if (exists && previous[key]?.dataHash === shard.dataHash) {
+        hash = previous[key].hash;
+        unchanged++;
+      } else {
+        await fs.writeFile(path.join(this.dir, file), shard.content);
+        hash = hashOf(shard.content);
+        written.push(file);
+      }
+      manifest.shards[key] = { file, from, to: from + this.shardSize - 1, games: shard.games, hash, dataHash: shard.dataHash };
+    }
+
+    const current = new Set(Object.values(manifest.shards).map(shard => shard.file));
+    const removed = Object.values(previous).map(shard => shard.file).filter(file => !current.has(file));
+    await Promise.all(removed.map(file => fs.rm(path.join(this.dir, file), { force: true })));
+
+    // Write then rename so readers never see a half-written manifest
+    const tempFile = `${this.manifestFile}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(manifest, null, 2));
+    await fs.rename(tempFile, this.manifestFile);
+
+    return { manifest, written, unchanged, removed };
+  }
+}
+
+// Reassemble a snapshot ({ metadata, games }) from a shard directory.
+// Returns null without a manifest and throws if a shard is missing or doesn't match its hash.
+async function loadShardedSnapshot(dir) {
+  const manifest = await readJsonFile(path.join(dir, MANIFEST_FILE));
+  if (!manifest) return null;
+
+  const games = {};
+  for (const shard of Object.values(manifest.shards)) {
+    const file = path.join(dir, shard.file);
+    const content = await fs.readFile(file, 'utf8').catch(error => {
+      throw new Error(`Missing shard ${file}: ${error.message}`);
+    });
+    if (hashOf(content) !== shard.hash) {
+      throw new Error(`Shard ${file} doesn't match its manifest hash`);
+    }
+    Object.assign(games, JSON.parse(content).games);
+  }
+
+  return { metadata: manifest.metadata, games };
+}
+
+module.exports = { ShardWriter, loadShardedSnapshot, MANIFEST_FILE, DEFAULT_SHARD_SIZE };
@@ -0,0 +1,150 @@
+/**
+ * Snapshot Diff
+ * Compares two steam-charts.json snapshots: games entering or leaving the
+ * active set (currentPlayers > 0), rank movements, price / discount changes
+ * and review count deltas. Produces a JSON report, a Markdown summary and a
+ * one-line summary (used for the workflow's commit messages).
+ */
+
+// Configuration
+const DEFAULT_MIN_RANK_CHANGE = 1; // Smaller rank moves aren't reported
+const MARKDOWN_LIMIT = 10; // Entries listed per Markdown section
+
+function activeGames(snapshot) {
+  return new Map(Object.values(snapshot.games)
+    .filter(game => game.currentPlayers > 0)
+    .map(game => [game.appId, game]));
+}
+
+function byRank(a, b) {
+  return (a.rank || Infinity) - (b.rank || Infinity);
+}
+
+function entryOf(game) {
+  return { appId: game.appId, name: game.name, rank: game.rank, currentPlayers: game.currentPlayers };
+}
+
+function change(before, after) {
+  return { before, after, delta: after - before };
+}
+
+// Compare two snapshots. `limit` caps each list (counts still cover everything).
+function diffSnapshots(before, after, options = {}) {
+  const minRankChange = options.minRankChange ?? DEFAULT_MIN_RANK_CHANGE;
+  const previous = activeGames(before);
+  const next = activeGames(after);
+
+  const entered = [...next.values()].filter(g => !previous.has(g.appId)).sort(byRank).map(entryOf);
+  const left = [...previous.values()].filter(g => !next.has(g.appId)).sort(byRank).map(entryOf);
+  const rankChanges = [];
+  const priceChanges = [];
+  const reviewChanges = [];
+
+  Object.values(after.games).forEach(game => {
+    const old = before.games[game.appId];
+    if (!old) return;
+    const { appId, name } = game;
+
+    // Positive change = moved up the chart
+    if (previous.has(appId) && next.has(appId) && Math.abs(old.rank - game.rank) >= minRankChange) {
+      rankChanges.push({ appId, name, from: old.rank, to: game.rank, change: old.rank - game.rank });
+    }
+
+    // Prices are in cents - Number() also reads older snapshots, which kept them as strings
+    const prices = ['price', 'initialPrice', 'discount'].map(field => change(Number(old[field] || 0), Number(game[field] || 0)));
+    if (prices.some(p => p.delta !== 0)) {
+      const [price, initialPrice, discount] = prices;
+      priceChanges.push({ appId, name, rank: game.rank, price, initialPrice, discount });
+    }
+
+    const positive = change(old.positive || 0, game.positive || 0);
+    const negative = change(old.negative || 0, game.negative || 0);
+    if (positive.delta !== 0 || negative.delta !== 0) {
+      reviewChanges.push({ appId, name, rank: game.rank, positive, negative });
+    }
+  });
+
+  rankChanges.sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || a.to - b.to);
+  priceChanges.sort(byRank);
+  reviewChanges.sort((a, b) =>
+    (Math.abs(b.positive.delta) + Math.abs(b.negative.delta)) - (Math.abs(a.positive.delta) + Math.abs(a.negative.delta)));
+
+  const cap = list => (options.limit ? list.slice(0, options.limit) : list);
+  return {
+    from: before.metadata.timestamp,
+    to: after.metadata.timestamp,
+    totals: {
+      games: change(before.metadata.totalGames, after.metadata.totalGames),
+      players: change(before.metadata.totalPlayers, after.metadata.totalPlayers)
+    },
+    counts: {
+      entered: entered.length,
+      left: left.length,
+      rankChanges: rankChanges.length,
+      priceChanges: priceChanges.length,
+      reviewChanges: reviewChanges.length
+    },
+    entered: cap(entered),
+    left: cap(left),
+    rankChanges: cap(rankChanges),
+    priceChanges: cap(priceChanges),
+    reviewChanges: cap(reviewChanges)
+  };
+}
+
+function signed(value) {
+  return value > 0 ? `+${value.toLocaleString()}` : value.toLocaleString();
+}
+
+function percent(delta, before) {
+  return before > 0 ? ` (${signed(Math.round((delta / before) * 1000) / 10)}%)` : '';
+}
+
+function formatPrice(cents) {
+  return cents === 0 ? 'Free' : `$${(cents / 100).toFixed(2)}`;
+}
+
+// One line, e.g. "20,123 games (+12), 8,765,432 players (+1.2%), 15 entered, 12 left"
+function summaryLine(diff) {
+  const { games, players } = diff.totals;
+  return `${games.after.toLocaleString()} games (${signed(games.delta)}), ` +
+    `${players.after.toLocaleString()} players${percent(players.delta, players.before) || ` (${signed(players.delta)})`}, ` +
+    `${diff.counts.entered} entered, ${diff.counts.left} left`;
+}
+
+function toMarkdown(diff, options = {}) {
+  const limit = options.limit || MARKDOWN_LIMIT;
+  const { games, players } = diff.totals;
+  const lines = [
+    '## Snapshot changes',
+    '',
+    `${diff.from} → ${diff.to}`,
+    '',
+    `- Games: ${games.before.toLocaleString()} → ${games.after.toLocaleString()} (${signed(games.delta)})`,
+    `- Players: ${players.before.toLocaleString()} → ${players.after.toLocaleString()}${percent(players.delta, players.before)}`,
+    `- ${diff.counts.entered} entered, ${diff.counts.left} left, ${diff.counts.rankChanges} rank changes, ` +
+      `${diff.counts.priceChanges} price changes, ${diff.counts.reviewChanges} review changes`
+  ];
+
+  const section = (title, entries, total, format) => {
+    if (entries.length === 0) return;
+    lines.push('', `### ${title}`, '');
+    entries.slice(0, limit).forEach(entry => lines.push(`- ${format(entry)}`));
+    if (total > limit) lines.push(`- ...and ${(total - limit).toLocaleString()} more`);
+  };
+
+  section('Entered', diff.entered, diff.counts.entered, g => `#${g.rank} ${g.name} (${g.currentPlayers.toLocaleString()} players)`);
+  section('Left', diff.left, diff.counts.left, g => `${g.name} (was #${g.rank})`);
+  section('Biggest rank moves', diff.rankChanges, diff.counts.rankChanges,
+    m => `${m.change > 0 ? '⬆️' : '⬇️'} ${m.name}: #${m.from} → #${m.to} (${signed(m.change)})`);
+  section('Price changes', diff.priceChanges, diff.counts.priceChanges, p => {
+    const discount = p.discount.delta !== 0 ? `, discount ${p.discount.before}% → ${p.discount.after}%` : '';
+    return `${p.name}: ${formatPrice(p.price.before)} → ${formatPrice(p.price.after)}${discount}`;
+  });
+  section('Review changes', diff.reviewChanges, diff.counts.reviewChanges,
+    r => `${r.name}: ${signed(r.positive.delta)} positive, ${signed(r.negative.delta)} negative`);
+
+  return lines.join('\n');
+}
+
+module.exports = { diffSnapshots, toMarkdown, summaryLine };
@@ -0,0 +1,62 @@
+/**
+ * Snapshot Helpers
+ * Locations of the published snapshot files and a tolerant loader for them
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { loadShardedSnapshot } = require('./shards');
+
+const execFileAsync = promisify(execFile);
+const GIT_MAX_BUFFER = 512 * 1024 * 1024; // Pretty-printed 20k-game snapshots are tens of MB
+
+// DATA_DIR (set by the CLI's --data-dir) moves every data file
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join('public', 'data'));
+const SNAPSHOT_FILE = path.join(DATA_DIR, 'steam-charts.json');
+const SHARD_DIR = path.join(DATA_DIR, 'shards');
+
+// Load a saved snapshot - returns null if it's missing or unreadable.
+// Without steam-charts.json (--no-monolithic) the default snapshot is read from the shards.
+async function loadSnapshot(file = SNAPSHOT_FILE) {
+  try {
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    return data && typeof data === 'object' && data.games ? data : null;
+  } catch (error) {
+    if (error.code === 'ENOENT' && file === SNAPSHOT_FILE) {
+      return loadShardedSnapshot(SHARD_DIR).catch(shardError => {
+        console.log(`Failed to load sharded snapshot ${SHARD_DIR}: ${shardError.message}`);
+        return null;
+      });
+    }
+    if (error.code !== 'ENOENT') {
+      console.log(`Failed to load snapshot ${file}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+// Load a past snapshot from git history - the workflow commits every run.
+// `at` is a date (the last snapshot committed at or before it) or `ref` a commit.
+async function loadCommittedSnapshot({ at, ref } = {}, file = SNAPSHOT_FILE) {
+  const git = (...args) => execFileAsync('git', args, { cwd: path.dirname(file), maxBuffer: GIT_MAX_BUFFER }).then(
+    result => result.stdout.trim(),
+    error => {
+      throw new Error(`git ${args[0]} failed: ${error.stderr?.trim() || error.message}`);
+    });
+  const root = await git('rev-parse', '--show-toplevel');
+  const relative = path.relative(root, file).split(path.sep).join('/');
+
+  let commit = ref;
+  if (!commit) {
+    const time = Date.parse(at);
+    if (Number.isNaN(time)) throw new Error(`Invalid snapshot date ${JSON.stringify(at)}`);
+    commit = await git('rev-list', '-1', `--before=${new Date(time).toISOString()}`, 'HEAD', '--', `:(top)${relative}`);
+    if (!commit) throw new Error(`No ${relative} committed at or before ${new Date(time).toISOString()}`);
+  }
+
+  return JSON.parse(await git('show', `${commit}:${relative}`));
+}
+
+module.exports = { DATA_DIR, SNAPSHOT_FILE, SHARD_DIR, loadSnapshot, loadCommittedSnapshot };
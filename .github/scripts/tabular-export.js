@@ -0,0 +1,97 @@
+/**
+ * Tabular Export
+ * Flattens snapshot games into CSV or NDJSON rows for analysts. Games are
+ * normalized first (see normalize.js), so 1.x snapshots export the same typed
+ * columns: numeric owner bounds, prices in cents and lists (tags most voted
+ * first, genres, languages) as a delimited string (CSV) or an array (NDJSON).
+ * Columns are selectable from COLUMNS.
+ */
+
+const { normalizeRecord } = require('./normalize');
+
+// Configuration
+const DEFAULT_LIST_DELIMITER = ';';
+
+function tagList(game) {
+  return Object.entries(game.tags).sort((a, b) => b[1] - a[1]).map(([tag]) => tag);
+}
+
+// Column -> value for a game (missing values are null)
+const COLUMNS = {
+  appId: game => game.appId,
+  rank: game => game.rank ?? null,
+  name: game => game.name ?? null,
+  currentPlayers: game => game.currentPlayers ?? null,
+  peak24h: game => game.peak24h ?? null,
+  low24h: game => game.low24h ?? null,
+  avg30d: game => game.avg30d ?? null,
+  allTimePeak: game => game.allTimePeak ?? null,
+  allTimePeakAt: game => game.allTimePeakAt ?? null,
+  trending: game => game.trending ?? null,
+  trendDelta: game => game.trendDelta ?? null,
+  trendDelta24h: game => game.trendDelta24h ?? null,
+  trendDelta7d: game => game.trendDelta7d ?? null,
+  ownersMin: game => game.ownersMin,
+  ownersMax: game => game.ownersMax,
+  positive: game => game.positive,
+  negative: game => game.negative,
+  reviewScore: game => game.reviewScore,
+  reviewScoreLowerBound: game => game.reviewScoreLowerBound,
+  price: game => game.price,
+  initialPrice: game => game.initialPrice,
+  discount: game => game.discount,
+  currency: game => game.currency,
+  averagePlaytime: game => game.averagePlaytime,
+  medianPlaytime: game => game.medianPlaytime,
+  developer: game => game.developer || null,
+  publisher: game => game.publisher || null,
+  genres: game => game.genres,
+  languages: game => game.languages,
+  tags: tagList,
+  source: game => game.source ?? null
+};
+
+const DEFAULT_COLUMNS = [
+  'appId', 'rank', 'name', 'currentPlayers', 'peak24h', 'trending', 'trendDelta',
+  'ownersMin', 'ownersMax', 'positive', 'negative', 'reviewScore', 'price', 'discount', 'currency',
+  'developer', 'publisher', 'genres', 'tags'
+];
+
+function resolveColumns(columns = DEFAULT_COLUMNS) {
+  const unknown = columns.filter(column => !COLUMNS[column]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown column${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')} - available: ${Object.keys(COLUMNS).join(', ')}`);
+  }
+  return columns;
+}
+
+// Flat row objects for games (in the given order)
+function toRows(games, options = {}) {
+  const columns = resolveColumns(options.columns);
+  return games.map(normalizeRecord).map(game => Object.fromEntries(columns.map(column => [column, COLUMNS[column](game)])));
+}
+
+// RFC 4180 field: quoted when it holds a comma, quote or line break
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(games, options = {}) {
+  const columns = resolveColumns(options.columns);
+  const delimiter = options.listDelimiter ?? DEFAULT_LIST_DELIMITER;
+  const lines = [columns.join(',')];
+
+  toRows(games, { columns }).forEach(row => {
+    lines.push(columns.map(column => csvField(Array.isArray(row[column]) ? row[column].join(delimiter) : row[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+// One JSON object per line - lists stay arrays
+function toNdjson(games, options = {}) {
+  return toRows(games, options).map(row => JSON.stringify(row) + '\n').join('');
+}
+
+module.exports = { COLUMNS, DEFAULT_COLUMNS, toRows, toCsv, toNdjson };
@@ -0,0 +1,93 @@
+/**
+ * Trend Calculator
+ * Classifies each game as up/down/stable/new/surging by comparing its player
+ * count with the previous saved snapshot and rolling 24h / 7d history windows
+ */
+
+const { HistoryStore } = require('./history-store');
+const { loadSnapshot } = require('./snapshot');
+
+// Configuration
+const STABLE_THRESHOLD = 5; // % change still considered stable
+const SURGING_THRESHOLD = 100; // % gain considered surging
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Percentage change from previous to current, rounded to 0.1 - null without a baseline
+function percentChange(current, previous) {
+  if (previous === null || previous === undefined || previous <= 0) return null;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+// Classify a trend from the deltas against the previous snapshot and the 24h window
+function classifyTrend({ isNew = false, delta = null, delta24h = null } = {}) {
+  if (isNew) return 'new';
+  if ((delta !== null && delta >= SURGING_THRESHOLD) || (delta24h !== null && delta24h >= SURGING_THRESHOLD)) {
+    return 'surging';
+  }
+
+  const basis = delta !== null ? delta : delta24h;
+  if (basis === null || Math.abs(basis) < STABLE_THRESHOLD) return 'stable';
+  return basis > 0 ? 'up' : 'down';
+}
+
+// Last value recorded at or before a point in time
+function valueAt(points, time) {
+  let value = null;
+  for (const point of points) {
+    if (new Date(point.timestamp).getTime() > time) break;
+    value = point.players;
+  }
+  return value;
+}
+
+class TrendCalculator {
+  constructor(options = {}) {
+    this.historyStore = options.historyStore || new HistoryStore();
+    this.previousSnapshot = options.previousSnapshot;
+    this.baselines = { previous: null, day: new Map(), week: new Map() };
+  }
+
+  // Load the previous snapshot and the 24h / 7d baselines for the given games
+  async load(appIds, now = Date.now()) {
+    const previous = this.previousSnapshot !== undefined ? this.previousSnapshot : await loadSnapshot();
+    if (previous) {
+      this.baselines.previous = new Map(Object.values(previous.games).map(g => [g.appId, g.currentPlayers]));
+    }
+
+    const seriesByApp = await this.historyStore.loadSeriesMany(appIds, now - 7 * DAY_MS - DAY_MS, now);
+    seriesByApp.forEach((points, appId) => {
+      if (points.length === 0) return;
+      const day = valueAt(points, now - DAY_MS);
+      const week = valueAt(points, now - 7 * DAY_MS);
+      if (day !== null) this.baselines.day.set(appId, day);
+      if (week !== null) this.baselines.week.set(appId, week);
+    });
+
+    console.log(`📈 Trend baselines: ${previous ? 'previous snapshot' : 'no previous snapshot'}, ${this.baselines.day.size.toLocaleString()} games with 24h history, ${this.baselines.week.size.toLocaleString()} with 7d history`);
+    return this;
+  }
+
+  // Trend fields for one game
+  calculate(game) {
+    const previous = this.baselines.previous;
+    const previousPlayers = previous ? previous.get(game.appId) : undefined;
+    const delta = percentChange(game.currentPlayers, previousPlayers);
+    const delta24h = percentChange(game.currentPlayers, this.baselines.day.get(game.appId));
+    const delta7d = percentChange(game.currentPlayers, this.baselines.week.get(game.appId));
+
+    return {
+      trending: classifyTrend({ isNew: Boolean(previous) && previousPlayers === undefined, delta, delta24h }),
+      trendDelta: delta,
+      trendDelta24h: delta24h,
+      trendDelta7d: delta7d
+    };
+  }
+
+  // Apply trend fields to a list of games in place
+  apply(games) {
+    games.forEach(game => Object.assign(game, this.calculate(game)));
+    return games;
+  }
+}
+
+module.exports = { TrendCalculator, classifyTrend, percentChange };
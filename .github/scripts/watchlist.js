@@ -0,0 +1,196 @@
+/**
+ * Watchlist Mode
+ * SteamSpy's player counts change once a day, so between full crawls a run
+ * only fetches live counts (Steam GetNumberOfCurrentPlayers) for the watched
+ * games - the configured appIds plus the top N of the last snapshot - and
+ * appends them to the player count history, giving those games intraday
+ * curves. The full crawl runs again once the snapshot is crawlIntervalHours old.
+ *
+ * Each watchlist run also writes public/data/live.json:
+ *   { "metadata": { "timestamp", "snapshotTimestamp", "nextCrawlAt", "watched", "updated" },
+ *     "games": [{ "appId", "name", "players", "snapshotPlayers", "change", "peak24h", "allTimePeak" }] }
+ * most players first.
+ *
+ * Watchlist runs also refresh the store details cache (see app-details.js) for
+ * the snapshot's games, most played first, so demos, DLC and tools charted by
+ * SteamSpy are known and left out by the next full crawl.
+ *
+ * With an AlertEngine (`alerts`), each run also checks the alert rules on the
+ * games with a live count in both this and the previous run since the snapshot,
+ * ranked among themselves by those counts. SteamSpy's daily figures are never
+ * compared with live ones, so the first run after a crawl checks nothing.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR, loadSnapshot } = require('./snapshot');
+const { HistoryStore } = require('./history-store');
+const { PeakTracker } = require('./peak-tracker');
+const { percentChange } = require('./trends');
+const { SteamDataFetcher } = require('./fetch-steam-charts');
+const { getDefaultClient } = require('./http-client');
+const { AppDetailsEnricher } = require('./app-details');
+
+// Configuration
+const DEFAULT_LIVE_FILE = path.join(DATA_DIR, 'live.json');
+const DEFAULT_TOP = 100; // Top games of the last snapshot that are always watched
+const DEFAULT_CRAWL_INTERVAL_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+// The snapshot's games with a live count (appId -> players), with that count and re-ranked by it
+function withLiveCounts(snapshot, counts, timestamp) {
+  const games = Object.values(snapshot.games)
+    .filter(game => counts.has(game.appId))
+    .map(game => ({ ...game, currentPlayers: counts.get(game.appId) }))
+    .sort((a, b) => b.currentPlayers - a.currentPlayers);
+  games.forEach((game, index) => {
+    game.rank = index + 1;
+  });
+  return { metadata: { ...snapshot.metadata, timestamp }, games: Object.fromEntries(games.map(game => [game.appId, game])) };
+}
+
+class WatchlistRunner {
+  constructor(options = {}) {
+    this.appIds = (options.appIds || []).map(appId => {
+      const number = Number(appId);
+      if (!Number.isInteger(number) || number <= 0) throw new Error(`Invalid watched appId: ${JSON.stringify(appId)}`);
+      return number;
+    });
+    this.top = options.top ?? DEFAULT_TOP;
+    this.crawlIntervalHours = options.crawlIntervalHours ?? DEFAULT_CRAWL_INTERVAL_HOURS;
+    this.http = options.http || getDefaultClient();
+    this.steamApi = options.steamApi || new SteamDataFetcher({ http: this.http });
+    this.history = options.history || new HistoryStore();
+    this.peakTracker = options.peakTracker || new PeakTracker();
+    this.appDetails = options.appDetails || new AppDetailsEnricher({ http: this.http, limit: options.appDetailsLimit });
+    this.liveFile = options.liveFile || DEFAULT_LIVE_FILE;
+    this.loadSnapshot = options.loadSnapshot || loadSnapshot;
+    this.alerts = options.alerts || null;
+    this.snapshot = undefined;
+  }
+
+  // The last saved snapshot - loaded once
+  async lastSnapshot() {
+    if (this.snapshot === undefined) this.snapshot = await this.loadSnapshot();
+    return this.snapshot;
+  }
+
+  // When the next full crawl is due - now if there is no snapshot yet
+  async nextCrawlAt(now = Date.now()) {
+    const snapshot = await this.lastSnapshot();
+    if (!snapshot) return now;
+    return new Date(snapshot.metadata.timestamp).getTime() + this.crawlIntervalHours * HOUR_MS;
+  }
+
+  async crawlDue(now = Date.now()) {
+    return (await this.nextCrawlAt(now)) <= now;
+  }
+
+  // Configured appIds first, then the top games of the last snapshot
+  async watchedAppIds() {
+    const snapshot = await this.lastSnapshot();
+    const top = Object.values(snapshot?.games || {})
+      .sort((a, b) => b.currentPlayers - a.currentPlayers)
+      .slice(0, this.top)
+      .map(game => game.appId);
+    return [...new Set([...this.appIds, ...top])];
+  }
+
+  // The last live.json if it was written since the snapshot, else null
+  async lastLive(snapshot) {
+    try {
+      const live = JSON.parse(await fs.readFile(this.liveFile, 'utf8'));
+      return live.metadata.snapshotTimestamp === snapshot.metadata.timestamp ? live : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.log(`Failed to load ${this.liveFile}, comparing with the snapshot: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Check the alert rules - this run's live counts against the last run's, for the games
+  // counted in both. Without a run since the snapshot there is nothing to compare with
+  async checkAlerts(snapshot, games, timestamp, options) {
+    const lastLive = await this.lastLive(snapshot);
+    if (!lastLive) {
+      console.log('🔕 No watchlist run since the snapshot - alerts start with the next run');
+      return [];
+    }
+    const before = new Map(lastLive.games.map(game => [game.appId, game.players]));
+    const counts = new Map(games.filter(game => before.has(game.appId)).map(game => [game.appId, game.currentPlayers]));
+    const previous = withLiveCounts(snapshot, new Map([...before].filter(([appId]) => counts.has(appId))), lastLive.metadata.timestamp);
+    return this.alerts.run(withLiveCounts(snapshot, counts, timestamp), previous, { dryRun: options.dryRun });
+  }
+
+  // Refresh new and stale store details of the snapshot's games, most played first
+  async refreshAppDetails(snapshot) {
+    const appIds = Object.values(snapshot?.games || {})
+      .sort((a, b) => b.currentPlayers - a.currentPlayers)
+      .map(game => game.appId);
+    const stats = await this.appDetails.refresh(appIds);
+    console.log(`🏪 Store details: ${stats.refreshed} refreshed, ${stats.failed} failed, ${stats.pending} still due`);
+    return stats;
+  }
+
+  // Fetch live counts for the watched games and add them to the history, peaks and live.json.
+  // Returns the live.json contents
+  async run(options = {}) {
+    const snapshot = await this.lastSnapshot();
+    const appIds = await this.watchedAppIds();
+    console.log(`👀 Watchlist: fetching live player counts for ${appIds.length.toLocaleString()} games...`);
+
+    // Requests run in parallel, up to the HTTP client's concurrency limit
+    const counts = await Promise.all(appIds.map(appId => this.steamApi.fetchPlayerCount(appId)));
+    const timestamp = new Date().toISOString();
+    const known = snapshot?.games || {};
+    // 0 means the request failed or Steam has no count - no point is recorded
+    const games = appIds
+      .map((appId, index) => ({ appId, name: known[appId]?.name ?? null, currentPlayers: counts[index] }))
+      .filter(game => game.currentPlayers > 0);
+    console.log(`✅ Live player counts for ${games.length}/${appIds.length} watched games`);
+
+    await this.peakTracker.load();
+    this.peakTracker.apply(games, timestamp);
+
+    const live = {
+      metadata: {
+        timestamp,
+        snapshotTimestamp: snapshot?.metadata.timestamp ?? null,
+        nextCrawlAt: new Date(await this.nextCrawlAt()).toISOString(),
+        watched: appIds.length,
+        updated: games.length
+      },
+      games: games
+        .sort((a, b) => b.currentPlayers - a.currentPlayers)
+        .map(game => {
+          const snapshotPlayers = known[game.appId]?.currentPlayers ?? null;
+          return {
+            appId: game.appId,
+            name: game.name,
+            players: game.currentPlayers,
+            snapshotPlayers,
+            change: percentChange(game.currentPlayers, snapshotPlayers),
+            peak24h: game.peak24h,
+            allTimePeak: game.allTimePeak
+          };
+        })
+    };
+
+    // Before live.json is replaced, as the previous run's counts are the baseline
+    if (this.alerts && snapshot) await this.checkAlerts(snapshot, games, timestamp, options);
+
+    if (options.dryRun) {
+      console.log('\n🧪 Dry run - nothing saved');
+      return live;
+    }
+
+    await this.refreshAppDetails(snapshot);
+    await this.history.append({ metadata: { timestamp }, games: Object.fromEntries(games.map(game => [game.appId, game])) });
+    await this.peakTracker.save();
+    await fs.mkdir(path.dirname(this.liveFile), { recursive: true });
+    await fs.writeFile(this.liveFile, JSON.stringify(live, null, 2));
+    console.log(`💾 Live counts saved to: ${this.liveFile}`);
+    return live;
+  }
+}
+
+module.exports = { WatchlistRunner, withLiveCounts, DEFAULT_TOP, DEFAULT_CRAWL_INTERVAL_HOURS };
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAggregate, buildAggregates, splitCompanies } = require('../.github/scripts/aggregates');
+const { validate } = require('../.github/scripts/schema');
+
+const data = {
+  metadata: { timestamp: '2025-08-30T20:00:00.000Z', totalGames: 4, totalPlayers: 1521000, schemaVersion: '2.1.0' },
+  games: {
+    730: { appId: 730, name: 'Counter-Strike 2', rank: 1, currentPlayers: 1000000, trendDelta: 25, trendDelta24h: null, genres: ['Action'], tags: { FPS: 900, Shooter: 500 }, publisher: 'Valve', developer: 'Valve' },
+    440: { appId: 440, name: 'Team Fortress 2', rank: 2, currentPlayers: 500000, trendDelta: 0, genres: ['Action'], tags: { Shooter: 300 }, publisher: 'Valve', developer: 'Valve' },
+    892970: { appId: 892970, name: 'Valheim', rank: 3, currentPlayers: 20000, trendDelta: -50, genres: ['Action', 'Indie'], tags: { Survival: 400 }, publisher: 'Coffee Stain Publishing', developer: 'Iron Gate AB' },
+    4242: { appId: 4242, name: 'New Game', rank: 4, currentPlayers: 1000, trending: 'new', trendDelta: null, genres: [], tags: { Survival: 0 }, publisher: 'Devolver Digital, Inc., Coffee Stain Publishing', developer: '' }
+  }
+};
+
+test('splits company lists without breaking legal suffixes', () => {
+  assert.deepEqual(splitCompanies('Devolver Digital, Inc., Coffee Stain Publishing'), ['Devolver Digital, Inc.', 'Coffee Stain Publishing']);
+  assert.deepEqual(splitCompanies('Iron Gate AB'), ['Iron Gate AB']);
+  assert.deepEqual(splitCompanies(''), []);
+});
+
+test('totals players and games per group, most players first', () => {
+  const { metadata, groups } = buildAggregate(data, 'tag');
+
+  assert.equal(metadata.dimension, 'tag');
+  assert.equal(metadata.totalGroups, 3);
+  assert.deepEqual(groups.map(g => [g.name, g.players, g.games]), [['Shooter', 1500000, 2], ['FPS', 1000000, 1], ['Survival', 21000, 2]]);
+  assert.deepEqual(groups[0].topGames.map(g => g.appId), [730, 440]);
+});
+
+test('counts a game towards every publisher it lists', () => {
+  const { groups } = buildAggregate(data, 'publisher');
+
+  assert.deepEqual(groups.map(g => [g.name, g.games]), [['Valve', 2], ['Coffee Stain Publishing', 2], ['Devolver Digital, Inc.', 1]]);
+});
+
+test('derives group trends from the games with a baseline', () => {
+  const [action] = buildAggregate(data, 'genre').groups;
+
+  // 1,520,000 players now against 800,000 + 500,000 + 40,000 before
+  assert.equal(action.trendDelta, 13.4);
+  assert.equal(action.trending, 'up');
+  assert.equal(action.trendDelta24h, null);
+
+  const survival = buildAggregate(data, 'tag').groups.find(g => g.name === 'Survival');
+  assert.equal(survival.trendDelta, -50, 'new games have no baseline');
+  assert.equal(survival.trending, 'down');
+});
+
+test('limits groups and top games and matches the aggregate schema', () => {
+  const aggregates = buildAggregates(data, { maxGroups: 1, topGames: 1 });
+
+  assert.deepEqual(Object.keys(aggregates), ['tag', 'genre', 'publisher', 'developer']);
+  Object.values(aggregates).forEach(aggregate => {
+    assert.equal(aggregate.groups.length, 1);
+    assert.equal(aggregate.groups[0].topGames.length, 1);
+    const { valid, errors } = validate('aggregate', aggregate);
+    assert.ok(valid, errors.join('\n'));
+  });
+  assert.equal(aggregates.developer.metadata.totalGroups, 2);
+});
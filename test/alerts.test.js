@@ -0,0 +1,206 @@
+const { test, mock, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { AlertEngine, loadAlertRules, createAlertEngine } = require('../.github/scripts/alerts');
+const { HistoryStore } = require('../.github/scripts/history-store');
+const { HttpClient } = require('../.github/scripts/http-client');
+const { createNotifiers } = require('../.github/scripts/notifiers');
+
+mock.method(console, 'log', () => {});
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.parse('2025-08-10T12:00:00Z');
+
+// Snapshot `hours` after START from [appId, players, tags] - ranked by players
+function snapshot(hours, games) {
+  const sorted = [...games].sort((a, b) => b[1] - a[1]);
+  return {
+    metadata: { timestamp: new Date(START + hours * HOUR_MS).toISOString() },
+    games: Object.fromEntries(sorted.map(([appId, players, tags = {}], index) => [appId, { appId, name: `Game ${appId}`, currentPlayers: players, rank: index + 1, tags }]))
+  };
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+}
+
+function engine(rules, options = {}) {
+  return new AlertEngine({ rules, stateFile: path.join(tempDir(), 'alerts.json'), ...options });
+}
+
+// Local stand-in for webhook endpoints - records every request, /fail answers 400
+let server;
+let base;
+const received = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ url: req.url, body: JSON.parse(body) });
+      res.writeHead(req.url === '/fail' ? 400 : 204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('checks rules files', async () => {
+  const dir = tempDir();
+  const write = config => {
+    const file = path.join(dir, `rules-${Math.random()}.json`);
+    fs.writeFileSync(file, JSON.stringify(config));
+    return file;
+  };
+
+  const config = await loadAlertRules(write({ events: ['patches.ndjson'], notifiers: [{ type: 'file', path: 'out/alerts.ndjson' }], rules: [{ id: 'a', when: 'entered-top' }] }));
+  assert.deepEqual(config.events, [path.join(dir, 'patches.ndjson')]);
+  assert.equal(config.notifiers[0].path, path.join(dir, 'out', 'alerts.ndjson'));
+  assert.equal(config.cooldownHours, 24);
+
+  await assert.rejects(loadAlertRules(write({ rules: [{ id: 'a', when: 'above' }] })), /rules\[0\]: 'above' needs players/);
+  await assert.rejects(loadAlertRules(write({ rules: [{ id: 'a', when: 'soaring' }] })), /unknown condition 'soaring'/);
+  await assert.rejects(loadAlertRules(write({ rules: [{ id: 'a', when: 'above', players: 1, appId: 730, tag: 'FPS' }] })), /either appId or tag/);
+  await assert.rejects(loadAlertRules(write({ rules: [{ id: 'a', when: 'doubled' }, { id: 'a', when: 'doubled' }] })), /duplicate rule id 'a'/);
+});
+
+test('matches thresholds, doubling, drops and new top entries', async () => {
+  const rules = [
+    { id: 'million', appId: 730, when: 'above', players: 1000000 },
+    { id: 'low', appId: 570, when: 'below', players: 500000 },
+    { id: 'survival-doubled', tag: 'survival', when: 'doubled', minPlayers: 1000 },
+    { id: 'drop', when: 'drop', percent: 30 },
+    { id: 'top-2', when: 'entered-top', rank: 2 }
+  ];
+  const previous = snapshot(0, [[730, 990000], [570, 600000], [10, 400000], [20, 2000, { Survival: 1 }], [30, 500, { Survival: 1 }]]);
+  const next = snapshot(1, [[730, 1010000], [570, 300000], [10, 700000], [20, 4500, { Survival: 1 }], [30, 5000, { Survival: 1 }]]);
+
+  const alerts = await engine(rules).evaluate(next, previous);
+
+  assert.deepEqual(alerts.map(a => [a.ruleId, a.appId]), [['million', 730], ['low', 570], ['survival-doubled', 20], ['drop', 570], ['top-2', 10]]);
+  assert.equal(alerts[0].message, 'Game 730 crossed 1,000,000 players (1,010,000, was 990,000)');
+  assert.equal(alerts[2].message, 'Game 20 grew 2.3x to 4,500 players (was 2,000)');
+  assert.equal(alerts[3].message, 'Game 570 dropped 50% to 300,000 players (was 600,000)');
+  assert.deepEqual([alerts[4].rank, alerts[4].previousRank, alerts[4].url], [2, 3, 'https://store.steampowered.com/app/10']);
+  assert.deepEqual(await engine(rules).evaluate(next, null), []);
+});
+
+test('keeps alerts cooling down between runs', async () => {
+  const stateFile = path.join(tempDir(), 'state', 'alerts.json');
+  const rules = [{ id: 'top-1', when: 'entered-top', rank: 1, cooldownHours: 12 }];
+  const swap = (hours, leader) => snapshot(hours, [[1, leader === 1 ? 200 : 100], [2, leader === 2 ? 200 : 100]]);
+
+  const run = async (hours, leader) => {
+    const alerts = await new AlertEngine({ rules, stateFile }).run(swap(hours, leader), swap(hours - 1, leader === 1 ? 2 : 1));
+    return alerts.map(alert => alert.appId);
+  };
+
+  assert.deepEqual(await run(1, 1), [1]);
+  assert.deepEqual(await run(2, 2), [2]);
+  assert.deepEqual(await run(3, 1), []); // Game 1 fired 2 hours ago
+  assert.deepEqual(await run(14, 1), [1]);
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(stateFile, 'utf8')).fired), ['top-1:1', 'top-1:2']);
+});
+
+test('measures drops after a patch against the 24h before it, once per patch', async () => {
+  const history = new HistoryStore({ dir: tempDir() });
+  for (let hours = -24; hours <= 0; hours += 6) {
+    await history.append(snapshot(hours, [[730, 10000], [570, 10000]]));
+  }
+  const events = [
+    { id: 'p1', appId: 730, at: new Date(START + HOUR_MS).toISOString(), title: 'Big Update' },
+    { id: 'old', appId: 570, at: new Date(START - 10 * 24 * HOUR_MS).toISOString(), title: null }
+  ];
+  const alerts = engine([{ id: 'patch-drop', when: 'drop', percent: 30, afterPatch: true }], { history, events });
+  const previous = snapshot(2, [[730, 9000], [570, 9000]]);
+
+  const [alert] = await alerts.evaluate(snapshot(3, [[730, 6000], [570, 6000]]), previous);
+  assert.deepEqual([alert.appId, alert.eventId], [730, 'p1']);
+  assert.equal(alert.message, 'Game 730 dropped 40% to 6,000 players since "Big Update" (was 10,000)');
+  alerts.record([alert]);
+  assert.deepEqual(await alerts.evaluate(snapshot(40, [[730, 5000], [570, 6000]]), previous), []);
+});
+
+test('sends alerts through every notifier, even when one fails', async () => {
+  const dir = tempDir();
+  const rulesFile = path.join(dir, 'alerts.json');
+  fs.writeFileSync(rulesFile, JSON.stringify({
+    notifiers: [
+      { type: 'webhook', url: `${base}/hook`, headers: { Authorization: 'Bearer secret' } },
+      { type: 'webhook', url: `${base}/fail` },
+      { type: 'discord', urlEnv: 'TEST_DISCORD_URL' },
+      { type: 'file', path: 'alerts.ndjson' }
+    ],
+    rules: [{ id: 'top-1', when: 'entered-top', rank: 1 }]
+  }));
+  process.env.TEST_DISCORD_URL = `${base}/discord`;
+
+  const alerts = await createAlertEngine(rulesFile, { http: new HttpClient({ retries: 0 }), stateFile: path.join(dir, 'state.json') });
+  await alerts.run(snapshot(1, [[1, 200], [2, 100]]), snapshot(0, [[1, 100], [2, 200]]));
+
+  const hook = received.find(r => r.url === '/hook');
+  assert.deepEqual(hook.body.alerts.map(a => [a.ruleId, a.appId]), [['top-1', 1]]);
+  const discord = received.find(r => r.url === '/discord').body;
+  assert.equal(discord.content, '🔔 1 alert');
+  assert.deepEqual(discord.embeds[0], {
+    title: 'Game 1', url: 'https://store.steampowered.com/app/1', description: 'Game 1 entered the top 1 at #1',
+    color: 0x3498db, timestamp: '2025-08-10T13:00:00.000Z', footer: { text: 'top-1' }
+  });
+  const lines = fs.readFileSync(path.join(dir, 'alerts.ndjson'), 'utf8').trim().split('\n');
+  assert.deepEqual(lines.map(line => JSON.parse(line).appId), [1]);
+
+  delete process.env.TEST_DISCORD_URL;
+  await assert.rejects(createAlertEngine(rulesFile), /discord notifier requires url \(TEST_DISCORD_URL is not set\)/);
+});
+
+test('keeps alerts a notifier failed to deliver pending for that notifier only', async () => {
+  const dir = tempDir();
+  const notifiers = createNotifiers([
+    { type: 'webhook', url: `${base}/fail` },
+    { type: 'file', path: path.join(dir, 'alerts.ndjson') }
+  ], { http: new HttpClient({ retries: 0 }) });
+  const options = { notifiers, stateFile: path.join(dir, 'state.json') };
+  const rules = [{ id: 'top-1', when: 'entered-top', rank: 1 }, { id: '1k', when: 'above', players: 1000 }];
+  const state = () => JSON.parse(fs.readFileSync(options.stateFile, 'utf8'));
+  const written = () => fs.readFileSync(path.join(dir, 'alerts.ndjson'), 'utf8').trim().split('\n').map(line => JSON.parse(line).ruleId);
+
+  await engine(rules, options).run(snapshot(1, [[1, 200], [2, 100]]), snapshot(0, [[1, 100], [2, 200]]));
+  assert.deepEqual(state().fired, { 'top-1:1': '2025-08-10T13:00:00.000Z' });
+  assert.deepEqual(Object.keys(state().pending), ['webhook']);
+  assert.deepEqual(state().pending.webhook.map(alert => [alert.ruleId, alert.appId]), [['top-1', 1]]);
+  assert.deepEqual(written(), ['top-1']);
+
+  // The webhook gets it again with the next run's alerts, the file only gets the new one
+  received.length = 0;
+  notifiers[0].url = `${base}/hook`;
+  const alerts = await engine(rules, options).run(snapshot(2, [[1, 2000], [2, 100]]), snapshot(1, [[1, 200], [2, 100]]));
+  assert.deepEqual(alerts.map(alert => alert.ruleId), ['1k']);
+  assert.deepEqual(received.map(r => r.body.alerts.map(alert => alert.ruleId)), [['top-1', '1k']]);
+  assert.deepEqual(written(), ['top-1', '1k']);
+  assert.deepEqual(state(), { fired: { 'top-1:1': '2025-08-10T13:00:00.000Z', '1k:1': '2025-08-10T14:00:00.000Z' }, pending: {} });
+});
+
+test('names repeated notifier types apart and reads a single pending list', async () => {
+  const dir = tempDir();
+  const stateFile = path.join(dir, 'state.json');
+  const notifiers = createNotifiers([{ type: 'webhook', url: `${base}/hook` }, { type: 'webhook', url: `${base}/fail` }], { http: new HttpClient({ retries: 0 }) });
+  const pending = { ruleId: 'top-1', appId: 2, at: '2025-08-10T12:00:00.000Z', message: 'Game 2 entered the top 1 at #1' };
+  fs.writeFileSync(stateFile, JSON.stringify({ fired: {}, pending: [pending] }));
+
+  const alerts = engine([{ id: 'top-1', when: 'entered-top', rank: 1 }], { notifiers, stateFile });
+  assert.deepEqual(alerts.namedNotifiers().map(([name]) => name), ['webhook', 'webhook-2']);
+  received.length = 0;
+  await alerts.run(snapshot(1, [[2, 200], [1, 100]]), snapshot(0, [[2, 200], [1, 100]]));
+
+  assert.deepEqual(received.filter(r => r.url === '/hook').map(r => r.body.alerts.map(alert => alert.appId)), [[2]]);
+  const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  assert.deepEqual(state.fired, { 'top-1:2': '2025-08-10T12:00:00.000Z' });
+  assert.deepEqual(Object.keys(state.pending), ['webhook-2']);
+});
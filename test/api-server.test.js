@@ -0,0 +1,161 @@
+const { test, mock, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { ChartsApi, createApiServer, matchesETag } = require('../.github/scripts/api-server');
+const { HistoryStore } = require('../.github/scripts/history-store');
+
+mock.method(console, 'log', () => {});
+
+const TIMESTAMP = '2025-08-10T12:00:00.000Z';
+const GAMES = [
+  { appId: 730, name: 'Counter-Strike 2', rank: 1, currentPlayers: 900000, trendDelta: 5, tags: { FPS: 1, Shooter: 1 }, genres: ['Action', 'Free to Play'], price: 0 },
+  { appId: 570, name: 'Dota 2', rank: 2, currentPlayers: 600000, trendDelta: -2, tags: { MOBA: 1 }, genres: ['Action', 'Strategy', 'Free to Play'], price: 0 },
+  { appId: 440, name: 'Team Fortress 2', rank: 3, currentPlayers: 80000, trendDelta: 30, tags: { FPS: 1 }, genres: ['Action'], price: 0 },
+  { appId: 4000, name: "Garry's Mod", rank: 4, currentPlayers: 20000, trendDelta: null, tags: { Sandbox: 1 }, genres: ['Indie'], price: 999 }
+];
+
+let server;
+let base;
+let dataDir;
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-'));
+  const data = { metadata: { timestamp: TIMESTAMP, totalGames: GAMES.length }, games: Object.fromEntries(GAMES.map(g => [g.appId, g])) };
+  fs.writeFileSync(path.join(dataDir, 'steam-charts.json'), JSON.stringify(data));
+
+  const history = new HistoryStore({ dir: path.join(dataDir, 'history') });
+  for (const [timestamp, players] of [['2025-08-01T00:00:00Z', 700000], ['2025-08-09T00:00:00Z', 800000], [TIMESTAMP, 900000]]) {
+    await history.append({ metadata: { timestamp }, games: { 730: { appId: 730, currentPlayers: players } } });
+  }
+
+  server = createApiServer({ dataDir });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function get(route, headers = {}) {
+  const response = await fetch(base + route, { headers });
+  return { status: response.status, headers: response.headers, body: response.status === 304 ? null : await response.json() };
+}
+
+test('serves a single game and 404s unknown ones', async () => {
+  const { status, body, headers } = await get('/games/570');
+  assert.equal(status, 200);
+  assert.equal(body.name, 'Dota 2');
+  assert.equal(headers.get('etag'), `"${TIMESTAMP}"`);
+
+  const missing = await get('/games/1');
+  assert.deepEqual([missing.status, missing.body], [404, { error: 'No game 1 in the snapshot' }]);
+  assert.equal((await get('/nope')).status, 404);
+});
+
+test('filters, sorts and pages games', async () => {
+  const fps = await get('/games?tag=fps&sort=trend');
+  assert.deepEqual(fps.body.games.map(g => g.appId), [440, 730]);
+  assert.deepEqual(fps.body.metadata, { timestamp: TIMESTAMP, total: 2, offset: 0, limit: 50, sort: 'trend' });
+
+  const page = await get('/games?genre=Action&limit=1&offset=1');
+  assert.deepEqual([page.body.metadata.total, page.body.games.map(g => g.appId)], [3, [570]]);
+
+  assert.equal((await get('/games?sort=hype')).status, 400);
+  assert.match((await get('/games?limit=-1')).body.error, /limit must be a non-negative integer/);
+});
+
+test('serves leaderboards and name search', async () => {
+  const top = await get('/top?limit=2');
+  assert.deepEqual(top.body.games.map(g => g.appId), [730, 570]);
+  assert.deepEqual((await get('/top?board=gainers')).body.games.map(g => g.appId), [440, 730]);
+  assert.equal((await get('/top?board=hype')).status, 400);
+
+  const search = await get('/search?q=DOTA');
+  assert.deepEqual(search.body.games.map(g => [g.appId, g.name]), [[570, 'Dota 2']]);
+  assert.deepEqual((await get('/search?q=fortres')).body.games.map(g => g.appId), [440]);
+  assert.deepEqual((await get('/search?q=garys%20mod')).body.games.map(g => g.appId), [4000]);
+  assert.deepEqual((await get('/search?q=2')).body.games.map(g => g.appId), [730, 570, 440]);
+  assert.equal((await get('/search')).status, 400);
+});
+
+test('serves history between dates (default the 7 days before the snapshot)', async () => {
+  const recent = await get('/games/730/history');
+  assert.deepEqual(recent.body.points.map(p => p.players), [800000, 900000]);
+
+  const all = await get('/games/730/history?from=2025-07-01&to=2025-08-05');
+  assert.deepEqual(all.body, { appId: 730, from: '2025-07-01T00:00:00.000Z', to: '2025-08-05T00:00:00.000Z', points: [{ timestamp: '2025-08-01T00:00:00.000Z', players: 700000 }] });
+  assert.equal((await get('/games/730/history?from=soon')).status, 400);
+});
+
+test('answers If-None-Match with 304 until the snapshot changes', async () => {
+  assert.equal((await get('/top', { 'If-None-Match': `W/"${TIMESTAMP}"` })).status, 304);
+
+  const file = path.join(dataDir, 'steam-charts.json');
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  data.metadata.timestamp = '2025-08-10T13:00:00.000Z';
+  fs.writeFileSync(file, JSON.stringify(data));
+  fs.utimesSync(file, new Date(), new Date(Date.now() + 1000));
+
+  const fresh = await get('/top', { 'If-None-Match': `"${TIMESTAMP}"` });
+  assert.equal(fresh.status, 200);
+  assert.equal(fresh.headers.get('etag'), '"2025-08-10T13:00:00.000Z"');
+  assert.equal(matchesETag('"a", "b"', '"b"'), true);
+  assert.equal(matchesETag(undefined, '"b"'), false);
+});
+
+test('changes the history ETag with every watchlist run', async () => {
+  const before = await get('/games/730/history');
+  const etag = before.headers.get('etag');
+  assert.equal(etag, (await get('/games/730')).headers.get('etag'));
+
+  // A watchlist run adds a point after the snapshot and writes live.json
+  const liveAt = '2025-08-10T14:00:00.000Z';
+  await new HistoryStore({ dir: path.join(dataDir, 'history') }).append({ metadata: { timestamp: liveAt }, games: { 730: { appId: 730, currentPlayers: 950000 } } });
+  fs.writeFileSync(path.join(dataDir, 'live.json'), JSON.stringify({ metadata: { timestamp: liveAt }, games: [] }));
+
+  const after = await get('/games/730/history', { 'If-None-Match': etag });
+  assert.equal(after.status, 200);
+  assert.equal(after.headers.get('etag'), `"2025-08-10T13:00:00.000Z+${liveAt}"`);
+  assert.deepEqual(after.body.points.map(p => p.players), [800000, 900000, 950000]);
+  assert.equal((await get('/games/730/history', { 'If-None-Match': after.headers.get('etag') })).status, 304);
+  assert.equal((await get('/games/730', { 'If-None-Match': etag })).status, 304, 'other routes keep the snapshot ETag');
+});
+
+test('rejects writes', async () => {
+  const response = await fetch(`${base}/games/730`, { method: 'POST' });
+  assert.equal(response.status, 405);
+  assert.equal(response.headers.get('allow'), 'GET, HEAD');
+});
+
+// Send a raw request, for request lines fetch() refuses to send - resolves the status line
+function rawRequest(port, requestLine) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.end(`${requestLine}\r\nHost: localhost\r\nConnection: close\r\n\r\n`));
+    let response = '';
+    socket.on('data', chunk => { response += chunk; });
+    socket.on('end', () => resolve(response.split('\r\n')[0]));
+    socket.on('error', reject);
+  });
+}
+
+test('answers malformed request URLs with 400 and keeps serving', async () => {
+  assert.equal(await rawRequest(server.address().port, 'GET http://[ HTTP/1.1'), 'HTTP/1.1 400 Bad Request');
+  assert.equal((await get('/games/730')).status, 200);
+});
+
+test('always answers, even when handling a request throws', async () => {
+  const api = new ChartsApi({ dataDir });
+  api.handle = async () => { throw new Error('boom'); };
+  const broken = http.createServer(api.listener());
+  await new Promise(resolve => broken.listen(0, '127.0.0.1', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${broken.address().port}/games/730`);
+    assert.equal(response.status, 500);
+    assert.deepEqual(await response.json(), { error: 'Internal error' });
+  } finally {
+    await new Promise(resolve => broken.close(resolve));
+  }
+});
@@ -0,0 +1,95 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AppDetailsCache, AppDetailsEnricher, parseAppDetails, parseReleaseDate, isCharted } = require('../.github/scripts/app-details');
+const { MergeEngine } = require('../.github/scripts/merge-engine');
+
+mock.method(console, 'log', () => {});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function cacheFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'appdetails-')), 'appdetails.json');
+}
+
+// Stub HTTP client answering appdetails from a type per appId - undefined fails the request
+function storeStub(types) {
+  const requested = [];
+  return {
+    requested,
+    async getJson(url) {
+      const appId = Number(new URL(url).searchParams.get('appids'));
+      requested.push(appId);
+      if (types[appId] === undefined) throw new Error('HTTP 503');
+      if (types[appId] === null) return { [appId]: { success: false } };
+      return { [appId]: { success: true, data: { type: types[appId], name: `App ${appId}`, developers: ['Studio'] } } };
+    }
+  };
+}
+
+test('parses store details', () => {
+  const details = parseAppDetails({
+    success: true,
+    data: {
+      type: 'game', name: 'Testament', header_image: 'https://example.com/header.jpg',
+      platforms: { windows: true, mac: false, linux: true },
+      categories: [{ id: 2, description: 'Single-player' }], genres: [{ id: '3', description: 'RPG' }],
+      developers: ['Fair Games Studio'], release_date: { coming_soon: false, date: '19 Dec, 2023' }
+    }
+  });
+
+  assert.deepEqual(details, {
+    type: 'game', name: 'Testament', releaseDate: '2023-12-19', comingSoon: false, headerImage: 'https://example.com/header.jpg',
+    platforms: ['windows', 'linux'], categories: ['Single-player'], genres: ['RPG'], developers: ['Fair Games Studio'], publishers: []
+  });
+  assert.equal(parseAppDetails({ success: false }), null);
+  assert.equal(parseReleaseDate('Coming soon'), null);
+  assert.equal(parseReleaseDate('Aug 21, 2012'), '2012-08-21');
+});
+
+test('keeps games and apps of unknown type on the charts', () => {
+  assert.equal(isCharted({ type: 'game' }), true);
+  assert.equal(isCharted({}), true);
+  assert.equal(isCharted({ type: 'dlc' }), false);
+});
+
+test('refreshes only new and stale entries, most important first', async () => {
+  const file = cacheFile();
+  const cache = new AppDetailsCache({ file });
+  cache.set(1, { type: 'game' }, new Date().toISOString());
+  cache.set(2, { type: 'game' }, new Date(Date.now() - 8 * DAY_MS).toISOString());
+  cache.loaded = true;
+
+  const http = storeStub({ 2: 'game', 3: 'dlc', 4: null, 5: 'game' });
+  const stats = await new AppDetailsEnricher({ http, cache, limit: 3 }).refresh([1, 2, 3, 4, 5]);
+
+  assert.deepEqual(http.requested, [2, 3, 4]);
+  assert.deepEqual(stats, { refreshed: 3, failed: 0, pending: 1 });
+
+  const saved = await new AppDetailsCache({ file }).load();
+  assert.equal(saved.get(4).details, null, 'missing store pages are cached too');
+  assert.equal(saved.isExcluded(3), true);
+  assert.equal(saved.isExcluded(4), false);
+});
+
+test('retries failed requests on the next run', async () => {
+  const cache = new AppDetailsCache({ file: cacheFile() });
+  const http = storeStub({});
+  const enricher = new AppDetailsEnricher({ http, cache });
+
+  assert.deepEqual(await enricher.refresh([7]), { refreshed: 0, failed: 1, pending: 1 });
+  await enricher.refresh([7]);
+  assert.deepEqual(http.requested, [7, 7]);
+});
+
+test('adds cached details to the merge engine behind SteamSpy', async () => {
+  const cache = new AppDetailsCache({ file: cacheFile() });
+  const engine = new MergeEngine().add('steamspy-all', 9, { name: 'Nine', developer: 'SteamSpy Dev', currentPlayers: 10 });
+  await new AppDetailsEnricher({ http: storeStub({ 9: 'game' }), cache }).enrich(engine, [9]);
+
+  const game = engine.record(9);
+  assert.deepEqual([game.name, game.developer, game.type], ['Nine', 'SteamSpy Dev', 'game']);
+  assert.deepEqual(game.provenance['steam-appdetails'].fields, ['type', 'comingSoon']);
+});
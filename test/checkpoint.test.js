@@ -0,0 +1,149 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Peaks, prices and the store details cache are relative to the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-')));
+mock.method(console, 'log', () => {});
+
+const { Checkpoint } = require('../.github/scripts/checkpoint');
+const { SteamSpyFetcher } = require('../.github/scripts/fetch-steamspy-data');
+const { SteamDataFetcher } = require('../.github/scripts/fetch-steam-charts');
+const { HttpClient } = require('../.github/scripts/http-client');
+const { FixtureStore } = require('../.github/scripts/http-fixtures');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'http');
+
+// Replay client that records every requested URL. The first request matching
+// `interruptAt` never answers, like a run killed there; `interrupted` resolves then
+function recordingClient(interruptAt = () => false) {
+  const client = new HttpClient({ mode: 'replay', fixtures: new FixtureStore({ dir: FIXTURES_DIR }) });
+  const request = client.request.bind(client);
+  let interrupt;
+  client.urls = [];
+  client.interrupted = new Promise(resolve => { interrupt = resolve; });
+  client.request = (url, options) => {
+    client.urls.push(url);
+    if (interruptAt(url)) {
+      interrupt();
+      return new Promise(() => {});
+    }
+    return request(url, options);
+  };
+  return client;
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-'));
+}
+
+const steamSpyRequests = (client, request) => client.urls
+  .filter(url => url.includes(`request=${request}`))
+  .map(url => decodeURIComponent(url.split(/page=|tag=/)[1]));
+
+const playerCountRequests = client => client.urls
+  .filter(url => url.includes('GetNumberOfCurrentPlayers'))
+  .map(url => Number(new URL(url).searchParams.get('appid')));
+
+const ranked = data => Object.values(data.games).sort((a, b) => a.rank - b.rank).map(g => [g.appId, g.currentPlayers, g.source]);
+
+function steamSpyFetcher(http, dir, checkpointOptions = {}) {
+  return new SteamSpyFetcher({
+    http, sinks: [], minGames: 1, liveCountLimit: 3, tags: ['Free to Play', 'Multiplayer'],
+    checkpoint: new Checkpoint('steamspy', { dir, ...checkpointOptions })
+  });
+}
+
+test('saves, reloads and clears progress', async () => {
+  const dir = tempDir();
+  const checkpoint = new Checkpoint('test', { dir });
+  checkpoint.markDone('pages', [0, 1]);
+  checkpoint.markDone('pages', 1);
+  checkpoint.cursor = { phase: 'pages', page: 2 };
+  checkpoint.partial.games = { 730: 1 };
+  await checkpoint.save();
+
+  const resumed = new Checkpoint('test', { dir });
+  assert.equal(await resumed.load(), true);
+  assert.deepEqual([...resumed.doneSet('pages')], [0, 1]);
+  assert.equal(resumed.isDone('pages', 1), true);
+  assert.equal(resumed.isDone('tags', 'VR'), false);
+  assert.deepEqual([resumed.cursor, resumed.partial], [{ phase: 'pages', page: 2 }, { games: { 730: 1 } }]);
+
+  await resumed.clear();
+  assert.equal(await new Checkpoint('test', { dir }).load(), false);
+});
+
+test('ignores checkpoints older than maxAge and unreadable ones', async () => {
+  const dir = tempDir();
+  const checkpoint = new Checkpoint('test', { dir });
+  checkpoint.markDone('pages', 0);
+  await checkpoint.save();
+  const state = JSON.parse(fs.readFileSync(checkpoint.file, 'utf8'));
+  fs.writeFileSync(checkpoint.file, JSON.stringify({ ...state, updatedAt: new Date(Date.now() - 31 * 60 * 1000).toISOString() }));
+
+  const stale = new Checkpoint('test', { dir });
+  assert.equal(await stale.load(), false);
+  assert.equal(stale.isDone('pages', 0), false);
+  assert.equal(await new Checkpoint('test', { dir, maxAge: 60 * 60 * 1000 }).load(), true);
+
+  fs.writeFileSync(checkpoint.file, '{"name":');
+  assert.equal(await new Checkpoint('test', { dir }).load(), false);
+});
+
+test('resumes an interrupted SteamSpy run with only the missing pages and tags', async () => {
+  const dir = tempDir();
+  const expected = await steamSpyFetcher(recordingClient(), tempDir()).fetchAllGames();
+
+  // Killed once every page and tag was fetched - pages 2-4 and the Multiplayer tag failed
+  const interrupted = recordingClient(url => url.includes('request=top100in2weeks'));
+  steamSpyFetcher(interrupted, dir).fetchAllGames();
+  await interrupted.interrupted;
+  assert.deepEqual(steamSpyRequests(interrupted, 'all'), ['0', '1', '2', '3', '4']);
+  assert.deepEqual(steamSpyRequests(interrupted, 'tag'), ['Free to Play', 'Multiplayer']);
+
+  const resumedClient = recordingClient();
+  const resumed = await steamSpyFetcher(resumedClient, dir).fetchAllGames();
+  assert.deepEqual(steamSpyRequests(resumedClient, 'all'), ['2', '3', '4']);
+  assert.deepEqual(steamSpyRequests(resumedClient, 'tag'), ['Multiplayer']);
+  assert.deepEqual(ranked(resumed), ranked(expected));
+  assert.equal(resumed.metadata.totalScanned, expected.metadata.totalScanned);
+  assert.equal(fs.existsSync(path.join(dir, 'steamspy.json')), false);
+});
+
+test('starts over when the SteamSpy checkpoint is stale', async () => {
+  const dir = tempDir();
+  const interrupted = recordingClient(url => url.includes('request=top100in2weeks'));
+  steamSpyFetcher(interrupted, dir).fetchAllGames();
+  await interrupted.interrupted;
+
+  const client = recordingClient();
+  await steamSpyFetcher(client, dir, { maxAge: -1 }).fetchAllGames();
+  assert.deepEqual(steamSpyRequests(client, 'all'), ['0', '1', '2', '3', '4']);
+  assert.deepEqual(steamSpyRequests(client, 'tag'), ['Free to Play', 'Multiplayer']);
+});
+
+test('resumes an interrupted Steam run with only the missing player counts', async () => {
+  const dir = tempDir();
+  const fetcher = (http, checkpointDir = dir) => new SteamDataFetcher({ http, sinks: [], minGames: 1, checkpointInterval: 2, checkpoint: new Checkpoint('steam-charts', { dir: checkpointDir }) });
+  const expected = await fetcher(recordingClient(), tempDir()).fetchAllSteamData();
+
+  // Killed in the chunk with 12345 - the chunks before it are checkpointed
+  const interrupted = recordingClient(url => url.endsWith('appid=12345'));
+  fetcher(interrupted).fetchAllSteamData();
+  await interrupted.interrupted;
+  const { done, partial } = JSON.parse(fs.readFileSync(path.join(dir, 'steam-charts.json'), 'utf8'));
+  const chunkStart = partial.plan.indexOf(12345) - (partial.plan.indexOf(12345) % 2);
+  assert.ok(chunkStart >= 2);
+  assert.deepEqual(done.appIds, partial.plan.slice(0, chunkStart));
+
+  const resumedClient = recordingClient();
+  const data = await fetcher(resumedClient).fetchAllSteamData();
+  assert.equal(resumedClient.urls.some(url => /GetAppList|GetMostPlayedGames|steamspy/.test(url)), false, 'the plan is not fetched again');
+  assert.deepEqual([...new Set(playerCountRequests(resumedClient))], partial.plan.slice(chunkStart));
+  assert.deepEqual(ranked(data).map(([appId]) => appId), ranked(expected).map(([appId]) => appId));
+  assert.equal(data.games[done.appIds[0]].source, 'steam-current-players', 'counts from the checkpoint are kept');
+  assert.equal(fs.existsSync(path.join(dir, 'steam-charts.json')), false);
+});
@@ -0,0 +1,81 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { encodeTable, snapshotTable, historyTable } = require('../.github/scripts/columnar');
+const { decodeTable, toRecords } = require('../.github/scripts/columnar-reader');
+const { HistoryStore } = require('../.github/scripts/history-store');
+const { ColumnarFileSink } = require('../.github/scripts/output-sinks');
+
+const snapshot = {
+  metadata: { timestamp: '2025-08-30T12:00:00.000Z', totalGames: 3, totalPlayers: 1390000 },
+  games: {
+    570: { appId: 570, name: 'Dota 2', rank: 2, currentPlayers: 420000, trending: 'up', trendDelta: 2.5, price: '0', discount: '0' },
+    730: { appId: 730, name: 'Counter-Strike 2', rank: 1, currentPlayers: 950000, trending: 'stable', trendDelta: null, peak24h: 1000000 },
+    1091500: { appId: 1091500, name: 'Cyberpunk 2077 ✨', rank: 3, currentPlayers: 20000, trending: 'new', price: '5999', discount: '50' }
+  }
+};
+
+mock.method(console, 'log', () => {});
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'columnar-'));
+}
+
+test('round-trips a snapshot as one row per game in rank order', () => {
+  const table = decodeTable(encodeTable(snapshotTable(snapshot)));
+
+  assert.equal(table.kind, 'snapshot');
+  assert.equal(table.rows, 3);
+  assert.deepEqual(table.metadata, snapshot.metadata);
+  assert.ok(table.columns.currentPlayers instanceof Uint32Array);
+  assert.deepEqual([...table.columns.appId], [730, 570, 1091500]);
+  assert.deepEqual(table.columns.name, ['Counter-Strike 2', 'Dota 2', 'Cyberpunk 2077 ✨']);
+  assert.deepEqual(table.columns.trending, ['stable', 'up', 'new']);
+
+  const [cs2, dota, cyberpunk] = toRecords(table);
+  assert.equal(cs2.trendDelta, null);
+  assert.equal(cs2.peak24h, 1000000);
+  assert.equal(dota.trendDelta, 2.5);
+  assert.equal(dota.peak24h, 0);
+  assert.equal(cyberpunk.price, 5999);
+  assert.equal(cyberpunk.discount, 50);
+});
+
+test('decodes from unaligned buffers and rejects other files', () => {
+  const encoded = encodeTable(snapshotTable(snapshot));
+  const unaligned = Buffer.concat([Buffer.from([0]), encoded]).subarray(1);
+
+  assert.deepEqual([...decodeTable(unaligned).columns.rank], [1, 2, 3]);
+  assert.deepEqual([...decodeTable(new Uint8Array(encoded).buffer).columns.rank], [1, 2, 3]);
+  assert.throws(() => decodeTable(Buffer.from('{"games":{}}')), /bad magic/);
+  assert.throws(() => encodeTable({ kind: 'x', columns: [{ name: 'a', type: 'uint32', values: [1] }, { name: 'b', type: 'uint32', values: [] }] }), /Column b has 0 values/);
+});
+
+test('exports recent history of the top games', async () => {
+  const store = new HistoryStore({ dir: tmpDir() });
+  const at = minutes => ({ ...snapshot, metadata: { ...snapshot.metadata, timestamp: new Date(Date.parse('2025-08-30T12:00:00.000Z') - minutes * 60000).toISOString() } });
+  await store.append(at(10));
+  await store.append(at(5));
+  await store.append(at(0));
+
+  const table = decodeTable(encodeTable(await historyTable(at(0), store, { games: 2 })));
+  assert.equal(table.kind, 'history');
+  assert.equal(table.metadata.games, 2);
+  assert.deepEqual([...table.columns.appId], [730, 730, 730, 570, 570, 570]);
+  assert.deepEqual([...table.columns.players], [950000, 950000, 950000, 420000, 420000, 420000]);
+  assert.equal(table.columns.time[2] - table.columns.time[0], 600);
+});
+
+test('sink writes the tables with gzip and brotli copies', async () => {
+  const dir = tmpDir();
+  const sink = new ColumnarFileSink({ dir, historyDir: path.join(dir, 'history') });
+  await sink.write(snapshot);
+
+  const raw = fs.readFileSync(path.join(dir, 'steam-charts.bin'));
+  assert.deepEqual(zlib.gunzipSync(fs.readFileSync(path.join(dir, 'steam-charts.bin.gz'))), raw);
+  assert.deepEqual(zlib.brotliDecompressSync(fs.readFileSync(path.join(dir, 'steam-charts.bin.br'))), raw);
+  assert.equal(decodeTable(fs.readFileSync(path.join(dir, 'steam-charts-history.bin'))).rows, 0);
+});
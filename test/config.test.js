@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, fetcherOptions, runOptions, watchlistOptions } = require('../.github/scripts/config');
+
+function configDir(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  if (config) fs.writeFileSync(path.join(dir, 'charts.config.json'), JSON.stringify(config));
+  return dir;
+}
+
+test('uses defaults and leaves fetcher options unset', async () => {
+  const cwd = configDir();
+  const config = await loadConfig({ env: {}, cwd });
+
+  assert.equal(config.fetcher, 'steamspy');
+  assert.equal(config.qualityGate, true);
+  assert.equal(config.dryRun, false);
+  assert.equal(config.dataDir, path.join(cwd, 'public', 'data'));
+  assert.equal(config.configFile, null);
+  assert.deepEqual(fetcherOptions(config), {});
+  assert.deepEqual(runOptions(config), { shards: false, monolithic: true, columnar: false, aggregates: false, searchIndex: false, alertRules: null, qualityGate: true, dryRun: false });
+});
+
+test('prefers flags over env over the config file', async () => {
+  const cwd = configDir({ minGames: 10, targetGames: 20, maxPages: 30, tags: ['RPG'] });
+  const config = await loadConfig({
+    flags: { 'min-games': '1', 'no-quality-gate': true },
+    env: { MIN_GAMES: '2', TARGET_GAMES: '3' },
+    cwd
+  });
+
+  assert.deepEqual(fetcherOptions(config), { minGames: 1, targetGames: 3, maxPages: 30, tags: ['RPG'] });
+  assert.equal(config.qualityGate, false);
+  assert.equal(config.configFile, path.join(cwd, 'charts.config.json'));
+});
+
+test('parses lists and booleans from strings', async () => {
+  const config = await loadConfig({ flags: { tags: 'Free to Play, RPG,' }, env: { DRY_RUN: 'true', LIVE_COUNT_LIMIT: '0' }, cwd: configDir() });
+
+  assert.deepEqual(config.tags, ['Free to Play', 'RPG']);
+  assert.equal(config.dryRun, true);
+  assert.equal(config.liveCountLimit, 0);
+  assert.deepEqual((await loadConfig({ flags: { tags: '' }, env: {}, cwd: configDir() })).tags, []);
+});
+
+test('parses leaderboard lengths from flags and the config file', async () => {
+  const fromFlag = await loadConfig({ flags: { 'leaderboard-lengths': 'gainers=50, losers=0' }, env: {}, cwd: configDir() });
+  const fromFile = await loadConfig({ env: {}, cwd: configDir({ leaderboardLengths: { topByPlayers: 10 } }) });
+
+  assert.deepEqual(fetcherOptions(fromFlag), { leaderboardLengths: { gainers: 50, losers: 0 } });
+  assert.deepEqual(fromFile.leaderboardLengths, { topByPlayers: 10 });
+  await assert.rejects(loadConfig({ env: { LEADERBOARD_LENGTHS: 'winners=5' }, cwd: configDir() }), /expected boards topByPlayers, gainers/);
+  await assert.rejects(loadConfig({ env: { LEADERBOARD_LENGTHS: 'gainers=lots' }, cwd: configDir() }), /non-negative integers/);
+});
+
+test('builds watchlist options', async () => {
+  const config = await loadConfig({ flags: { watchlist: true }, env: { WATCH_APP_IDS: '730, 570', WATCH_TOP: '20', APP_DETAILS_LIMIT: '50' }, cwd: configDir() });
+
+  assert.equal(config.watchlist, true);
+  assert.deepEqual(watchlistOptions(config), { appIds: ['730', '570'], top: 20, appDetailsLimit: 50 });
+  assert.deepEqual(watchlistOptions(await loadConfig({ env: {}, cwd: configDir() })), {});
+});
+
+test('reads the config file given by --config or CHARTS_CONFIG', async () => {
+  const cwd = configDir();
+  fs.writeFileSync(path.join(cwd, 'partial.json'), JSON.stringify({ maxPages: 2, dataDir: 'out' }));
+
+  const fromFlag = await loadConfig({ flags: { config: 'partial.json' }, env: {}, cwd });
+  const fromEnv = await loadConfig({ env: { CHARTS_CONFIG: 'partial.json' }, cwd });
+  assert.equal(fromFlag.maxPages, 2);
+  assert.equal(fromEnv.dataDir, path.join(cwd, 'out'));
+});
+
+test('rejects invalid values and unknown options', async () => {
+  await assert.rejects(loadConfig({ flags: { 'max-pages': 'ten' }, env: {}, cwd: configDir() }), /Invalid --max-pages value for maxPages/);
+  await assert.rejects(loadConfig({ env: { FETCHER: 'steamcharts' }, cwd: configDir() }), /expected steamspy or steam-charts/);
+  await assert.rejects(loadConfig({ env: {}, cwd: configDir({ maxPagez: 1 }) }), /Unknown option in .*: maxPagez/);
+});
@@ -0,0 +1,90 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HistoryStore } = require('../.github/scripts/history-store');
+
+mock.method(console, 'log', () => {});
+
+function store(options = {}) {
+  return new HistoryStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'history-')), ...options });
+}
+
+function run(timestamp, counts) {
+  return {
+    metadata: { timestamp },
+    games: Object.fromEntries(Object.entries(counts).map(([appId, currentPlayers]) => [appId, { appId: Number(appId), currentPlayers }]))
+  };
+}
+
+const players = points => points.map(p => [p.timestamp, p.players]);
+
+test('appends each run to per-game files of its period', async () => {
+  const history = store();
+
+  assert.equal(await history.append(run('2025-08-30T12:00:00Z', { 730: 900000, 570: 400000 })), 2);
+  assert.equal(await history.append(run('2025-08-30T12:05:00Z', { 730: 910000 })), 1);
+
+  assert.equal(fs.readFileSync(path.join(history.dir, '2025-08', '730.ndjson'), 'utf8'), '[1756555200,900000]\n[1756555500,910000]\n');
+  assert.equal(fs.readFileSync(path.join(history.dir, '2025-08', '570.ndjson'), 'utf8'), '[1756555200,400000]\n');
+});
+
+test('replaces a point with the same timestamp and sorts older ones in', async () => {
+  const history = store();
+  await history.append(run('2025-08-30T12:05:00Z', { 730: 900000 }));
+
+  assert.equal(await history.append(run('2025-08-30T12:05:00Z', { 730: 950000 })), 1);
+  assert.equal(await history.append(run('2025-08-30T12:00:00Z', { 730: 1 })), 1);
+  assert.deepEqual(players(await history.loadSeries(730)), [['2025-08-30T12:00:00.000Z', 1], ['2025-08-30T12:05:00.000Z', 950000]]);
+});
+
+test('skips a line cut short by an interrupted run', async () => {
+  const history = store();
+  await history.append(run('2025-08-30T12:00:00Z', { 730: 900000 }));
+  fs.appendFileSync(history.seriesFile(730, '2025-08'), '[1756555');
+  await history.append(run('2025-08-30T12:10:00Z', { 730: 920000 }));
+
+  assert.deepEqual(players(await history.loadSeries(730)), [['2025-08-30T12:00:00.000Z', 900000]]);
+  await history.append(run('2025-08-30T12:15:00Z', { 730: 930000 }));
+  assert.deepEqual(players(await history.loadSeries(730)).map(([, count]) => count), [900000, 930000]);
+});
+
+test('loads a range across months, oldest first', async () => {
+  const history = store();
+  for (const timestamp of ['2025-07-31T23:00:00Z', '2025-08-01T01:00:00Z', '2025-08-15T00:00:00Z', '2025-09-01T00:00:00Z']) {
+    await history.append(run(timestamp, { 730: 1000 }));
+  }
+  fs.mkdirSync(path.join(history.dir, 'not-a-period'));
+
+  assert.deepEqual((await history.loadSeries(730)).map(p => p.timestamp), [
+    '2025-07-31T23:00:00.000Z', '2025-08-01T01:00:00.000Z', '2025-08-15T00:00:00.000Z', '2025-09-01T00:00:00.000Z'
+  ]);
+  assert.deepEqual((await history.loadSeries(730, '2025-07-31T23:30:00Z', '2025-08-15T00:00:00Z')).map(p => p.timestamp), [
+    '2025-08-01T01:00:00.000Z', '2025-08-15T00:00:00.000Z'
+  ]);
+  assert.deepEqual(await history.listPeriods(Date.parse('2025-08-02'), Date.parse('2025-08-03')), ['2025-08']);
+  assert.deepEqual(await history.loadSeries(570), []);
+  assert.deepEqual(await store().loadSeries(730), []);
+});
+
+test('groups points by day', async () => {
+  const history = store({ granularity: 'day' });
+  await history.append(run('2025-08-30T23:55:00Z', { 730: 1 }));
+  await history.append(run('2025-08-31T00:00:00Z', { 730: 2 }));
+
+  assert.deepEqual(fs.readdirSync(history.dir).sort(), ['2025-08-30', '2025-08-31']);
+  assert.deepEqual(players(await history.loadSeries(730, '2025-08-31', '2025-09-01')), [['2025-08-31T00:00:00.000Z', 2]]);
+  assert.deepEqual(history.periodBounds('2025-08-31'), { start: Date.parse('2025-08-31'), end: Date.parse('2025-09-01') });
+  assert.throws(() => store({ granularity: 'week' }), /Unsupported history granularity: week/);
+});
+
+test('loads many series at once', async () => {
+  const history = store();
+  await history.append(run('2025-08-30T12:00:00Z', { 730: 900000, 570: 400000 }));
+
+  const series = await history.loadSeriesMany(['730', 570, 440]);
+  assert.deepEqual([...series.keys()], [730, 570, 440]);
+  assert.deepEqual(players(series.get(570)), [['2025-08-30T12:00:00.000Z', 400000]]);
+  assert.deepEqual(series.get(440), []);
+});
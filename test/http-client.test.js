@@ -0,0 +1,199 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { HttpClient, HttpError, getDefaultClient, parseRetryAfter } = require('../.github/scripts/http-client');
+const { FixtureStore } = require('../.github/scripts/http-fixtures');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'http');
+const STEAMSPY = 'https://steamspy.com/api.php';
+const STEAM_API = 'https://api.steampowered.com';
+
+function replayClient() {
+  return new HttpClient({ mode: 'replay', fixtures: new FixtureStore({ dir: FIXTURES_DIR }) });
+}
+
+// Local server answering with handler(req, hits) -> { status, headers, body, delay }
+async function startServer(handler) {
+  const hits = {};
+  let inFlight = 0;
+  const server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    server.maxInFlight = Math.max(server.maxInFlight, ++inFlight);
+    const { status = 200, headers = {}, body = '{}', delay = 0 } = handler(req, hits[req.url]) || {};
+    if (status === null) return; // Never answer
+    setTimeout(() => {
+      inFlight--;
+      res.writeHead(status, headers);
+      res.end(body);
+    }, delay);
+  });
+  server.maxInFlight = 0;
+  server.hits = hits;
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.host = `127.0.0.1:${server.address().port}`;
+  server.url = `http://${server.host}`;
+  server.stop = () => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  };
+  return server;
+}
+
+test('replays recorded responses in order, retrying failed ones', async () => {
+  const client = replayClient();
+  const data = await client.getJson(`${STEAM_API}/ISteamUserStats/GetNumberOfCurrentPlayers/v1/?appid=570`);
+
+  assert.equal(data.response.player_count, 420000);
+  assert.equal(client.stats.retries, 1);
+});
+
+test('replays empty pages, malformed JSON, HTTP errors and network errors', async () => {
+  const client = replayClient();
+
+  assert.deepEqual(await client.getJson(`${STEAMSPY}?request=all&page=2`), {});
+  await assert.rejects(client.getJson(`${STEAMSPY}?request=all&page=3`), /Malformed JSON/);
+  await assert.rejects(client.getJson(`${STEAMSPY}?request=all&page=4`), { name: 'HttpError', status: 503 });
+  await assert.rejects(client.getJson(`${STEAMSPY}?request=tag&tag=Multiplayer`), /ECONNRESET/);
+  assert.equal(client.stats.retries, 2 * client.retries);
+});
+
+test('fails requests without a fixture instead of going online', async () => {
+  const client = replayClient();
+  const error = await client.getJson(`${STEAMSPY}?request=top100forever`).catch(e => e);
+
+  assert.ok(error instanceof HttpError);
+  assert.match(error.message, /No fixture for GET/);
+  assert.equal(client.stats.retries, 0);
+});
+
+test('records live responses, retries included, as replayable fixtures', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  const server = await startServer((req, hit) => {
+    if (req.url === '/flaky' && hit === 1) return { status: 500, body: 'oops' };
+    return { headers: { 'content-type': 'application/json' }, body: JSON.stringify({ url: req.url }) };
+  });
+
+  try {
+    const recorder = new HttpClient({ mode: 'record', fixtures: new FixtureStore({ dir }), retries: 1 });
+    assert.deepEqual(await recorder.getJson(`${server.url}/flaky`), { url: '/flaky' });
+    await recorder.getJson(`${server.url}/games?page=1`);
+
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, server.host.replace(':', '_'), 'flaky.json'), 'utf8'));
+    assert.deepEqual(fixture.responses.map(r => r.status), [500, 200]);
+    assert.equal(fixture.responses[1].headers['content-type'], 'application/json');
+
+    await server.stop();
+    const replayer = new HttpClient({ mode: 'replay', fixtures: new FixtureStore({ dir }), retries: 1 });
+    assert.deepEqual(await replayer.getJson(`${server.url}/flaky`), { url: '/flaky' });
+    assert.deepEqual(await replayer.getJson(`${server.url}/games?page=1`), { url: '/games?page=1' });
+  } finally {
+    await server.stop();
+  }
+});
+
+test('never has more than `concurrency` requests in flight', async () => {
+  const server = await startServer(() => ({ delay: 20 }));
+  try {
+    const client = new HttpClient({ concurrency: 3 });
+    await Promise.all(Array.from({ length: 12 }, (_, i) => client.getJson(`${server.url}/${i}`)));
+
+    assert.equal(server.maxInFlight, 3);
+    assert.equal(client.active, 0);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('rate limits each host with a token bucket', async () => {
+  const server = await startServer(() => ({}));
+  try {
+    const client = new HttpClient({ hostLimits: { [server.host]: { rate: 20, burst: 1 } } });
+    const started = Date.now();
+    await Promise.all(Array.from({ length: 5 }, (_, i) => client.getJson(`${server.url}/${i}`)));
+
+    // The first request uses the burst, the other four wait 50ms each
+    assert.ok(Date.now() - started >= 190);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('spaces requests by the rate limit when they were queued for a full pool', async () => {
+  // The first three requests hold every slot until the same moment, then the rest go out
+  const holdUntil = Date.now() + 300;
+  const sentAt = [];
+  const server = await startServer(() => {
+    sentAt.push(Date.now());
+    return { delay: Math.max(0, holdUntil - Date.now()) };
+  });
+  try {
+    const client = new HttpClient({ concurrency: 3, hostLimits: { [server.host]: { rate: 20, burst: 1 } } });
+    await Promise.all(Array.from({ length: 6 }, (_, i) => client.getJson(`${server.url}/${i}`)));
+
+    // Tokens are taken after the slot, so the queued requests still come 50ms apart
+    const gaps = sentAt.slice(1).map((time, i) => time - sentAt[i]);
+    assert.ok(Math.min(...gaps) >= 40, `gaps ${gaps.join(', ')}ms`);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('does not count waiting for a rate limit token against the timeout', async () => {
+  const server = await startServer(() => ({ delay: 10 }));
+  try {
+    const client = new HttpClient({ timeout: 100, retries: 0, concurrency: 2, hostLimits: { [server.host]: { rate: 20, burst: 1 } } });
+    // The last request waits ~350ms for its token, well past the timeout
+    const results = await Promise.allSettled(Array.from({ length: 8 }, (_, i) => client.getJson(`${server.url}/${i}`)));
+
+    assert.deepEqual(results.map(r => r.status), Array(8).fill('fulfilled'));
+    assert.equal(Object.keys(server.hits).length, 8);
+    assert.equal(client.active, 0);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('waits for Retry-After on 429 responses', async () => {
+  const server = await startServer((req, hit) => (hit === 1 ? { status: 429, headers: { 'Retry-After': '0.3' } } : {}));
+  try {
+    const client = new HttpClient();
+    const started = Date.now();
+    await client.getJson(`${server.url}/limited`);
+
+    assert.ok(Date.now() - started >= 300);
+    assert.equal(server.hits['/limited'], 2);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('times out requests that never answer', async () => {
+  const server = await startServer(() => ({ status: null }));
+  try {
+    const client = new HttpClient({ timeout: 100, retries: 0 });
+    await assert.rejects(client.getJson(`${server.url}/hang`), /timed out after 100ms/);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('parses Retry-After seconds and dates', () => {
+  const now = Date.parse('2025-08-30T12:00:00Z');
+
+  assert.equal(parseRetryAfter('120', now), 120000);
+  assert.equal(parseRetryAfter('Sat, 30 Aug 2025 12:00:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(null, now), null);
+});
+
+test('configures the shared client from HTTP_MODE and HTTP_FIXTURES_DIR', async () => {
+  const client = getDefaultClient({ HTTP_MODE: 'replay', HTTP_FIXTURES_DIR: FIXTURES_DIR });
+
+  assert.equal(client.mode, 'replay');
+  assert.equal(getDefaultClient(), client);
+  assert.deepEqual(await client.getJson(`${STEAMSPY}?request=all&page=2`), {});
+  assert.throws(() => new HttpClient({ mode: 'offline' }), /Unknown HTTP mode 'offline'/);
+});
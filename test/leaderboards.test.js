@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildLeaderboards, buildSummary } = require('../.github/scripts/leaderboards');
+
+// Snapshot from { appId, players, ...fields }, ranked by players
+function snapshot(games) {
+  const sorted = [...games].sort((a, b) => b.players - a.players);
+  return {
+    metadata: { timestamp: '2025-08-30T12:00:00.000Z', totalGames: games.length },
+    games: Object.fromEntries(sorted.map(({ appId, players, ...fields }, index) => [appId, {
+      appId, name: `Game ${appId}`, currentPlayers: players, rank: index + 1, price: 999, trending: 'stable', trendDelta: 0, ...fields
+    }]))
+  };
+}
+
+const ids = board => board.map(entry => entry.appId);
+
+const data = snapshot([
+  { appId: 1, players: 50000, trending: 'up', trendDelta: 20 },
+  { appId: 2, players: 40000, trending: 'surging', trendDelta: 80 },
+  { appId: 3, players: 30000, trending: 'down', trendDelta: -40 },
+  { appId: 4, players: 20000, trending: 'up', trendDelta: 20 },
+  { appId: 5, players: 10000, trending: 'down', trendDelta: -10, price: 0 },
+  { appId: 6, players: 5000, trending: 'new', trendDelta: null, tags: { 'Free to Play': 0 } },
+  { appId: 7, players: 2000, trending: 'new', trendDelta: null, tags: { 'Free to Play': 1200 } },
+  { appId: 8, players: 99, trending: 'surging', trendDelta: 500 },
+  { appId: 9, players: 99, trending: 'down', trendDelta: -90 }
+]);
+
+test('ranks gainers and losers by trendDelta, ties by players', () => {
+  const boards = buildLeaderboards(data);
+
+  // 8 and 9 have too few players to count as movers
+  assert.deepEqual(ids(boards.gainers), [2, 1, 4]);
+  assert.deepEqual(boards.gainers.map(entry => entry.trendDelta), [80, 20, 20]);
+  assert.deepEqual(ids(boards.losers), [3, 5]);
+});
+
+test('lists newly charted games by players', () => {
+  const boards = buildLeaderboards(data);
+
+  assert.deepEqual(ids(boards.newlyCharted), [6, 7]);
+  assert.deepEqual(boards.newlyCharted[0], {
+    name: 'Game 6', appId: 6, players: 5000, rank: 6, trending: 'new', trendDelta: null,
+    peak24h: undefined, low24h: undefined, avg30d: undefined, allTimePeak: undefined, allTimePeakAt: undefined
+  });
+});
+
+test('counts free games and Free to Play tags without votes', () => {
+  assert.deepEqual(ids(buildLeaderboards(data).topFreeToPlay), [5, 6, 7]);
+});
+
+test('uses custom lengths per board', () => {
+  const boards = buildLeaderboards(data, { topByPlayers: 3, gainers: 1, losers: 0 });
+
+  assert.deepEqual(ids(boards.topByPlayers), [1, 2, 3]);
+  assert.deepEqual(ids(boards.gainers), [2]);
+  assert.deepEqual(boards.losers, []);
+  assert.deepEqual(ids(boards.newlyCharted), [6, 7]);
+
+  const summary = buildSummary(data, { topByPlayers: 2 });
+  assert.deepEqual(ids(summary.topGames), [1, 2]);
+  assert.equal(summary.topGames, summary.leaderboards.topByPlayers);
+});
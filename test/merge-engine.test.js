@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MergeEngine, SOURCES, fromSteamSpy } = require('../.github/scripts/merge-engine');
+
+const EARLY = '2025-08-30T12:00:00.000Z';
+const LATE = '2025-08-30T12:05:00.000Z';
+
+const steamSpy = (fields = {}) => fromSteamSpy({
+  name: 'Counter-Strike 2', ccu: 800000, owners: '50,000,000 .. 100,000,000', positive: 900, negative: 100,
+  price: '0', genre: 'Action, Free to Play', developer: 'Valve', tags: { FPS: 900, Shooter: 400 }, ...fields
+});
+
+test('resolves conflicts by the default precedence, whatever the order sources arrive in', () => {
+  const engine = new MergeEngine()
+    .add(SOURCES.STEAM_CURRENT_PLAYERS, 730, { currentPlayers: 950000 }, LATE)
+    .add(SOURCES.STEAMSPY_ALL, '730', steamSpy(), EARLY)
+    .add(SOURCES.STEAM_MOST_PLAYED, 730, { currentPlayers: 900000, peak24h: 1000000, name: 'CS2' }, LATE)
+    .add(SOURCES.STEAM_APP_LIST, 730, { name: 'Counter-Strike: Global Offensive' }, LATE);
+  const record = engine.record(730);
+
+  assert.equal(engine.size, 1);
+  assert.equal(record.currentPlayers, 950000, 'live counts beat the most played list and SteamSpy');
+  assert.equal(record.source, SOURCES.STEAM_CURRENT_PLAYERS);
+  assert.equal(record.peak24h, 1000000);
+  assert.equal(record.name, 'Counter-Strike 2', 'SteamSpy names beat Steam lists');
+  assert.deepEqual([record.ownersMin, record.ownersMax, record.developer], [50000000, 100000000, 'Valve']);
+});
+
+test('fills gaps from lower sources and lets the same source overwrite with newer data', () => {
+  const engine = new MergeEngine()
+    .add(SOURCES.STEAMSPY_ALL, 730, steamSpy({ developer: '' }), EARLY)
+    .add(SOURCES.STEAMSPY_TOP100, 730, steamSpy({ developer: 'Valve', ccu: 1 }), LATE)
+    .add(SOURCES.STEAMSPY_ALL, 730, { currentPlayers: 810000, positive: null }, LATE);
+  const record = engine.record(730);
+
+  assert.equal(record.developer, 'Valve', 'empty values are not offered');
+  assert.equal(record.currentPlayers, 810000);
+  assert.equal(record.positive, 900, 'null values are not offered');
+  assert.deepEqual(engine.provenanceOf(730, 'currentPlayers'), { source: SOURCES.STEAMSPY_ALL, at: LATE });
+  assert.deepEqual(engine.provenanceOf(730, 'developer'), { source: SOURCES.STEAMSPY_TOP100, at: LATE });
+  assert.equal(engine.provenanceOf(730, 'peak24h'), null);
+  assert.equal(engine.provenanceOf(440, 'name'), null);
+});
+
+test('uses a custom precedence per field, falling back to the defaults', () => {
+  const engine = new MergeEngine({ precedence: { currentPlayers: [SOURCES.STEAMSPY_ALL, SOURCES.STEAM_CURRENT_PLAYERS] } })
+    .add(SOURCES.STEAMSPY_ALL, 730, steamSpy(), EARLY)
+    .add(SOURCES.STEAM_CURRENT_PLAYERS, 730, { currentPlayers: 950000 }, LATE)
+    .add(SOURCES.STEAM_MOST_PLAYED, 730, { currentPlayers: 900000, peak24h: 1000000 }, LATE);
+  const record = engine.record(730);
+
+  assert.deepEqual([record.currentPlayers, record.source], [800000, SOURCES.STEAMSPY_ALL]);
+  assert.equal(record.peak24h, 1000000);
+  assert.equal(engine.rank('currentPlayers', SOURCES.STEAM_MOST_PLAYED), 2, 'unlisted sources rank last');
+});
+
+test('records per-field provenance under the typed field names', () => {
+  const engine = new MergeEngine()
+    .add(SOURCES.STEAMSPY_ALL, 730, steamSpy(), EARLY)
+    .add(SOURCES.STEAM_MOST_PLAYED, 730, { currentPlayers: 950000, peak24h: 1000000 }, LATE);
+
+  assert.deepEqual(engine.record(730).provenance, {
+    [SOURCES.STEAMSPY_ALL]: { at: EARLY, fields: ['name', 'ownersMin', 'ownersMax', 'positive', 'negative', 'price', 'genres', 'developer', 'tags'] },
+    [SOURCES.STEAM_MOST_PLAYED]: { at: LATE, fields: ['currentPlayers', 'peak24h'] }
+  });
+  assert.equal(new MergeEngine().add(SOURCES.STEAM_APP_LIST, 12345, {}).record(12345).name, 'Game 12345');
+  assert.equal(engine.record(440), null);
+});
+
+test('keeps the highest tag votes from every source', () => {
+  const engine = new MergeEngine()
+    .add(SOURCES.STEAMSPY_TAG, 730, { tags: { FPS: 0, Tactical: 0 } }, LATE)
+    .add(SOURCES.STEAMSPY_ALL, 730, { tags: { FPS: 900, Shooter: 400 } }, EARLY);
+
+  assert.deepEqual(engine.record(730).tags, { FPS: 900, Tactical: 0, Shooter: 400 });
+  assert.deepEqual(engine.provenanceOf(730, 'tags'), { source: SOURCES.STEAMSPY_ALL, at: EARLY });
+});
+
+test('round-trips its state through toJSON and restore', () => {
+  const engine = new MergeEngine()
+    .add(SOURCES.STEAMSPY_ALL, 730, steamSpy(), EARLY)
+    .add(SOURCES.STEAM_MOST_PLAYED, 570, { currentPlayers: 420000, name: 'Dota 2' }, LATE);
+
+  const restored = new MergeEngine().restore(JSON.parse(JSON.stringify(engine)));
+  assert.equal(restored.size, 2);
+  assert.ok(restored.has('570'));
+  assert.deepEqual(restored.records(), engine.records());
+
+  // Precedence still applies to the restored provenance
+  restored.add(SOURCES.STEAM_APP_LIST, 730, { name: 'Counter-Strike: Global Offensive' }, LATE);
+  restored.add(SOURCES.STEAM_CURRENT_PLAYERS, 730, { currentPlayers: 950000 }, LATE);
+  assert.deepEqual([restored.record(730).name, restored.record(730).currentPlayers], ['Counter-Strike 2', 950000]);
+  assert.equal(new MergeEngine().restore(null).size, 0);
+});
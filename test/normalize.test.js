@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRecord, mergeTagVotes, reviewScores, wilsonLowerBound } = require('../.github/scripts/normalize');
+
+test('types SteamSpy fields', () => {
+  const game = normalizeRecord({
+    name: 'Counter-Strike', appId: '10', currentPlayers: 50000, owners: '10,000,000 .. 20,000,000',
+    positive: 200000, negative: 5000, averagePlaytime: 1000.4, price: '999', initialPrice: '1999', discount: '50',
+    languages: 'English, French,  German', genre: 'Action', tags: { FPS: '900', Classic: null }, rank: 6, trending: 'up'
+  });
+
+  assert.deepEqual(game, {
+    name: 'Counter-Strike',
+    appId: 10,
+    currentPlayers: 50000,
+    ownersMin: 10000000,
+    ownersMax: 20000000,
+    positive: 200000,
+    negative: 5000,
+    reviewScore: 97.6,
+    reviewScoreLowerBound: 97.5,
+    averagePlaytime: 1000,
+    medianPlaytime: 0,
+    price: 999,
+    initialPrice: 1999,
+    discount: 50,
+    currency: 'USD',
+    languages: ['English', 'French', 'German'],
+    genres: ['Action'],
+    publisher: '',
+    developer: '',
+    tags: { FPS: 900, Classic: 0 },
+    rank: 6,
+    trending: 'up'
+  });
+});
+
+test('is idempotent and fills missing fields', () => {
+  const game = normalizeRecord({ appId: 20, name: 'Team Fortress Classic', owners: 'lots', tags: [] });
+
+  assert.deepEqual(normalizeRecord(game), game);
+  assert.deepEqual([game.ownersMin, game.ownersMax, game.price, game.reviewScore, game.reviewScoreLowerBound], [0, 0, 0, null, null]);
+  assert.deepEqual(game.tags, {});
+});
+
+test('merges tag votes keeping the highest count', () => {
+  assert.deepEqual(mergeTagVotes({ 'Free to Play': 0, Shooter: 10 }, { Shooter: 8000, Survival: 9000 }), {
+    'Free to Play': 0, Shooter: 8000, Survival: 9000
+  });
+  assert.deepEqual(mergeTagVotes({ RPG: 5 }, []), { RPG: 5 });
+});
+
+test('ranks few reviews below many with the Wilson lower bound', () => {
+  assert.deepEqual(reviewScores(10, 0), { reviewScore: 100, reviewScoreLowerBound: 72.2 });
+  assert.deepEqual(reviewScores(950, 50), { reviewScore: 95, reviewScoreLowerBound: 93.5 });
+  assert.equal(wilsonLowerBound(0, 0), null);
+  assert.equal(wilsonLowerBound(0, 5), 0);
+});
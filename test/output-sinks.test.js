@@ -0,0 +1,139 @@
+const { test, mock, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { SupabaseSink, WebhookSink, createSinks, writeToSinks } = require('../.github/scripts/output-sinks');
+const { HttpClient } = require('../.github/scripts/http-client');
+
+mock.method(console, 'log', () => {});
+
+// Local stand-in for PostgREST and webhook endpoints - records every request and
+// answers with the next queued status for its path (default 201)
+let server;
+let base;
+let received;
+let statuses;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, base);
+      received.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body: JSON.parse(body) });
+      const status = statuses[url.pathname]?.shift() ?? 201;
+      res.writeHead(status, status === 429 ? { 'Retry-After': '0' } : {});
+      res.end(status >= 400 ? 'stand-in error' : '');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  received = [];
+  statuses = {};
+});
+
+const client = () => new HttpClient();
+
+function snapshot(count) {
+  const games = Array.from({ length: count }, (_, i) => ({
+    appId: i + 1, name: `Game ${i + 1}`, currentPlayers: 1000 - i, rank: i + 1, peak24h: 1200, ownersMin: 0, ownersMax: 20000,
+    positive: 90, negative: 10, reviewScore: 90, price: 999, currency: 'USD', source: 'steamspy-all'
+  }));
+  return {
+    metadata: { timestamp: '2025-08-30T12:00:00.000Z', totalGames: count },
+    games: Object.fromEntries(games.map(game => [game.appId, game]))
+  };
+}
+
+test('upserts games and snapshot rows into Supabase in batches', async () => {
+  const sink = new SupabaseSink({ url: `${base}/`, key: 'service-key', batchSize: 2, http: client() });
+  await sink.write(snapshot(5));
+
+  assert.deepEqual(received.map(r => [r.method, r.path, r.query.on_conflict, r.body.length]), [
+    ['POST', '/rest/v1/games', 'app_id', 2],
+    ['POST', '/rest/v1/games', 'app_id', 2],
+    ['POST', '/rest/v1/games', 'app_id', 1],
+    ['POST', '/rest/v1/snapshots', 'app_id,captured_at', 2],
+    ['POST', '/rest/v1/snapshots', 'app_id,captured_at', 2],
+    ['POST', '/rest/v1/snapshots', 'app_id,captured_at', 1]
+  ]);
+
+  const { headers, body } = received[0];
+  assert.equal(headers.apikey, 'service-key');
+  assert.equal(headers.authorization, 'Bearer service-key');
+  assert.equal(headers.prefer, 'resolution=merge-duplicates,return=minimal');
+  assert.equal(headers['content-type'], 'application/json');
+  assert.deepEqual(body[0], {
+    app_id: 1, name: 'Game 1', current_players: 1000, rank: 1, peak_24h: 1200, all_time_peak: null, trending: null, trend_delta: null,
+    owners_min: 0, owners_max: 20000, positive: 90, negative: 10, review_score: 90, price: 999, currency: 'USD',
+    source: 'steamspy-all', updated_at: '2025-08-30T12:00:00.000Z'
+  });
+  assert.deepEqual(received[3].body[1], { app_id: 2, captured_at: '2025-08-30T12:00:00.000Z', players: 999, rank: 2 });
+});
+
+test('uses the configured Supabase table names', async () => {
+  const sink = createSinks({ SUPABASE_URL: base, SUPABASE_ANON_KEY: 'anon', SUPABASE_GAMES_TABLE: 'charts', SUPABASE_SNAPSHOTS_TABLE: 'points' })[1];
+  sink.http = client();
+  await sink.write(snapshot(1));
+
+  assert.deepEqual(received.map(r => [r.path, r.headers.apikey]), [['/rest/v1/charts', 'anon'], ['/rest/v1/points', 'anon']]);
+});
+
+test('retries Supabase batches on 429 and 5xx responses', async () => {
+  statuses['/rest/v1/games'] = [429, 503];
+  const sink = new SupabaseSink({ url: base, key: 'key', http: client() });
+  await sink.write(snapshot(3));
+
+  assert.deepEqual(received.map(r => r.path), ['/rest/v1/games', '/rest/v1/games', '/rest/v1/games', '/rest/v1/snapshots']);
+  assert.deepEqual(received[2].body, received[0].body);
+});
+
+test('gives up on Supabase client errors without retrying', async () => {
+  statuses['/rest/v1/games'] = [400];
+  const sink = new SupabaseSink({ url: base, key: 'key', http: client() });
+
+  await assert.rejects(sink.write(snapshot(1)), { name: 'HttpError', status: 400 });
+  assert.equal(received.length, 1);
+});
+
+test('posts the snapshot to a webhook in numbered batches with its headers', async () => {
+  const sink = new WebhookSink({ url: `${base}/hook`, headers: { Authorization: 'Bearer token' }, batchSize: 2, http: client() });
+  const data = snapshot(3);
+  await sink.write(data);
+
+  assert.deepEqual(received.map(r => [r.path, r.body.batch, r.body.games.map(g => g.appId)]), [
+    ['/hook', { index: 0, total: 2 }, [1, 2]],
+    ['/hook', { index: 1, total: 2 }, [3]]
+  ]);
+  assert.deepEqual(received[0].body.metadata, data.metadata);
+  assert.equal(received[0].headers.authorization, 'Bearer token');
+});
+
+test('retries webhook batches on 5xx and only warns when a remote sink fails', async () => {
+  statuses['/hook'] = [500];
+  statuses['/broken'] = [400];
+  const sinks = [
+    new WebhookSink({ url: `${base}/hook`, http: client() }),
+    new WebhookSink({ url: `${base}/broken`, http: client() })
+  ];
+  const { failures } = await writeToSinks(sinks, snapshot(1));
+
+  assert.deepEqual(received.map(r => r.path), ['/hook', '/hook', '/broken']);
+  assert.equal(failures.length, 1);
+  assert.equal(failures[0].sink, 'webhook');
+  assert.match(failures[0].error, /HTTP 400: stand-in error/);
+});
+
+test('creates the webhook sink with a bearer token from the environment', () => {
+  const sinks = createSinks({ WEBHOOK_URL: `${base}/hook`, WEBHOOK_TOKEN: 'secret' });
+
+  assert.deepEqual(sinks.map(sink => sink.name), ['json', 'webhook']);
+  assert.deepEqual(createSinks({}, { shards: true, columnar: true, aggregates: true, searchIndex: true }).map(sink => sink.name),
+    ['json', 'shards', 'columnar', 'aggregates', 'search-index']);
+  assert.deepEqual(sinks[1].headers, { Authorization: 'Bearer secret' });
+  assert.throws(() => new SupabaseSink({ url: base }), /requires url and key/);
+});
@@ -0,0 +1,85 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseEvents, measureImpact, buildImpactReport } = require('../.github/scripts/patch-impact');
+const { HistoryStore } = require('../.github/scripts/history-store');
+
+mock.method(console, 'log', () => {});
+
+const HOUR_MS = 60 * 60 * 1000;
+const PATCH_AT = Date.parse('2025-08-10T12:00:00Z');
+
+// Hourly points from 8 days before to 8 days after the patch: 1,000 players before,
+// 1,500 after, with a 3,000 spike 6 hours in
+function patchHistory() {
+  const points = [];
+  for (let hour = -8 * 24; hour <= 8 * 24; hour++) {
+    const players = hour === 6 ? 3000 : hour > 0 ? 1500 : 1000;
+    points.push({ timestamp: new Date(PATCH_AT + hour * HOUR_MS).toISOString(), players });
+  }
+  return points;
+}
+
+test('parses JSON and NDJSON events', () => {
+  const json = parseEvents(JSON.stringify([{ appId: 730, date: '2025-08-10T12:00:00Z', title: 'Release Notes' }]));
+  const ndjson = parseEvents('{"appId": 730, "date": 1754827200, "id": "a"}\n\n{"appid": "570", "timestamp": "2025-08-01"}\n');
+
+  assert.deepEqual(json, [{ id: '730-2025-08-10T12:00:00.000Z', appId: 730, at: '2025-08-10T12:00:00.000Z', title: 'Release Notes', url: null, source: 'file' }]);
+  assert.deepEqual(ndjson.map(e => [e.id, e.appId, e.at]), [['570-2025-08-01T00:00:00.000Z', 570, '2025-08-01T00:00:00.000Z'], ['a', 730, '2025-08-10T12:00:00.000Z']]);
+  assert.throws(() => parseEvents('{"appId": 730}'), /Invalid event events: missing or invalid date/);
+  assert.throws(() => parseEvents('{"appId": 730, "date": 1}\n{oops'), /Invalid JSON in events line 2/);
+});
+
+test('keeps the patch notes of a Steam news response', () => {
+  const news = {
+    appnews: {
+      appid: 730,
+      newsitems: [
+        { gid: '1', title: 'Release Notes for 8/10/2025', url: 'https://store.steampowered.com/news/1', date: 1754827200, feedname: 'steam_community_announcements', tags: ['patchnotes'] },
+        { gid: '2', title: 'Major tournament recap', url: 'https://example.com/2', date: 1754913600, feedname: 'pcgamer' }
+      ]
+    }
+  };
+
+  assert.deepEqual(parseEvents(JSON.stringify(news)).map(e => [e.id, e.appId, e.source]), [['1', 730, 'steam-news']]);
+  assert.equal(parseEvents(JSON.stringify(news), { allNews: true }).length, 2);
+});
+
+test('measures players before and after an event', () => {
+  const event = { id: '1', appId: 730, at: new Date(PATCH_AT).toISOString() };
+  const impact = measureImpact(event, patchHistory(), PATCH_AT + 30 * 24 * HOUR_MS);
+
+  assert.equal(impact.before24h, 1000);
+  assert.equal(impact.after24h, 1563); // 23 x 1,500 and one 3,000
+  assert.equal(impact.change24h, 56.3);
+  assert.equal(impact.change7d, 50.9);
+  assert.deepEqual([impact.peakAfter, impact.peakAfterAt, impact.peakChange], [3000, '2025-08-10T18:00:00.000Z', 200]);
+  assert.equal(impact.complete, true);
+});
+
+test('reports events without history or still in progress', () => {
+  const event = { id: '1', appId: 730, at: new Date(PATCH_AT).toISOString() };
+  const early = measureImpact(event, patchHistory().slice(0, 8 * 24 + 3), PATCH_AT + 2 * HOUR_MS);
+
+  assert.equal(early.change24h, 50);
+  assert.equal(early.complete, false);
+  assert.deepEqual([measureImpact(event, []).change24h, measureImpact(event, []).peakAfter], [null, null]);
+});
+
+test('builds a report from the history store, newest first', async () => {
+  const store = new HistoryStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'patch-history-')) });
+  for (const point of patchHistory().filter((_, index) => index % 12 === 0)) {
+    await store.append({ metadata: { timestamp: point.timestamp }, games: { 730: { appId: 730, currentPlayers: point.players } } });
+  }
+  const events = parseEvents(JSON.stringify([
+    { appId: 730, date: '2025-08-10T12:00:00Z' },
+    { appId: 570, date: '2025-08-12T00:00:00Z' }
+  ]));
+
+  const report = await buildImpactReport(events, store, { names: new Map([[730, 'Counter-Strike 2']]), now: Date.parse('2025-09-01') });
+
+  assert.deepEqual(report.metadata, { generatedAt: '2025-09-01T00:00:00.000Z', events: 2, games: 2 });
+  assert.deepEqual(report.impacts.map(i => [i.appId, i.name, i.change24h]), [[570, null, null], [730, 'Counter-Strike 2', 50]]);
+});
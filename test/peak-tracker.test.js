@@ -0,0 +1,71 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PeakTracker } = require('../.github/scripts/peak-tracker');
+
+mock.method(console, 'log', () => {});
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const START = Date.parse('2025-08-01T00:00:00Z');
+
+const at = hours => new Date(START + hours * HOUR_MS).toISOString();
+
+function tracker() {
+  return new PeakTracker({ stateFile: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'peaks-')), 'state', 'peaks.json') });
+}
+
+test('rolls the 24h peak and low out of the window', () => {
+  const peaks = tracker();
+  peaks.record(730, 5000, at(0));
+  peaks.record(730, 100, at(0.5));
+  peaks.record(730, 3000, at(12));
+
+  assert.deepEqual([peaks.fields(730).peak24h, peaks.fields(730).low24h], [5000, 100]);
+  assert.equal(peaks.state[730].hours.length, 2, 'samples in the same hour are combined');
+
+  // Hour 0 is 24 hours old now
+  const fields = peaks.record(730, 2000, at(24));
+  assert.deepEqual([fields.peak24h, fields.low24h], [3000, 2000]);
+  assert.deepEqual(peaks.state[730].hours.map(([hour]) => hour - START / HOUR_MS), [12, 24]);
+});
+
+test('averages the samples of the last 30 days', () => {
+  const peaks = tracker();
+  peaks.record(730, 100, at(0));
+  peaks.record(730, 300, at(1));
+  assert.equal(peaks.fields(730).avg30d, 200);
+
+  peaks.record(730, 1000, at(24 * 10));
+  assert.equal(peaks.fields(730).avg30d, Math.round(1400 / 3));
+
+  // Day 0 has dropped out of the 30 days
+  peaks.record(730, 2000, at(24 * 30));
+  assert.equal(peaks.fields(730).avg30d, 1500);
+  assert.deepEqual(peaks.state[730].days.map(([day, sum, count]) => [day - START / DAY_MS, sum, count]), [[10, 1000, 1], [30, 2000, 1]]);
+});
+
+test('keeps the all-time peak and when it happened', () => {
+  const peaks = tracker();
+  peaks.record(730, 5000, at(0));
+  peaks.record(730, 9000, at(5));
+  const fields = peaks.record(730, 9000, at(24 * 60));
+
+  assert.deepEqual([fields.allTimePeak, fields.allTimePeakAt], [9000, at(5)]);
+  assert.deepEqual([fields.peak24h, fields.low24h], [9000, 9000]);
+  assert.equal(peaks.fields(570), null);
+});
+
+test('keeps a higher reported 24h peak and carries state between runs', async () => {
+  const peaks = tracker();
+  await peaks.load();
+  const [game] = peaks.apply([{ appId: 730, currentPlayers: 800000, peak24h: 1000000 }], at(0));
+  assert.deepEqual([game.peak24h, game.low24h, game.allTimePeak], [1000000, 800000, 800000]);
+  await peaks.save();
+
+  const next = await new PeakTracker({ stateFile: peaks.stateFile }).load();
+  const [later] = next.apply([{ appId: 730, currentPlayers: 900000 }], at(1));
+  assert.deepEqual([later.peak24h, later.low24h, later.avg30d, later.allTimePeak, later.allTimePeakAt], [900000, 800000, 850000, 900000, at(1)]);
+});
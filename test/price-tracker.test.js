@@ -0,0 +1,88 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PriceTracker } = require('../.github/scripts/price-tracker');
+
+mock.method(console, 'log', () => {});
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.parse('2025-08-01T00:00:00Z');
+
+function game(appId, players, price, initialPrice = price) {
+  return {
+    appId, name: `Game ${appId}`, currentPlayers: players, price, initialPrice, currency: 'USD',
+    discount: initialPrice > 0 ? Math.round((1 - price / initialPrice) * 100) : 0,
+    provenance: { 'steamspy-all': { at: '2025-08-01T00:00:00.000Z', fields: ['name', 'price', 'initialPrice'] } }
+  };
+}
+
+// Runs an hour apart, each a list of games
+function track(tracker, runs) {
+  runs.forEach((games, index) => tracker.apply(games, new Date(START + index * HOUR_MS).toISOString()));
+  return tracker;
+}
+
+test('detects sales and their player response', () => {
+  const tracker = track(new PriceTracker(), [
+    [game(1, 1000, 1999)],
+    [game(1, 1500, 999, 1999)],
+    [game(1, 4000, 999, 1999)],
+    [game(1, 3000, 999, 1999)]
+  ]);
+  const feed = tracker.feed();
+
+  assert.equal(feed.metadata.activeSales, 1);
+  assert.deepEqual(feed.activeSales[0], {
+    appId: 1, name: 'Game 1', discount: 50, price: 999, initialPrice: 1999, currency: 'USD',
+    startedAt: '2025-08-01T01:00:00.000Z', baselinePlayers: 1000, players: 3000, playersChange: 200,
+    peakPlayers: 4000, peakAt: '2025-08-01T02:00:00.000Z'
+  });
+  assert.deepEqual(feed.surging.map(sale => sale.appId), [1]);
+  assert.deepEqual(feed.events.map(e => [e.type, e.baselinePlayers]), [['sale-start', 1000]]);
+
+  track(tracker, [[], [], [], [], [game(1, 1200, 1999)]]);
+  const [end] = tracker.feed().events;
+  assert.deepEqual([end.type, end.discount, end.peakPlayers, end.peakChange, end.players], ['sale-end', 50, 4000, 300, 1200]);
+  assert.equal(tracker.feed().activeSales.length, 0);
+});
+
+test('records base price changes and the price history', () => {
+  const tracker = track(new PriceTracker(), [
+    [game(2, 50, 1999)],
+    [game(2, 50, 1999)],
+    [game(2, 50, 2499)],
+    [game(2, 50, 0, 0)] // Went free to play - not a price change
+  ]);
+
+  assert.deepEqual(tracker.feed().events.map(e => [e.type, e.from, e.to]), [['price-change', 1999, 2499]]);
+  assert.deepEqual(tracker.history(2).map(h => [h.initialPrice, h.price]), [[1999, 1999], [2499, 2499], [0, 0]]);
+});
+
+test('ignores games without a known price and has no baseline for games first seen on sale', () => {
+  const unpriced = { ...game(3, 900, 0), provenance: { 'steam-app-list': { at: '2025-08-01T00:00:00.000Z', fields: ['name'] } } };
+  const feed = track(new PriceTracker(), [[unpriced, game(4, 900, 500, 1000)], [game(4, 2000, 500, 1000)]]).feed();
+
+  assert.equal(feed.activeSales.length, 1);
+  assert.deepEqual([feed.activeSales[0].appId, feed.activeSales[0].baselinePlayers, feed.activeSales[0].playersChange], [4, null, null]);
+  assert.deepEqual(feed.surging, []);
+  assert.deepEqual(feed.events, []);
+});
+
+test('carries its state between runs and writes the sales feed', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prices-'));
+  const options = { stateFile: path.join(dir, 'state', 'prices.json'), feedFile: path.join(dir, 'sales.json') };
+
+  const first = new PriceTracker(options);
+  await first.load();
+  track(first, [[game(5, 800, 1000)]]);
+  await first.save();
+
+  const second = await new PriceTracker(options).load();
+  second.apply([game(5, 2000, 250, 1000)], new Date(START + HOUR_MS).toISOString());
+  await second.save();
+
+  const feed = JSON.parse(fs.readFileSync(options.feedFile, 'utf8'));
+  assert.deepEqual(feed.surging.map(sale => [sale.appId, sale.discount, sale.playersChange]), [[5, 75, 150]]);
+});
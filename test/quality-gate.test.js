@@ -0,0 +1,105 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QualityGate } = require('../.github/scripts/quality-gate');
+
+mock.method(console, 'log', () => {});
+
+// Snapshot from [appId, players, name] - totals from the games
+function snapshot(games, timestamp = '2025-08-10T12:00:00.000Z') {
+  return {
+    metadata: { timestamp, totalGames: games.length, totalPlayers: games.reduce((sum, [, players]) => sum + players, 0) },
+    games: Object.fromEntries(games.map(([appId, players, name = `Game ${appId}`]) => [appId, { appId, name, currentPlayers: players }]))
+  };
+}
+
+// appIds 1..count with 1000 players each
+function games(count, players = 1000) {
+  return Array.from({ length: count }, (_, i) => [i + 1, players]);
+}
+
+function gate(thresholds) {
+  return new QualityGate({ thresholds, reportFile: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'quality-')), 'quality-report.json') });
+}
+
+const result = (report, name) => report.checks.find(c => c.name === name);
+
+test('passes a snapshot like the last good one', () => {
+  const report = gate().check(snapshot(games(100)), snapshot(games(100)));
+
+  assert.equal(report.passed, true);
+  assert.deepEqual(report.checks.map(c => [c.name, c.passed]), [
+    ['totalGames', true], ['totalPlayers', true], ['topOverlap', true], ['playerJumps', true], ['duplicateNames', true]
+  ]);
+});
+
+test('fails when the game count drops below the ratio', () => {
+  const previous = snapshot(games(100));
+
+  assert.equal(result(gate().check(snapshot(games(90)), previous), 'totalGames').passed, true);
+  const check = result(gate().check(snapshot(games(89)), previous), 'totalGames');
+  assert.deepEqual([check.passed, check.value, check.threshold], [false, 0.89, 0.9]);
+});
+
+test('fails when total players drop below the ratio', () => {
+  const previous = snapshot(games(100));
+
+  assert.equal(result(gate().check(snapshot(games(100, 700)), previous), 'totalPlayers').passed, true);
+  const check = result(gate().check(snapshot(games(100, 690)), previous), 'totalPlayers');
+  assert.deepEqual([check.passed, check.value], [false, 0.69]);
+});
+
+test('fails when too little of the last top N is still on top', () => {
+  const range = (from, to, players) => Array.from({ length: to - from + 1 }, (_, i) => [from + i, players]);
+  const previous = snapshot([...range(1, 10, 5000), ...range(11, 20, 1000)]);
+  // 11-15 overtake 6-10, so half of the last top 10 is left
+  const next = snapshot([...range(1, 5, 5000), ...range(6, 10, 100), ...range(11, 15, 9000), ...range(16, 20, 1000)]);
+
+  const check = result(gate({ topN: 10 }).check(next, previous), 'topOverlap');
+  assert.deepEqual([check.passed, check.value, check.message], [false, 0.5, '50% of the last top 10 is still in the top 10']);
+  assert.equal(result(gate({ topN: 10, minTopOverlap: 0.5 }).check(next, previous), 'topOverlap').passed, true);
+});
+
+test('fails on more than maxJumps 100x jumps', () => {
+  const previous = snapshot([...games(6, 10), [7, 5]]);
+  const next = snapshot([...games(5, 1000), [6, 999], [7, 500]]);
+
+  // Game 6 grew 100x but stays under minJumpPlayers, game 7 under the factor
+  assert.equal(result(gate().check(next, previous), 'playerJumps').passed, true);
+  const check = result(gate({ maxJumps: 4 }).check(next, previous), 'playerJumps');
+  assert.deepEqual([check.passed, check.value], [false, 5]);
+  assert.deepEqual(check.details[0], { appId: 1, name: 'Game 1', before: 10, after: 1000 });
+});
+
+test('fails when over 1% of the games share a name, also without a previous snapshot', () => {
+  // 2 of 200 games share a name: 1% passes
+  const named = games(200).map(([appId, players]) => [appId, players, appId <= 2 ? 'Same' : `Game ${appId}`]);
+  assert.equal(gate().check(snapshot(named), null).passed, true);
+
+  named[2][2] = 'Same';
+  const report = gate().check(snapshot(named), null);
+  assert.deepEqual(report.checks.map(c => c.name), ['duplicateNames']);
+  assert.equal(report.passed, false);
+  assert.equal(report.checks[0].value, 0.015);
+  assert.deepEqual(report.checks[0].details, [{ name: 'Same', appIds: [1, 2, 3] }]);
+  assert.equal(gate({ maxDuplicateShare: 0.02 }).check(snapshot(named), null).passed, true);
+});
+
+test('writes the report and throws, leaving the previous snapshot in place', async () => {
+  const qualityGate = gate();
+  const snapshotFile = path.join(path.dirname(qualityGate.reportFile), 'steam-charts.json');
+  const previous = snapshot(games(100));
+  fs.writeFileSync(snapshotFile, JSON.stringify(previous));
+
+  await assert.rejects(qualityGate.enforce(snapshot(games(50), '2025-08-10T13:00:00.000Z'), previous), /QUALITY GATE FAILED \(totalGames, totalPlayers, topOverlap\)/);
+
+  const report = JSON.parse(fs.readFileSync(qualityGate.reportFile, 'utf8'));
+  assert.deepEqual([report.passed, report.snapshotTimestamp, report.previousTimestamp], [false, '2025-08-10T13:00:00.000Z', '2025-08-10T12:00:00.000Z']);
+  assert.deepEqual(JSON.parse(fs.readFileSync(snapshotFile, 'utf8')), previous);
+
+  const passed = await qualityGate.enforce(snapshot(games(100)), previous);
+  assert.equal(passed.passed, true);
+  assert.equal(JSON.parse(fs.readFileSync(qualityGate.reportFile, 'utf8')).passed, true);
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SCHEMA_VERSION, validate, assertValid } = require('../.github/scripts/schema');
+
+// Valid snapshot with one game - overrides are merged into the game
+function snapshot(game = {}, metadata = {}) {
+  return {
+    metadata: { timestamp: '2025-08-30T12:00:00.000Z', totalGames: 1, totalPlayers: 1000, schemaVersion: SCHEMA_VERSION, ...metadata },
+    games: {
+      730: {
+        appId: 730, name: 'Counter-Strike 2', currentPlayers: 1000, rank: 1, ownersMin: 50000000, ownersMax: 100000000,
+        positive: 900, negative: 100, reviewScore: 90, price: 0, currency: 'USD', languages: ['English'], genres: ['Action'],
+        tags: { FPS: 900 }, trending: 'stable', source: 'steamspy-all', ...game
+      }
+    }
+  };
+}
+
+test('accepts a valid snapshot', () => {
+  assert.deepEqual(validate('snapshot', snapshot()), { valid: true, errors: [] });
+  assert.equal(validate('min', snapshot()).valid, true);
+});
+
+test('rejects a SteamSpy owners range string', () => {
+  const { valid, errors } = validate('snapshot', snapshot({ ownersMin: '50,000,000 .. 100,000,000' }));
+
+  assert.equal(valid, false);
+  assert.deepEqual(errors, ['$.games.730.ownersMin: expected integer, got string']);
+
+  // A pre-2.0.0 record with only the raw `owners` string
+  const legacy = snapshot({ owners: '50,000,000 .. 100,000,000' });
+  delete legacy.games[730].ownersMin;
+  delete legacy.games[730].ownersMax;
+  assert.deepEqual(validate('snapshot', legacy).errors, [
+    "$.games.730: missing required property 'ownersMin'",
+    "$.games.730: missing required property 'ownersMax'"
+  ]);
+});
+
+test('rejects tag votes that are not counts', () => {
+  const { valid, errors } = validate('snapshot', snapshot({ tags: { FPS: true, Shooter: -1 } }));
+
+  assert.equal(valid, false);
+  assert.deepEqual(errors, ['$.games.730.tags.FPS: expected integer, got boolean', '$.games.730.tags.Shooter: must be >= 0']);
+});
+
+test('rejects metadata without a schemaVersion', () => {
+  const data = snapshot();
+  delete data.metadata.schemaVersion;
+
+  assert.deepEqual(validate('snapshot', data).errors, ["$.metadata: missing required property 'schemaVersion'"]);
+  assert.deepEqual(validate('snapshot', snapshot({}, { schemaVersion: 'v2' })).errors, ['$.metadata.schemaVersion: "v2" doesn\'t match ^\\d+\\.\\d+\\.\\d+$']);
+});
+
+test('rejects values of the wrong type', () => {
+  assert.deepEqual(validate('snapshot', snapshot({ currentPlayers: '1000', rank: 1.5, genres: 'Action' })).errors, [
+    '$.games.730.currentPlayers: expected integer, got string',
+    '$.games.730.rank: expected integer, got number',
+    '$.games.730.genres: expected array, got string'
+  ]);
+  assert.deepEqual(validate('snapshot', { metadata: snapshot().metadata, games: [] }).errors, ['$.games: expected object, got array']);
+  assert.deepEqual(validate('snapshot', snapshot({ trending: 'sideways' })).errors, ['$.games.730.trending: must be one of up, down, stable, new, surging, got "sideways"']);
+});
+
+test('throws with the problems and the schema version', () => {
+  assert.throws(() => assertValid('snapshot', snapshot({ appId: 0, name: '' })),
+    new RegExp(`SCHEMA VALIDATION FAILED \\(snapshot v${SCHEMA_VERSION.replace(/\./g, '\\.')}\\): 2 problems`));
+  assert.throws(() => validate('leaderboard', {}), /Unknown schema: leaderboard/);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { buildSearchIndex, buildSearchPlayers } = require('../.github/scripts/search-index');
+const { GameSearch, foldText, tokenize, editDistance } = require('../.github/scripts/search-query');
+
+const GAMES = [
+  { appId: 10, name: 'Counter-Strike', currentPlayers: 12000 },
+  { appId: 730, name: 'Counter-Strike 2', currentPlayers: 900000 },
+  { appId: 240, name: 'Counter-Strike: Source', currentPlayers: 9000 },
+  { appId: 1145360, name: 'Hades', currentPlayers: 8000 },
+  { appId: 1145350, name: 'Hades II', currentPlayers: 30000 },
+  { appId: 4000, name: "Garry's Mod", currentPlayers: 20000 },
+  { appId: 1, name: 'Pokémon Ålpha', currentPlayers: 5 }
+];
+const snapshot = (games, timestamp = '2025-08-10T12:00:00.000Z') => ({ metadata: { timestamp }, games: Object.fromEntries(games.map(g => [g.appId, g])) });
+const index = buildSearchIndex(snapshot(GAMES));
+const { players } = buildSearchPlayers(snapshot(GAMES));
+const search = new GameSearch(index, players);
+
+const ids = (query, options) => search.search(query, options).map(result => result.appId);
+
+test('folds case, diacritics and punctuation into tokens', () => {
+  assert.equal(foldText('Pokémon Ålpha: ÜBER-Straße'), 'pokemon alpha uber strasse');
+  assert.deepEqual(tokenize("Garry's Mod"), ['garrys', 'mod']);
+  assert.deepEqual(tokenize(' -- '), []);
+  assert.equal(editDistance('strike', 'strkie'), 1);
+  assert.equal(editDistance('counter', 'cuonter'), 1);
+  assert.equal(editDistance('hades', 'portal', 1), 2);
+});
+
+test('writes a compact index ordered by appId, with the players separately', () => {
+  assert.equal(index.version, 2);
+  assert.deepEqual(index.games.map(([appId]) => appId), [1, 10, 240, 730, 4000, 1145350, 1145360]);
+  assert.deepEqual(index.games[3], [730, 'Counter-Strike 2']);
+  assert.deepEqual(index.tokens.strike, [1, 2, 3]);
+  assert.deepEqual(index.tokens.counterstrike2, [3]);
+  assert.deepEqual(buildSearchPlayers(snapshot(GAMES)), {
+    timestamp: '2025-08-10T12:00:00.000Z',
+    players: { 1: 5, 10: 12000, 240: 9000, 730: 900000, 4000: 20000, 1145350: 30000, 1145360: 8000 }
+  });
+});
+
+test('only changes the index when games or names change', () => {
+  const nextRun = GAMES.map(game => ({ ...game, currentPlayers: game.currentPlayers * 2 + 1 }));
+  assert.equal(JSON.stringify(buildSearchIndex(snapshot(nextRun, '2025-08-10T12:05:00.000Z'))), JSON.stringify(index));
+
+  const renamed = GAMES.map(game => (game.appId === 730 ? { ...game, name: 'Counter-Strike 3' } : game));
+  assert.notEqual(JSON.stringify(buildSearchIndex(snapshot(renamed))), JSON.stringify(index));
+});
+
+test('ranks exact, prefix and typo matches, then by players', () => {
+  assert.deepEqual(ids('counter'), [730, 10, 240]);
+  assert.deepEqual(ids('counter strike'), [10, 730, 240]);
+  assert.deepEqual(ids('counterstrike 2'), [730]);
+  assert.deepEqual(ids('cs source'), []);
+  assert.deepEqual(ids('strike sour'), [240]);
+  assert.deepEqual(ids('hades'), [1145360, 1145350]);
+  assert.deepEqual(ids('hdaes'), [1145350, 1145360]);
+  assert.deepEqual(ids('garys mod'), [4000]);
+  assert.deepEqual(ids('pokemon'), [1]);
+  assert.deepEqual(ids('counter', { limit: 1 }), [730]);
+  assert.deepEqual(ids(''), []);
+  assert.deepEqual(search.search('hades ii')[0], { appId: 1145350, name: 'Hades II', players: 30000, score: 11 });
+
+  // Players come from the counts given at query time - unknown games count as 0
+  const swapped = new GameSearch(index, { ...players, 240: 1000000 });
+  assert.deepEqual(swapped.search('counter').map(result => result.appId), [240, 730, 10]);
+  assert.deepEqual(new GameSearch(index).search('counter').map(result => [result.appId, result.players]), [[10, 0], [240, 0], [730, 0]]);
+});
+
+test('runs in the browser without module support', () => {
+  const sandbox = { self: {} };
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, '../.github/scripts/search-query.js'), 'utf8'), sandbox);
+  const browserSearch = new sandbox.self.SteamChartsSearch.GameSearch(JSON.parse(JSON.stringify(index)), players);
+
+  assert.deepEqual(Array.from(browserSearch.search('hades ii'), result => result.appId), [1145350]);
+});
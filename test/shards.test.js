@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ShardWriter, loadShardedSnapshot } = require('../.github/scripts/shards');
+
+function snapshot(players = {}, at = '2025-08-30T12:00:00.000Z') {
+  const games = {};
+  [[10, 50000], [440, 60000], [570, 420000], [730, 950000], [292030, 20000]].forEach(([appId, currentPlayers]) => {
+    const provenance = { 'steamspy-all': { at, fields: ['name', 'currentPlayers'] } };
+    games[appId] = { appId, name: `Game ${appId}`, currentPlayers: players[appId] ?? currentPlayers, provenance };
+  });
+  return { metadata: { timestamp: at, totalGames: 5 }, games };
+}
+
+function shardDir() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'shards-')), 'shards');
+}
+
+test('writes one shard per appId range and a manifest with hashes', async () => {
+  const writer = new ShardWriter({ dir: shardDir(), shardSize: 500 });
+  const { manifest, written } = await writer.write(snapshot());
+
+  assert.deepEqual(written, ['0.json', '1.json', '584.json']);
+  assert.equal(manifest.shardSize, 500);
+  assert.deepEqual(manifest.shards[0], { ...manifest.shards[0], file: '0.json', from: 0, to: 499, games: 2 });
+  assert.match(manifest.shards[584].hash, /^[0-9a-f]{64}$/);
+
+  const shard = JSON.parse(fs.readFileSync(path.join(writer.dir, '1.json'), 'utf8'));
+  assert.deepEqual(Object.keys(shard.games), ['570', '730']);
+  assert.deepEqual(JSON.parse(fs.readFileSync(writer.manifestFile, 'utf8')), manifest);
+});
+
+test('rewrites only the shards that changed and removes empty ones', async () => {
+  const writer = new ShardWriter({ dir: shardDir(), shardSize: 500 });
+  await writer.write(snapshot());
+
+  // New provenance times alone don't count as a change
+  const changed = snapshot({ 730: 1000000 }, '2025-08-30T12:05:00.000Z');
+  const second = await writer.write(changed);
+  assert.deepEqual(second.written, ['1.json']);
+  assert.equal(second.unchanged, 2);
+  assert.equal(second.manifest.metadata.timestamp, '2025-08-30T12:05:00.000Z');
+  // Kept shards keep the hash of the file on disk
+  await assert.doesNotReject(loadShardedSnapshot(writer.dir));
+
+  delete changed.games[292030];
+  const third = await writer.write(changed);
+  assert.deepEqual(third.removed, ['584.json']);
+  assert.equal(fs.existsSync(path.join(writer.dir, '584.json')), false);
+});
+
+test('rewrites a shard whose file went missing', async () => {
+  const writer = new ShardWriter({ dir: shardDir(), shardSize: 500 });
+  await writer.write(snapshot());
+  fs.rmSync(path.join(writer.dir, '0.json'));
+
+  assert.deepEqual((await writer.write(snapshot())).written, ['0.json']);
+});
+
+test('reassembles the snapshot and checks the shard hashes', async () => {
+  const writer = new ShardWriter({ dir: shardDir(), shardSize: 500 });
+  const data = snapshot();
+  await writer.write(data);
+
+  assert.deepEqual(await loadShardedSnapshot(writer.dir), data);
+  assert.equal(await loadShardedSnapshot(path.join(writer.dir, 'missing')), null);
+
+  fs.writeFileSync(path.join(writer.dir, '0.json'), '{"games":{}}');
+  await assert.rejects(loadShardedSnapshot(writer.dir), /0\.json doesn't match its manifest hash/);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffSnapshots, toMarkdown, summaryLine } = require('../.github/scripts/snapshot-diff');
+
+function game(appId, name, rank, currentPlayers, extra = {}) {
+  return { appId, name, rank, currentPlayers, price: '0', initialPrice: '0', discount: '0', positive: 1000, negative: 100, ...extra };
+}
+
+function snapshot(timestamp, games) {
+  const totalPlayers = games.reduce((sum, g) => sum + g.currentPlayers, 0);
+  return {
+    metadata: { timestamp, totalGames: games.filter(g => g.currentPlayers > 0).length, totalPlayers },
+    games: Object.fromEntries(games.map(g => [g.appId, g]))
+  };
+}
+
+const before = snapshot('2025-08-30T12:00:00.000Z', [
+  game(730, 'Counter-Strike 2', 1, 900000),
+  game(570, 'Dota 2', 2, 400000),
+  game(440, 'Team Fortress 2', 3, 60000, { price: '999', initialPrice: '999' }),
+  game(10, 'Counter-Strike', 4, 50000)
+]);
+const after = snapshot('2025-08-30T12:05:00.000Z', [
+  game(730, 'Counter-Strike 2', 1, 950000, { positive: 1500, negative: 90 }),
+  game(440, 'Team Fortress 2', 2, 450000, { price: '499', discount: '50' }),
+  game(570, 'Dota 2', 3, 420000),
+  game(10, 'Counter-Strike', 5, 0),
+  game(292030, 'The Witcher 3: Wild Hunt', 4, 20000)
+]);
+
+test('reports games entering and leaving the active set', () => {
+  const diff = diffSnapshots(before, after);
+
+  assert.deepEqual(diff.entered, [{ appId: 292030, name: 'The Witcher 3: Wild Hunt', rank: 4, currentPlayers: 20000 }]);
+  assert.deepEqual(diff.left, [{ appId: 10, name: 'Counter-Strike', rank: 4, currentPlayers: 50000 }]);
+  assert.deepEqual(diff.totals.games, { before: 4, after: 4, delta: 0 });
+  assert.deepEqual(diff.totals.players, { before: 1410000, after: 1840000, delta: 430000 });
+});
+
+test('reports rank movements, biggest first', () => {
+  const diff = diffSnapshots(before, after);
+
+  assert.deepEqual(diff.rankChanges.map(m => [m.appId, m.from, m.to, m.change]), [[440, 3, 2, 1], [570, 2, 3, -1]]);
+  assert.equal(diffSnapshots(before, after, { minRankChange: 2 }).rankChanges.length, 0);
+});
+
+test('reports price, discount and review changes', () => {
+  const diff = diffSnapshots(before, after);
+
+  assert.equal(diff.priceChanges.length, 1);
+  assert.deepEqual(diff.priceChanges[0].price, { before: 999, after: 499, delta: -500 });
+  assert.deepEqual(diff.priceChanges[0].discount, { before: 0, after: 50, delta: 50 });
+  assert.deepEqual(diff.reviewChanges.map(r => [r.appId, r.positive.delta, r.negative.delta]), [[730, 500, -10]]);
+});
+
+test('limits the lists but keeps the full counts', () => {
+  const diff = diffSnapshots(before, after, { limit: 1 });
+
+  assert.equal(diff.rankChanges.length, 1);
+  assert.equal(diff.counts.rankChanges, 2);
+});
+
+test('summarizes the changes as one line and as Markdown', () => {
+  const diff = diffSnapshots(before, after);
+  const markdown = toMarkdown(diff);
+
+  assert.equal(summaryLine(diff), '4 games (0), 1,840,000 players (+30.5%), 1 entered, 1 left');
+  assert.match(markdown, /^## Snapshot changes/);
+  assert.match(markdown, /### Entered\n\n- #4 The Witcher 3: Wild Hunt \(20,000 players\)/);
+  assert.match(markdown, /- ⬆️ Team Fortress 2: #3 → #2 \(\+1\)/);
+  assert.match(markdown, /- Team Fortress 2: \$9\.99 → \$4\.99, discount 0% → 50%/);
+  assert.match(markdown, /- Counter-Strike 2: \+500 positive, -10 negative/);
+  assert.match(toMarkdown(diff, { limit: 1 }), /- \.\.\.and 1 more/);
+});
@@ -0,0 +1,106 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { FixtureStore } = require('../.github/scripts/http-fixtures');
+
+// Checkpoints and history are relative to the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'steam-charts-fetcher-')));
+mock.method(console, 'log', () => {});
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'http');
+
+let server;
+let data;
+
+// Mock server for every API, answering from the recorded fixtures
+function hostFor(url) {
+  if (url.startsWith('/api.php')) return 'steamspy.com';
+  if (url.startsWith('/api/appdetails')) return 'store.steampowered.com';
+  return 'api.steampowered.com';
+}
+
+function startMockServer() {
+  const fixtures = new FixtureStore({ dir: FIXTURES_DIR });
+  const server = http.createServer(async (req, res) => {
+    const host = hostFor(req.url);
+    try {
+      const response = await fixtures.replay(req.method, `https://${host}${req.url}`);
+      if (response.error) return res.destroy();
+      res.writeHead(response.status, response.headers);
+      res.end(response.body);
+    } catch (error) {
+      res.writeHead(404);
+      res.end(error.message);
+    }
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+before(async () => {
+  server = await startMockServer();
+  const url = `http://127.0.0.1:${server.address().port}`;
+  process.env.STEAM_API_BASE = url;
+  process.env.STEAMSPY_API_BASE = `${url}/api.php`;
+  process.env.STEAM_STORE_BASE = url;
+
+  // The API bases are read when the module loads
+  const { SteamDataFetcher } = require('../.github/scripts/fetch-steam-charts');
+  const { HttpClient } = require('../.github/scripts/http-client');
+  data = await new SteamDataFetcher({ http: new HttpClient(), minGames: 1, sinks: [] }).fetchAllSteamData();
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('ranks games with live counts or SteamSpy estimates', () => {
+  const ranked = Object.values(data.games).sort((a, b) => a.rank - b.rank);
+
+  assert.deepEqual(ranked.map(g => [g.rank, g.appId, g.currentPlayers, g.source]), [
+    [1, 730, 950000, 'steam-current-players'],
+    [2, 570, 420000, 'steam-current-players'],
+    [3, 440, 61000, 'steam-current-players'],
+    [4, 292030, 20000, 'steamspy-top100'], // No live count recorded
+    [5, 4242, 150, 'steam-current-players'],
+    [6, 12345, 5, 'steam-current-players']
+  ]);
+  assert.equal(data.metadata.totalPlayers, 1451155);
+});
+
+test('classifies apps by store type instead of name', () => {
+  assert.equal(data.metadata.totalProcessed, 8);
+  assert.equal(data.games[4242].type, 'game'); // "Testament" isn't a test app
+  assert.equal(data.games[99999], undefined, 'demos are dropped despite their players');
+  assert.equal(data.games[12345].type, undefined, 'apps without a store page are kept');
+});
+
+test('enriches games with store details', () => {
+  const game = data.games[730];
+
+  assert.deepEqual([game.releaseDate, game.comingSoon, game.platforms], ['2012-08-21', false, ['windows', 'linux']]);
+  assert.deepEqual(game.categories, ['Multi-player', 'Steam Trading Cards']);
+  assert.match(game.headerImage, /\/730\/header\.jpg$/);
+  assert.equal(game.developer, 'Valve', 'SteamSpy fields win');
+  assert.deepEqual(game.genres, ['Action', 'Free To Play'], 'store fields fill gaps');
+  assert.deepEqual(game.provenance['steam-appdetails'].fields, ['type', 'releaseDate', 'comingSoon', 'headerImage', 'platforms', 'categories', 'genres']);
+});
+
+test('names games only known from the app list', () => {
+  assert.equal(data.games[12345].name, 'Some Indie Game');
+  assert.deepEqual(data.games[12345].provenance['steam-app-list'].fields, ['name']);
+});
+
+test('keeps Steam\'s 24h peak and SteamSpy metadata', () => {
+  assert.equal(data.games[730].peak24h, 1000000);
+  assert.equal(data.games[730].ownersMin, 50000000);
+  assert.equal(data.games[730].ownersMax, 100000000);
+  assert.equal(data.games[730].developer, 'Valve');
+});
+
+test('merges every SteamSpy record of a game, not only the first', () => {
+  // 730 is in both request=all and top100in2weeks - only the top 100 lists its languages
+  assert.deepEqual(data.games[730].languages, ['English', 'Russian']);
+  assert.deepEqual(data.games[730].provenance['steamspy-top100'].fields, ['languages']);
+  assert.equal(data.games[730].ownersMin, 50000000, 'request=all still wins the shared fields');
+});
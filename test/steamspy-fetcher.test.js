@@ -0,0 +1,153 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Output, history, peak and checkpoint paths are relative to the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'steamspy-fetcher-')));
+mock.method(console, 'log', () => {});
+
+const { SteamSpyFetcher } = require('../.github/scripts/fetch-steamspy-data');
+const { HttpClient } = require('../.github/scripts/http-client');
+const { FixtureStore } = require('../.github/scripts/http-fixtures');
+const { validate } = require('../.github/scripts/schema');
+const { GameSearch } = require('../.github/scripts/search-query');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'http');
+
+let fetcher;
+let data;
+
+before(async () => {
+  const http = new HttpClient({ mode: 'replay', fixtures: new FixtureStore({ dir: FIXTURES_DIR }) });
+  fetcher = new SteamSpyFetcher({ http, minGames: 1, liveCountLimit: 3, aggregates: true, searchIndex: true });
+  data = await fetcher.fetchAllGames();
+});
+
+test('ranks active games by current players', () => {
+  const ranked = Object.values(data.games).sort((a, b) => a.rank - b.rank);
+
+  assert.deepEqual(ranked.map(g => [g.rank, g.appId, g.currentPlayers]), [
+    [1, 730, 950000],
+    [2, 570, 420000],
+    [3, 578080, 300000],
+    [4, 1172470, 100000],
+    [5, 440, 60000],
+    [6, 10, 50000],
+    [7, 292030, 20000]
+  ]);
+  assert.equal(data.games[999], undefined, 'games without players are dropped');
+  assert.equal(data.metadata.totalGames, 7);
+  assert.equal(data.metadata.totalPlayers, 1900000);
+});
+
+test('stops after three failed or empty pages', () => {
+  // Pages 0-1 have games, 2 is empty, 3 is malformed JSON and 4 keeps failing with 503
+  assert.equal(data.metadata.totalScanned, 6);
+  assert.ok(fetcher.http.stats.failures >= 1);
+});
+
+test('takes player counts from the most authoritative source', () => {
+  assert.equal(data.games[730].source, 'steam-current-players');
+  assert.equal(data.games[570].source, 'steam-current-players'); // After one 500
+  assert.equal(data.games[578080].source, 'steamspy-tag'); // Steam had no count
+  assert.equal(data.games[292030].source, 'steamspy-top100');
+  assert.equal(data.games[440].source, 'steamspy-all');
+  assert.deepEqual(data.metadata.playerCountSources, {
+    'steam-current-players': 2,
+    'steamspy-tag': 1,
+    'steamspy-all': 3,
+    'steamspy-top100': 1
+  });
+});
+
+test('merges fields by precedence and records provenance', () => {
+  const dota = data.games[570];
+
+  // The page entry beats the tag endpoint's, the tag itself is still merged in
+  assert.equal(dota.name, 'Dota 2');
+  assert.equal(dota.peak24h, 700000);
+  assert.deepEqual(dota.tags, { 'Free to Play': 0 });
+  assert.deepEqual(Object.keys(dota.provenance).sort(), ['steam-current-players', 'steam-most-played', 'steamspy-all', 'steamspy-tag']);
+  assert.deepEqual(dota.provenance['steam-most-played'].fields, ['peak24h']);
+  assert.deepEqual(dota.provenance['steamspy-tag'].fields, ['tags']);
+
+  // Real tag votes win over the 0 placeholder
+  assert.deepEqual(data.games[578080].tags, { 'Free to Play': 0, Survival: 9000, Shooter: 8000 });
+});
+
+test('emits typed records', () => {
+  const game = data.games[10];
+
+  assert.equal(game.ownersMin, 10000000);
+  assert.equal(game.ownersMax, 20000000);
+  assert.equal(game.owners, undefined);
+  assert.equal(game.price, 999);
+  assert.equal(game.currency, 'USD');
+  assert.deepEqual([game.languages, game.genres], [[], []]);
+  assert.equal(game.reviewScore, 97.6);
+  assert.equal(game.reviewScoreLowerBound, 97.5);
+  assert.deepEqual(game.provenance['steamspy-all'].fields.slice(0, 3), ['name', 'currentPlayers', 'ownersMin']);
+});
+
+test('has no trends without a previous snapshot', () => {
+  Object.values(data.games).forEach(game => {
+    assert.equal(game.trending, 'stable');
+    assert.equal(game.trendDelta, null);
+  });
+});
+
+test('produces a snapshot that matches its schema', () => {
+  const { valid, errors } = validate('snapshot', data);
+  assert.ok(valid, errors.join('\n'));
+});
+
+test('writes the output files', async () => {
+  await fetcher.saveData(data);
+  const read = file => JSON.parse(fs.readFileSync(path.join('public', 'data', file), 'utf8'));
+
+  const snapshot = read('steam-charts.json');
+  assert.deepEqual(snapshot, JSON.parse(JSON.stringify(data)));
+  assert.deepEqual(read('steam-charts.min.json'), snapshot);
+
+  const summary = read('steam-charts-summary.json');
+  assert.ok(validate('summary', summary).valid);
+  assert.deepEqual(summary.topGames.map(g => g.appId), [730, 570, 578080, 1172470, 440, 10, 292030]);
+  assert.deepEqual(summary.leaderboards.topFreeToPlay.map(g => g.appId), [730, 570, 578080, 1172470, 440]);
+
+  assert.equal(fs.existsSync(path.join('public', 'data', 'shards')), false, 'shards and columnar files are opt-in');
+  assert.equal(fs.existsSync(path.join('public', 'data', 'steam-charts.bin')), false);
+
+  const byTag = read('steam-charts-by-tag.json');
+  assert.ok(validate('aggregate', byTag).valid);
+  assert.equal(byTag.groups.find(g => g.name === 'Free to Play').players, 420000 + 300000);
+
+  const search = new GameSearch(read('search-index.json'), read('search-players.json').players);
+  assert.deepEqual(search.search('counter strike').map(result => result.name).slice(0, 2), ['Counter-Strike', 'Counter-Strike 2']);
+
+  const month = data.metadata.timestamp.slice(0, 7);
+  const history = fs.readFileSync(path.join('public', 'data', 'history', month, '730.ndjson'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(history.map(([, players]) => players), [950000]);
+  assert.ok(fs.existsSync(path.join('.cache', 'state', 'peaks.json')));
+  assert.equal(fs.existsSync(path.join('public', 'data', 'state')), false, 'tracker state is not published');
+  assert.equal(read('sales.json').metadata.activeSales, 0);
+  const prices = JSON.parse(fs.readFileSync(path.join('.cache', 'state', 'prices.json'), 'utf8'));
+  assert.deepEqual(prices.games[10].history.map(([, initialPrice, price]) => [initialPrice, price]), [[999, 999]]);
+});
+
+test('clears its checkpoint after a complete run', () => {
+  assert.equal(fs.existsSync(path.join('.cache', 'checkpoints', 'steamspy.json')), false);
+});
+
+test('compares the next run with the saved snapshot', async () => {
+  const http = new HttpClient({ mode: 'replay', fixtures: new FixtureStore({ dir: FIXTURES_DIR }) });
+  const next = await new SteamSpyFetcher({ http, minGames: 1, liveCountLimit: 3 }).fetchAllGames();
+
+  Object.values(next.games).forEach(game => {
+    assert.equal(game.trending, 'stable');
+    assert.equal(game.trendDelta, 0);
+  });
+  assert.equal(next.games[730].peak24h, 1000000); // Reported by Steam
+  assert.equal(next.games[730].allTimePeak, 950000); // Highest count seen
+});
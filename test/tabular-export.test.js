@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toRows, toCsv, toNdjson } = require('../.github/scripts/tabular-export');
+const { loadCommittedSnapshot } = require('../.github/scripts/snapshot');
+
+const games = [
+  {
+    appId: 730, rank: 1, name: 'Counter-Strike 2', currentPlayers: 950000, owners: '50,000,000 .. 100,000,000',
+    price: '0', discount: '0', tags: { Shooter: 200, FPS: 900, 'Free to Play': 0 }, developer: 'Valve', genre: 'Action, Free to Play'
+  },
+  { appId: 12345, rank: 2, name: 'Say "Hello", World', currentPlayers: 10, owners: '0', price: '999', tags: {} }
+];
+
+test('flattens games into the selected columns', () => {
+  const [row] = toRows(games, { columns: ['appId', 'ownersMin', 'ownersMax', 'price', 'currency', 'tags', 'peak24h'] });
+
+  assert.deepEqual(row, {
+    appId: 730, ownersMin: 50000000, ownersMax: 100000000, price: 0, currency: 'USD', tags: ['FPS', 'Shooter', 'Free to Play'], peak24h: null
+  });
+  assert.throws(() => toRows(games, { columns: ['appId', 'owners'] }), /Unknown column owners - available: appId/);
+});
+
+test('writes CSV with quoted fields and delimited lists', () => {
+  const csv = toCsv(games, { columns: ['appId', 'name', 'ownersMax', 'developer', 'genres', 'tags'], listDelimiter: '|' });
+
+  assert.equal(csv, [
+    'appId,name,ownersMax,developer,genres,tags',
+    '730,Counter-Strike 2,100000000,Valve,Action|Free to Play,FPS|Shooter|Free to Play',
+    '12345,"Say ""Hello"", World",0,,,',
+    ''
+  ].join('\n'));
+});
+
+test('writes one JSON object per line', () => {
+  const lines = toNdjson(games, { columns: ['appId', 'price', 'tags'] }).trim().split('\n');
+
+  assert.deepEqual(lines.map(line => JSON.parse(line)), [
+    { appId: 730, price: 0, tags: ['FPS', 'Shooter', 'Free to Play'] },
+    { appId: 12345, price: 999, tags: [] }
+  ]);
+});
+
+test('loads snapshots committed in the past', async () => {
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  const file = path.join(repo, 'public', 'data', 'steam-charts.json');
+  const git = (args, env = {}) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args],
+    { cwd: repo, encoding: 'utf8', env: { ...process.env, ...env } }).trim();
+  const commit = (totalGames, date) => {
+    fs.writeFileSync(file, JSON.stringify({ metadata: { totalGames }, games: {} }));
+    git(['add', '-A']);
+    git(['commit', '-qm', `sync ${totalGames}`], { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date });
+    return git(['rev-parse', 'HEAD']);
+  };
+
+  git(['init', '-q']);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const first = commit(1, '2025-08-01T00:00:00Z');
+  commit(2, '2025-08-02T00:00:00Z');
+
+  assert.equal((await loadCommittedSnapshot({ at: '2025-08-01T12:00:00Z' }, file)).metadata.totalGames, 1);
+  assert.equal((await loadCommittedSnapshot({ at: '2025-08-03' }, file)).metadata.totalGames, 2);
+  assert.equal((await loadCommittedSnapshot({ ref: first }, file)).metadata.totalGames, 1);
+  await assert.rejects(loadCommittedSnapshot({ at: '2025-07-01' }, file), /No public\/data\/steam-charts.json committed at or before/);
+  await assert.rejects(loadCommittedSnapshot({ at: 'yesterday-ish' }, file), /Invalid snapshot date/);
+});
@@ -0,0 +1,75 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TrendCalculator, classifyTrend, percentChange } = require('../.github/scripts/trends');
+const { HistoryStore } = require('../.github/scripts/history-store');
+
+mock.method(console, 'log', () => {});
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const NOW = Date.parse('2025-08-30T12:00:00Z');
+
+function snapshot(counts) {
+  return { games: Object.fromEntries(Object.entries(counts).map(([appId, currentPlayers]) => [appId, { appId: Number(appId), currentPlayers }])) };
+}
+
+// History with the given { appId: players } counts at each [hoursAgo, counts]
+async function history(runs) {
+  const store = new HistoryStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'trends-')) });
+  for (const [hoursAgo, counts] of runs) {
+    await store.append({ metadata: { timestamp: new Date(NOW - hoursAgo * HOUR_MS).toISOString() }, ...snapshot(counts) });
+  }
+  return store;
+}
+
+test('calculates percent changes', () => {
+  assert.equal(percentChange(150, 100), 50);
+  assert.equal(percentChange(1, 3), -66.7);
+  assert.equal(percentChange(100, 0), null);
+  assert.equal(percentChange(100, undefined), null);
+});
+
+test('classifies trends', () => {
+  assert.equal(classifyTrend({ isNew: true, delta: 500 }), 'new');
+  assert.equal(classifyTrend({ delta: 100 }), 'surging');
+  assert.equal(classifyTrend({ delta: 2, delta24h: 150 }), 'surging');
+  assert.equal(classifyTrend({ delta: 5 }), 'up');
+  assert.equal(classifyTrend({ delta: -5 }), 'down');
+  assert.equal(classifyTrend({ delta: 4.9 }), 'stable');
+  assert.equal(classifyTrend({ delta: -4.9, delta24h: -60 }), 'stable', 'the previous snapshot decides');
+  assert.equal(classifyTrend({ delta24h: -60 }), 'down', 'the 24h window without a previous snapshot');
+  assert.equal(classifyTrend(), 'stable');
+});
+
+test('compares with the previous snapshot', async () => {
+  const trends = await new TrendCalculator({ previousSnapshot: snapshot({ 1: 1000, 2: 1000, 3: 1000, 4: 1000 }), historyStore: await history([]) })
+    .load([1, 2, 3, 4, 5], NOW);
+  const games = trends.apply([[1, 1200], [2, 800], [3, 2500], [4, 1020], [5, 300]].map(([appId, currentPlayers]) => ({ appId, currentPlayers })));
+
+  assert.deepEqual(games.map(g => [g.appId, g.trending, g.trendDelta]), [
+    [1, 'up', 20],
+    [2, 'down', -20],
+    [3, 'surging', 150],
+    [4, 'stable', 2],
+    [5, 'new', null]
+  ]);
+});
+
+test('takes the 24h and 7d baselines from the last point before each window', async () => {
+  const store = await history([
+    [7 * 24 + 2, { 1: 400 }],
+    [7 * 24 - 1, { 1: 450 }],
+    [25, { 1: 500, 2: 100 }],
+    [23, { 1: 600 }],
+    [1, { 1: 700 }]
+  ]);
+  const trends = await new TrendCalculator({ previousSnapshot: null, historyStore: store }).load([1, 2, 3], NOW);
+
+  assert.deepEqual(trends.calculate({ appId: 1, currentPlayers: 900 }), { trending: 'up', trendDelta: null, trendDelta24h: 80, trendDelta7d: 125 });
+  // Only 24h history and no previous snapshot: the 24h window decides
+  assert.deepEqual(trends.calculate({ appId: 2, currentPlayers: 50 }), { trending: 'down', trendDelta: null, trendDelta24h: -50, trendDelta7d: null });
+  assert.deepEqual(trends.calculate({ appId: 3, currentPlayers: 50 }), { trending: 'stable', trendDelta: null, trendDelta24h: null, trendDelta7d: null });
+});
@@ -0,0 +1,139 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WatchlistRunner } = require('../.github/scripts/watchlist');
+const { HistoryStore } = require('../.github/scripts/history-store');
+const { PeakTracker } = require('../.github/scripts/peak-tracker');
+const { HttpClient } = require('../.github/scripts/http-client');
+const { FixtureStore } = require('../.github/scripts/http-fixtures');
+const { AlertEngine } = require('../.github/scripts/alerts');
+const { createNotifiers } = require('../.github/scripts/notifiers');
+const { AppDetailsEnricher } = require('../.github/scripts/app-details');
+
+mock.method(console, 'log', () => {});
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'http');
+const HOUR_MS = 60 * 60 * 1000;
+
+function lastSnapshot(hoursAgo) {
+  const games = [[730, 'Counter-Strike 2', 900000], [570, 'Dota 2', 400000], [440, 'Team Fortress 2', 50000], [10, 'Counter-Strike', 40000]];
+  return {
+    metadata: { timestamp: new Date(Date.now() - hoursAgo * HOUR_MS).toISOString() },
+    games: Object.fromEntries(games.map(([appId, name, currentPlayers], index) => [appId, { appId, name, currentPlayers, rank: index + 1 }]))
+  };
+}
+
+// Runner answering from the recorded Steam fixtures, writing to a temp dir
+function runner(snapshot, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-'));
+  const http = new HttpClient({ mode: 'replay', fixtures: new FixtureStore({ dir: FIXTURES_DIR }) });
+  return new WatchlistRunner({
+    http,
+    appDetails: new AppDetailsEnricher({ http, file: path.join(dir, 'appdetails.json') }),
+    history: new HistoryStore({ dir: path.join(dir, 'history') }),
+    peakTracker: new PeakTracker({ stateFile: path.join(dir, 'state', 'peaks.json') }),
+    liveFile: path.join(dir, 'live.json'),
+    loadSnapshot: async () => snapshot,
+    ...options
+  });
+}
+
+test('runs a full crawl once the snapshot is older than the crawl interval', async () => {
+  assert.equal(await runner(lastSnapshot(2)).crawlDue(), false);
+  assert.equal(await runner(lastSnapshot(25)).crawlDue(), true);
+  assert.equal(await runner(lastSnapshot(2), { crawlIntervalHours: 1 }).crawlDue(), true);
+  assert.equal(await runner(null).crawlDue(), true);
+});
+
+test('watches the configured appIds and the top of the last snapshot', async () => {
+  assert.deepEqual(await runner(lastSnapshot(2), { appIds: ['440', 730], top: 2 }).watchedAppIds(), [440, 730, 570]);
+  assert.deepEqual(await runner(null, { appIds: [12345] }).watchedAppIds(), [12345]);
+  assert.throws(() => runner(null, { appIds: ['cs2'] }), /Invalid watched appId: "cs2"/);
+});
+
+test('adds live counts to the history and writes live.json', async () => {
+  const snapshot = lastSnapshot(2);
+  const watchlist = runner(snapshot, { appIds: [440, 12345, 10], top: 2 });
+  const live = await watchlist.run();
+
+  // 10 has no recorded count, so no point
+  assert.equal(live.metadata.watched, 5);
+  assert.equal(live.metadata.updated, 4);
+  assert.equal(live.metadata.nextCrawlAt, new Date(Date.parse(snapshot.metadata.timestamp) + 24 * HOUR_MS).toISOString());
+  assert.deepEqual(live.games.map(g => [g.appId, g.name, g.players, g.snapshotPlayers, g.change]), [
+    [730, 'Counter-Strike 2', 950000, 900000, 5.6],
+    [570, 'Dota 2', 420000, 400000, 5],
+    [440, 'Team Fortress 2', 61000, 50000, 22],
+    [12345, null, 5, null, null]
+  ]);
+  assert.deepEqual([live.games[0].peak24h, live.games[0].allTimePeak], [950000, 950000]);
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(watchlist.liveFile, 'utf8')), live);
+  const points = await watchlist.history.loadSeries(730, Date.now() - HOUR_MS, Date.now() + HOUR_MS);
+  assert.deepEqual(points.map(p => [p.timestamp, p.players]), [[live.metadata.timestamp.replace(/\.\d+Z$/, '.000Z'), 950000]]);
+  assert.deepEqual(await watchlist.history.loadSeries(10), []);
+});
+
+test('saves nothing on a dry run', async () => {
+  const watchlist = runner(lastSnapshot(2), { top: 1 });
+  const live = await watchlist.run({ dryRun: true });
+
+  assert.deepEqual(live.games.map(g => g.appId), [730]);
+  assert.equal(fs.existsSync(watchlist.liveFile), false);
+  assert.equal(fs.existsSync(watchlist.peakTracker.stateFile), false);
+  assert.equal(fs.existsSync(watchlist.appDetails.cache.file), false);
+});
+
+test('refreshes store details of the snapshot games, most played first', async () => {
+  const watchlist = runner(lastSnapshot(2), { top: 1 });
+  watchlist.appDetails.limit = 3;
+  await watchlist.run();
+
+  // 570 has no recorded store page, so it fails and stays due with 10
+  const cache = watchlist.appDetails.cache;
+  assert.deepEqual(Object.keys(cache.entries).map(Number).sort((a, b) => a - b), [440, 730]);
+  assert.equal(cache.get(730).details.type, 'game');
+  assert.deepEqual(await watchlist.appDetails.refresh([730, 570, 440, 10]), { refreshed: 0, failed: 2, pending: 2 });
+});
+
+test('checks alert rules against the previous watchlist run', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-alerts-'));
+  const sent = path.join(dir, 'alerts.ndjson');
+  const alerts = new AlertEngine({
+    rules: [
+      { id: 'tf2-60k', appId: 440, when: 'above', players: 60000, cooldownHours: 0 },
+      { id: 'cs-45k', appId: 10, when: 'below', players: 45000 },
+      { id: 'top-2', when: 'entered-top', rank: 2 }
+    ],
+    notifiers: createNotifiers([{ type: 'file', path: sent }]),
+    stateFile: path.join(dir, 'alerts.json'),
+    history: new HistoryStore({ dir: path.join(dir, 'history') })
+  });
+  const snapshot = lastSnapshot(2);
+  const watchlist = runner(snapshot, { top: 4, alerts });
+  const lines = () => (fs.existsSync(sent) ? fs.readFileSync(sent, 'utf8').trim().split('\n').map(line => JSON.parse(line)) : []);
+
+  // No run since the snapshot - Team Fortress 2's 61,000 isn't compared with SteamSpy's 50,000
+  await watchlist.run();
+  assert.deepEqual(lines(), []);
+
+  // Team Fortress 2 crossed 60,000 since the last run. Counter-Strike has no count this run,
+  // so it isn't compared with the snapshot's 40,000
+  const last = JSON.parse(fs.readFileSync(watchlist.liveFile, 'utf8'));
+  last.games.find(game => game.appId === 440).players = 55000;
+  last.games.push({ appId: 10, name: 'Counter-Strike', players: 50000 });
+  fs.writeFileSync(watchlist.liveFile, JSON.stringify(last));
+  const live = await runner(snapshot, { top: 4, alerts, liveFile: watchlist.liveFile }).run();
+  assert.deepEqual(lines().map(a => [a.ruleId, a.appId, a.players, a.previousPlayers, a.rank, a.at]), [['tf2-60k', 440, 61000, 55000, 3, live.metadata.timestamp]]);
+
+  // Compared with the last run's 61,000 now, so nothing crosses again
+  await runner(snapshot, { top: 4, alerts, liveFile: watchlist.liveFile }).run();
+  assert.equal(lines().length, 1);
+
+  // The first run after a new crawl checks nothing again
+  fs.writeFileSync(watchlist.liveFile, JSON.stringify(last));
+  await runner(lastSnapshot(1), { top: 4, alerts, liveFile: watchlist.liveFile }).run();
+  assert.equal(lines().length, 1);
+});